@@ -0,0 +1,345 @@
+// Management commands for operators: `node cli.js <command> [args]`.
+// Run `node cli.js help` for the list. Commands talk to the database
+// configured in .env (DB_DRIVER, DB_HOST, ...), like the web app.
+
+// Import dotenv (for Environment Variables)
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const express = require('express');
+
+const loadRoutes = require('./routeLoader');
+const migrator = require('./utils/migrator');
+const db = require('./utils/queryBuilder');
+const { exec, destroy } = require('./config/db');
+const authService = require('./services/authService');
+const usersService = require('./services/usersService');
+const storyService = require('./services/storyService');
+const loginThrottleService = require('./services/loginThrottleService');
+const { ROLES, isRole } = require('./utils/permissions');
+
+const MIN_PASSWORD_LENGTH = 6;
+const SEED_FILE = path.join(__dirname, 'insert_test_data.sql');
+
+class UsageError extends Error {}
+
+// Password from --password, or a random one that is printed once
+function passwordFrom(options) {
+    if (options.password === undefined) {
+        return { password: crypto.randomBytes(12).toString('base64url'), generated: true };
+    }
+    if (options.password.length < MIN_PASSWORD_LENGTH) {
+        throw new UsageError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    return { password: options.password, generated: false };
+}
+
+async function findUser(username) {
+    if (!username) {
+        throw new UsageError('A username is required');
+    }
+    const user = await usersService.getUserByUsername(username);
+    if (!user) {
+        throw new Error(`No user named "${username}"`);
+    }
+    return user;
+}
+
+// How a route is guarded, in one column
+function access(route) {
+    if (route.requireOwner) return `owner:${route.requireOwner}${route.overrideOwner ? ` or ${route.overrideOwner}` : ''}`;
+    if (route.roles.length) return `roles:${route.roles.join(',')}`;
+    return route.requireAuth ? 'signed in' : 'public';
+}
+
+const commands = {
+    routes: {
+        usage: 'routes [--json] [filter]',
+        description: 'List the routes routeLoader mounts, optionally only those whose path or name contains filter',
+        async run(options, [filter]) {
+            const app = express();
+            const routes = loadRoutes(app)
+                .filter(r => !filter || r.path.includes(filter) || (r.name || '').includes(filter));
+
+            if (options.json) {
+                console.log(JSON.stringify(routes.map(({ validators, docs, ...route }) => route), null, 2));
+                return;
+            }
+            console.table(routes.map(r => ({
+                method: r.method,
+                path: r.path,
+                name: r.name || '',
+                access: access(r),
+                scope: r.scope || '',
+                version: r.alias ? `${r.version} (default)` : (r.version || '')
+            })));
+        }
+    },
+
+    'user:create': {
+        usage: 'user:create <username> <email> [--password <password>]',
+        description: 'Create a user with a verified email; a password is generated unless one is given',
+        async run(options, [username, email]) {
+            if (!username || !email) {
+                throw new UsageError('A username and an email are required');
+            }
+            if (await usersService.getUserByUsername(username)) {
+                throw new Error(`Username "${username}" is already taken`);
+            }
+            if (await authService.emailExists(email)) {
+                throw new Error(`Email "${email}" is already registered`);
+            }
+
+            const { password, generated } = passwordFrom(options);
+            const user = await authService.createUser({
+                username,
+                email,
+                password_hash: await authService.hashPassword(password),
+                // The operator vouches for the address
+                email_verified_at: new Date()
+            });
+
+            console.log(`Created user ${user.username} (id ${user.id}).`);
+            if (generated) console.log(`Password: ${password}`);
+        }
+    },
+
+    'user:delete': {
+        usage: 'user:delete <username>',
+        description: 'Delete a user with their stories, collections, ratings and comments',
+        async run(options, [username]) {
+            const user = await findUser(username);
+            await authService.deleteUser(user.id);
+            console.log(`Deleted user ${user.username} (id ${user.id}).`);
+        }
+    },
+
+    'user:password': {
+        usage: 'user:password <username> [--password <password>]',
+        description: "Reset a user's password; a password is generated unless one is given",
+        async run(options, [username]) {
+            const user = await findUser(username);
+            const { password, generated } = passwordFrom(options);
+            await authService.updatePassword(user.id, await authService.hashPassword(password));
+
+            console.log(`Password reset for ${user.username}.`);
+            if (generated) console.log(`Password: ${password}`);
+        }
+    },
+
+    'user:role': {
+        usage: `user:role <username> <${ROLES.join('|')}>`,
+        description: "Change a user's role, e.g. to appoint the first admin",
+        async run(options, [username, role]) {
+            if (!isRole(role)) {
+                throw new UsageError(`Role must be one of: ${ROLES.join(', ')}`);
+            }
+            const user = await findUser(username);
+            await usersService.setRole(user.id, role);
+            console.log(`${user.username} is now ${role} (was ${user.role}).`);
+        }
+    },
+
+    'user:suspend': {
+        usage: 'user:suspend <username> [--reason <reason>]',
+        description: 'Suspend an account: it is signed out and cannot sign in or use API tokens',
+        async run(options, [username]) {
+            const user = await findUser(username);
+            await usersService.suspendUser(user.id, options.reason || null);
+            console.log(`Suspended ${user.username}.`);
+        }
+    },
+
+    'user:unsuspend': {
+        usage: 'user:unsuspend <username>',
+        description: "Lift a user's suspension",
+        async run(options, [username]) {
+            const user = await findUser(username);
+            await usersService.unsuspendUser(user.id);
+            console.log(`${user.username} is no longer suspended.`);
+        }
+    },
+
+    'user:unlock': {
+        usage: 'user:unlock <username>',
+        description: "Lift a user's sign-in lockout after too many failed attempts",
+        async run(options, [username]) {
+            const user = await findUser(username);
+            await loginThrottleService.unlockAccount(user.email);
+            console.log(`Unlocked sign-in for ${user.username}.`);
+        }
+    },
+
+    'logins:failed': {
+        usage: 'logins:failed [email] [--limit <n>]',
+        description: 'List recent failed sign-in attempts, optionally for one email',
+        async run(options, [email]) {
+            const limit = Number(options.limit ?? 20);
+            if (!Number.isInteger(limit) || limit < 1) {
+                throw new UsageError('--limit must be a positive number');
+            }
+            const rows = await loginThrottleService.getRecentFailures({ email, limit });
+            if (!rows.length) {
+                console.log('No failed sign-ins recorded.');
+                return;
+            }
+            console.table(rows.map(r => ({
+                when: new Date(r.created_at).toISOString(),
+                email: r.email,
+                user_id: r.user_id ?? '',
+                ip: r.ip,
+                reason: r.reason
+            })));
+        }
+    },
+
+    'comments:cleanup': {
+        usage: 'comments:cleanup',
+        description: 'Remove soft-deleted comments that no longer have replies',
+        async run() {
+            const before = await db.table('comments').whereField('is_deleted', true).count();
+            await storyService.cleanupOrphanSoftDeletedComments();
+            const after = await db.table('comments').whereField('is_deleted', true).count();
+            console.log(`Removed ${before - after} orphaned comment(s); ${after} soft-deleted comment(s) still have replies.`);
+        }
+    },
+
+    stats: {
+        usage: 'stats',
+        description: 'Show row counts and each story\'s chapter and rating totals',
+        async run() {
+            // Chapter counts and ratings come from the story_summary and
+            // collection_summary views, which are computed on every read, so
+            // there is nothing stored that could drift and need rebuilding.
+            const tables = ['users', 'stories', 'chapters', 'collections', 'comments', 'ratings', 'favorites'];
+            const counts = {};
+            for (const table of tables) {
+                counts[table] = await db.table(table).count();
+            }
+            console.table(counts);
+
+            const stories = await db.table('story_summary')
+                .select(['id', 'username', 'title', 'chapter_count', 'avg_rating', 'rating_count'])
+                .orderBy('id')
+                .get();
+            console.table(stories);
+        }
+    },
+
+    migrate: {
+        usage: 'migrate',
+        description: 'Apply pending migrations',
+        async run() {
+            const applied = await migrator.migrate();
+            console.log(applied.length ? `Applied:\n  ${applied.join('\n  ')}` : 'Already up to date.');
+        }
+    },
+
+    'migrate:rollback': {
+        usage: 'migrate:rollback',
+        description: 'Revert the last batch of migrations',
+        async run() {
+            const reverted = await migrator.rollback();
+            console.log(reverted.length ? `Rolled back:\n  ${reverted.join('\n  ')}` : 'Nothing to roll back.');
+        }
+    },
+
+    'migrate:status': {
+        usage: 'migrate:status',
+        description: 'Show applied and pending migrations',
+        async run() {
+            const rows = await migrator.status();
+            if (!rows.length) {
+                console.log('No migrations found.');
+                return;
+            }
+            console.table(rows.map(r => ({
+                migration: r.name,
+                status: r.status,
+                batch: r.batch ?? '',
+                applied_at: r.applied_at ? new Date(r.applied_at).toISOString() : ''
+            })));
+        }
+    },
+
+    seed: {
+        usage: 'seed [--password <password>]',
+        description: 'Load the demo data into an empty, migrated database and set the demo accounts\' password',
+        async run(options) {
+            if (await db.table('users').count()) {
+                throw new Error('The database already has users; seed data only goes into an empty database');
+            }
+
+            await exec(fs.readFileSync(SEED_FILE, 'utf8'));
+
+            // The seed file ships placeholder hashes for most accounts
+            const { password, generated } = passwordFrom(options);
+            await db.table('users')
+                .whereRaw('password_hash NOT LIKE ?', ['$2%'])
+                .update({ password_hash: await authService.hashPassword(password) });
+            await db.table('users')
+                .whereNull('email_verified_at')
+                .update({ email_verified_at: new Date() });
+            await db.table('users')
+                .whereRaw('id IN (SELECT user_id FROM stories)')
+                .update({ role: 'author' });
+
+            const users = await db.table('users').select(['username', 'email']).orderBy('id').get();
+            console.log(`Seeded ${users.length} users: ${users.map(u => u.username).join(', ')}.`);
+            console.log(`Demo account password: ${generated ? password : '(as given)'}`);
+        }
+    },
+
+    help: {
+        usage: 'help',
+        description: 'List the commands',
+        async run() {
+            console.log('Usage: node cli.js <command> [args]\n');
+            const width = Math.max(...Object.values(commands).map(c => c.usage.length));
+            Object.values(commands).forEach(c => console.log(`  ${c.usage.padEnd(width)}  ${c.description}`));
+        }
+    }
+};
+
+/**
+ * Run one command. `argv` is the command line after `node cli.js`.
+ */
+async function run(argv) {
+    const [name = 'help', ...rest] = argv;
+    const command = commands[name];
+    if (!command) {
+        throw new UsageError(`Unknown command "${name}"; run "node cli.js help"`);
+    }
+
+    let args;
+    try {
+        args = parseArgs({
+            args: rest,
+            options: {
+                password: { type: 'string' },
+                json: { type: 'boolean' },
+                limit: { type: 'string' },
+                reason: { type: 'string' }
+            },
+            allowPositionals: true
+        });
+    } catch (err) {
+        throw new UsageError(`${err.message}\nUsage: node cli.js ${command.usage}`);
+    }
+    return command.run(args.values, args.positionals);
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2))
+        .then(() => destroy())
+        .catch(async err => {
+            console.error(err instanceof UsageError ? err.message : `Command failed: ${err.message}`);
+            await destroy();
+            process.exit(1);
+        });
+}
+
+module.exports = { run, commands, UsageError };
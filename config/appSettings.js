@@ -1,3 +1,27 @@
+// BASE_PATH is the path the app is served under, e.g. /usr/326 behind the
+// department's reverse proxy; leave it unset to serve from the root.
+// BASE_URL is the absolute URL of that location, used for links that leave
+// the page (API docs servers, client-side requests).
+const normalizeBasePath = (value = '') => {
+    const trimmed = value.trim().replace(/\/+$/, '');
+    return trimmed && !trimmed.startsWith('/') ? `/${trimmed}` : trimmed;
+};
+
+const basePath = normalizeBasePath(process.env.BASE_PATH);
+
+// TRUST_PROXY says whose X-Forwarded-For to believe, so req.ip is the
+// client's address rather than the proxy's: a hop count (1 for the one
+// proxy in front), true, or addresses and subnets such as
+// "loopback, 10.0.0.0/8". Leave it unset when clients connect directly.
+const parseTrustProxy = (value = '') => {
+    const trimmed = value.trim();
+    if (!trimmed || trimmed === 'false') return false;
+    if (trimmed === 'true') return true;
+    return /^\d+$/.test(trimmed) ? Number(trimmed) : trimmed;
+};
+
 module.exports = {
-    baseUrl: process.env.BASE_URL || `http://localhost:${process.env.PORT || 8000}`,
-};
\ No newline at end of file
+    basePath,
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+    baseUrl: (process.env.BASE_URL || `http://localhost:${process.env.PORT || 8000}${basePath}`).replace(/\/+$/, ''),
+};
@@ -1,75 +1,23 @@
-const mysql = require('mysql2');
-const logger = require('../logger');
-
-const config = {
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'continuum_reader_app',
-    password: process.env.DB_PASS || 'qwertyuiop',
-    database: process.env.DB_NAME || 'continuum_reader',
+// Pick the database driver from DB_DRIVER. Every driver exposes the same
+// { dialect, query, getConnection, destroy, stats, db } interface.
+//   mysql  - connection pool against a MySQL server (default, production)
+//   sqlite - SQLite file or in-memory database for local work and tests
+//   memory - shorthand for sqlite with DB_SQLITE_FILE=:memory:
+
+const drivers = {
+    mysql: './drivers/mysql',
+    sqlite: './drivers/sqlite',
+    memory: './drivers/sqlite'
 };
 
-let db;
-
-/**
- * (Re)create the connection and wire up automatic reconnect on loss.
- */
-function ensureConnection() {
-    db = mysql.createConnection(config);
-
-    db.connect(err => {
-        if (err) {
-            logger.error('DB Connection error', { error: err });
-            return;
-        }
-        logger.info('DB Connected');
-    });
+const name = (process.env.DB_DRIVER || 'mysql').toLowerCase();
 
-    db.on('error', err => {
-        logger.error('DB error event', { code: err.code, message: err.message });
-        // If connection lost, recursively reconnect
-        if (err.code === 'PROTOCOL_CONNECTION_LOST' || err.fatal) {
-            ensureConnection();
-        } else {
-            throw err;
-        }
-    });
+if (!drivers[name]) {
+    throw new Error(`Unknown DB_DRIVER "${name}"; expected one of: ${Object.keys(drivers).join(', ')}`);
 }
 
-// initialize first connection
-ensureConnection();
-
-const query = (sql, params = []) => {
-    // if the socket is closed, mysql2 sets state to 'disconnected'
-    if (db.state === 'disconnected') {
-        logger.warn('DB was disconnected; reconnecting before query');
-        ensureConnection();
-    }
-
-    logger.debug('DB Executing', { sql, params });
-    return new Promise((resolve, reject) => {
-        db.query(sql, params, (err, results) => {
-            if (err) {
-                logger.error('DB Query error', {
-                    code: err.code,
-                    message: err.sqlMessage,
-                    sql,
-                    params
-                });
-                return reject(err);
-            }
-            resolve(results);
-        });
-    });
-};
-
-/**
- * Forcefully close the DB connection
- * (Used for testing)
- */
-const destroy = () => {
-    if (db && db.state !== 'disconnected') {
-        db.destroy();
-    }
-};
+if (name === 'memory') {
+    process.env.DB_SQLITE_FILE = ':memory:';
+}
 
-module.exports = { query, destroy, db };
\ No newline at end of file
+module.exports = require(drivers[name]);
@@ -0,0 +1,186 @@
+const mysql = require('mysql2');
+const logger = require('../../logger');
+const { startQuery } = require('../../utils/queryProfiler');
+
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) ? fallback : value;
+};
+
+const config = {
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'continuum_reader_app',
+    password: process.env.DB_PASS || 'qwertyuiop',
+    database: process.env.DB_NAME || 'continuum_reader',
+};
+
+const poolConfig = {
+    ...config,
+    waitForConnections: true,
+    connectionLimit: envInt('DB_POOL_SIZE', 10),      // max open connections
+    queueLimit: envInt('DB_POOL_QUEUE_LIMIT', 0),     // 0 = unbounded wait queue
+    maxIdle: envInt('DB_POOL_MAX_IDLE', envInt('DB_POOL_SIZE', 10)),
+    idleTimeout: envInt('DB_POOL_IDLE_TIMEOUT', 60000), // ms before an idle connection is evicted
+    connectTimeout: envInt('DB_CONNECT_TIMEOUT', 10000),
+};
+
+const acquireTimeout = envInt('DB_POOL_ACQUIRE_TIMEOUT', 10000);
+const statsInterval = envInt('DB_POOL_STATS_INTERVAL', 0);
+
+const db = mysql.createPool(poolConfig);
+
+db.on('connection', conn => {
+    logger.debug('DB pool opened connection', { threadId: conn.threadId });
+    // Errors on an individual socket must never bubble up as uncaught
+    conn.on('error', err => {
+        logger.error('DB connection error event', { code: err.code, message: err.message });
+    });
+});
+
+db.on('enqueue', () => {
+    logger.warn('DB pool exhausted; request queued', stats());
+});
+
+logger.info('DB pool created', {
+    host: poolConfig.host,
+    database: poolConfig.database,
+    connectionLimit: poolConfig.connectionLimit,
+    queueLimit: poolConfig.queueLimit,
+    idleTimeout: poolConfig.idleTimeout,
+    acquireTimeout
+});
+
+/**
+ * Snapshot of pool usage (total, free, in use and queued requests).
+ */
+function stats() {
+    const total = db._allConnections?.length || 0;
+    const free = db._freeConnections?.length || 0;
+    return {
+        total,
+        free,
+        inUse: total - free,
+        queued: db._connectionQueue?.length || 0,
+        limit: poolConfig.connectionLimit
+    };
+}
+
+if (statsInterval > 0) {
+    setInterval(() => logger.info('DB pool stats', stats()), statsInterval).unref();
+}
+
+/**
+ * Take a connection from the pool, failing after `acquireTimeout` ms.
+ */
+function acquire() {
+    return new Promise((resolve, reject) => {
+        let timedOut = false;
+        const timer = acquireTimeout > 0 && setTimeout(() => {
+            timedOut = true;
+            logger.error('DB pool acquire timeout', { acquireTimeout, ...stats() });
+            const err = new Error(`Timed out after ${acquireTimeout}ms waiting for a DB connection`);
+            err.code = 'POOL_ACQUIRE_TIMEOUT';
+            reject(err);
+        }, acquireTimeout);
+
+        db.getConnection((err, conn) => {
+            if (timer) clearTimeout(timer);
+            if (timedOut) {
+                // Caller already gave up; hand the connection straight back
+                if (conn) conn.release();
+                return;
+            }
+            if (err) {
+                logger.error('DB Connection error', { code: err.code, message: err.message });
+                return reject(err);
+            }
+            resolve(conn);
+        });
+    });
+}
+
+// Runs straight on the pool so the EXPLAIN itself is not profiled
+const explain = (sql, params) => new Promise((resolve, reject) => {
+    db.query(`EXPLAIN ${sql}`, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+function run(conn, sql, params) {
+    logger.debug('DB Executing', { sql, params, threadId: conn.threadId });
+    const done = startQuery(sql, params, explain);
+    return new Promise((resolve, reject) => {
+        conn.query(sql, params, (err, results) => {
+            done();
+            if (err) {
+                logger.error('DB Query error', {
+                    code: err.code,
+                    message: err.sqlMessage,
+                    sql,
+                    params
+                });
+                return reject(err);
+            }
+            resolve(results);
+        });
+    });
+}
+
+const query = async (sql, params = []) => {
+    const conn = await acquire();
+    try {
+        return await run(conn, sql, params);
+    } finally {
+        conn.release();
+    }
+};
+
+/**
+ * Check out a pooled connection, used for transactions so their statements
+ * all run on the same socket. Resolves to `{ query, release }`; callers
+ * must always `release()`.
+ */
+const getConnection = async () => {
+    const conn = await acquire();
+    let released = false;
+
+    return {
+        dialect: 'mysql',
+        query: (sql, params = []) => run(conn, sql, params),
+        release: () => {
+            if (released) return;
+            released = true;
+            conn.release();
+        }
+    };
+};
+
+/**
+ * Run a multi-statement SQL script (seed data) on one connection.
+ * Statements are split at semicolons that end a line.
+ */
+const exec = async (sql) => {
+    const conn = await acquire();
+    try {
+        for (const statement of sql.split(/;\s*$/m)) {
+            if (statement.replace(/--.*$/gm, '').trim()) {
+                await run(conn, statement, []);
+            }
+        }
+    } finally {
+        conn.release();
+    }
+};
+
+/**
+ * Close every pooled connection
+ * (Used for testing and graceful shutdown)
+ */
+const destroy = () => {
+    return new Promise(resolve => {
+        db.end(err => {
+            if (err) logger.warn('DB pool close error', { message: err.message });
+            resolve();
+        });
+    });
+};
+
+module.exports = { dialect: 'mysql', query, getConnection, exec, destroy, stats, db };
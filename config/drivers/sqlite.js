@@ -0,0 +1,194 @@
+const Database = require('better-sqlite3');
+const logger = require('../../logger');
+const { startQuery } = require('../../utils/queryProfiler');
+
+// ':memory:' (default) gives every process a fresh, empty database
+const file = process.env.DB_SQLITE_FILE || ':memory:';
+
+const db = new Database(file);
+db.pragma('foreign_keys = ON');
+if (file !== ':memory:') {
+    db.pragma('journal_mode = WAL');
+}
+
+// ---- MySQL functions the schema and services rely on ----
+
+// Same rules as the generate_vanity procedure in the MySQL baseline migration
+function generateVanity(title) {
+    if (title === null || title === undefined) return null;
+    const cleaned = String(title)
+        .replace(/[&<>"']/g, '')
+        .replace(/^ +| +$/g, '')
+        .replace(/ {2,}/g, ' ');
+
+    return cleaned
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        .join('-');
+}
+
+const toDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+db.function('generate_vanity', { deterministic: true }, generateVanity);
+db.function('CHAR_LENGTH', { deterministic: true }, s => (s === null ? null : [...String(s)].length));
+db.function('NOW', () => toDateTime(new Date()));
+
+logger.info('SQLite database opened', { file });
+
+// ---- Result shaping so callers see what mysql2 would return ----
+
+const DATE_TYPES = /^(DATETIME|TIMESTAMP|DATE)$/i;
+const DATE_VALUE = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}:\d{2}(\.\d+)?)?$/;
+
+// SQLite stores CURRENT_TIMESTAMP as UTC text; mysql2 hands back Date objects
+const parseDate = (value) => {
+    if (typeof value !== 'string' || !DATE_VALUE.test(value)) return value;
+    return new Date(`${value.replace(' ', 'T')}${value.length > 10 ? 'Z' : 'T00:00:00Z'}`);
+};
+
+const toParam = (value) => {
+    if (value === undefined) return null;
+    if (value instanceof Date) return toDateTime(value);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+};
+
+// Constraint failures reuse the MySQL error codes that callers check for
+const MYSQL_CODES = {
+    SQLITE_CONSTRAINT_UNIQUE: 'ER_DUP_ENTRY',
+    SQLITE_CONSTRAINT_PRIMARYKEY: 'ER_DUP_ENTRY',
+    SQLITE_CONSTRAINT_FOREIGNKEY: 'ER_NO_REFERENCED_ROW_2',
+    SQLITE_CONSTRAINT_NOTNULL: 'ER_BAD_NULL_ERROR',
+    SQLITE_CONSTRAINT_CHECK: 'ER_CHECK_CONSTRAINT_VIOLATED'
+};
+
+const statements = new Map();
+const STATEMENT_CACHE_SIZE = 200;
+
+function prepare(sql) {
+    let stmt = statements.get(sql);
+    if (!stmt) {
+        stmt = db.prepare(sql);
+        if (statements.size >= STATEMENT_CACHE_SIZE) {
+            statements.delete(statements.keys().next().value);
+        }
+        statements.set(sql, stmt);
+    }
+    return stmt;
+}
+
+// Read-only, so it can run on the connection even while a transaction holds it
+const explain = async (sql, params) => db.prepare(`EXPLAIN QUERY PLAN ${sql}`).all(params.map(toParam));
+
+function execute(sql, params = []) {
+    logger.debug('DB Executing', { sql, params });
+    const done = startQuery(sql, params, explain);
+    try {
+        const stmt = prepare(sql);
+        const values = params.map(toParam);
+
+        if (!stmt.reader) {
+            const info = stmt.run(values);
+            return { insertId: Number(info.lastInsertRowid), affectedRows: info.changes };
+        }
+
+        const dateColumns = stmt.columns()
+            .filter(col => col.type && DATE_TYPES.test(col.type))
+            .map(col => col.name);
+        const rows = stmt.all(values);
+        if (dateColumns.length) {
+            rows.forEach(row => dateColumns.forEach(name => {
+                row[name] = parseDate(row[name]);
+            }));
+        }
+        return rows;
+    } catch (err) {
+        logger.error('DB Query error', { code: err.code, message: err.message, sql, params });
+        if (MYSQL_CODES[err.code]) {
+            err.sqliteCode = err.code;
+            err.code = MYSQL_CODES[err.code];
+        }
+        throw err;
+    } finally {
+        done();
+    }
+}
+
+// ---- One connection, handed out to one caller at a time ----
+// Transactions hold it until release(), so no other statement can interleave.
+
+let tail = Promise.resolve();
+let queued = 0;
+let busy = false;
+
+function acquire() {
+    let release;
+    const turn = new Promise(resolve => { release = resolve; });
+    const ready = tail.then(() => {
+        queued--;
+        busy = true;
+        return () => {
+            busy = false;
+            release();
+        };
+    });
+    queued++;
+    tail = tail.then(() => turn);
+    return ready;
+}
+
+const query = async (sql, params = []) => {
+    const release = await acquire();
+    try {
+        return execute(sql, params);
+    } finally {
+        release();
+    }
+};
+
+/**
+ * Check out the connection for a transaction. Resolves to
+ * `{ query, release }`; callers must always `release()`.
+ */
+const getConnection = async () => {
+    const releaseTurn = await acquire();
+    let released = false;
+
+    return {
+        dialect: 'sqlite',
+        query: async (sql, params = []) => execute(sql, params),
+        release: () => {
+            if (released) return;
+            released = true;
+            releaseTurn();
+        }
+    };
+};
+
+/**
+ * Run a multi-statement SQL script (schema files, seed data)
+ */
+const exec = async (sql) => {
+    const release = await acquire();
+    try {
+        db.exec(sql);
+    } finally {
+        release();
+    }
+};
+
+function stats() {
+    return {
+        total: 1,
+        free: busy ? 0 : 1,
+        inUse: busy ? 1 : 0,
+        queued,
+        limit: 1
+    };
+}
+
+const destroy = async () => {
+    if (db.open) db.close();
+};
+
+module.exports = { dialect: 'sqlite', inMemory: file === ':memory:', query, getConnection, exec, destroy, stats, db, generateVanity };
@@ -0,0 +1,41 @@
+// Sign-in brute-force protection settings (services/loginThrottleService.js).
+//
+// Failed attempts are counted per account (the email tried) and per client
+// IP within LOGIN_ATTEMPT_WINDOW_MINUTES. Each failure is answered a little
+// later than the last (LOGIN_DELAY_BASE_MS, doubling up to LOGIN_DELAY_MAX_MS),
+// and reaching LOGIN_MAX_ATTEMPTS for an account or LOGIN_MAX_ATTEMPTS_PER_IP
+// for an IP locks it out for LOGIN_LOCKOUT_MINUTES.
+//
+// The IP is req.ip. Behind a reverse proxy, set TRUST_PROXY
+// (config/appSettings.js) so it is the client's address; otherwise every
+// client shares the proxy's and one attacker can lock everyone out.
+//
+// LOGIN_THROTTLE_STORE picks where the counts live:
+//   memory - in this process (default); fine for development
+//   db     - the login_throttle table, shared by every app process
+
+const stores = {
+    memory: './loginThrottleStores/memory',
+    db: './loginThrottleStores/db'
+};
+
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) ? fallback : value;
+};
+
+const storeName = (process.env.LOGIN_THROTTLE_STORE || 'memory').toLowerCase();
+
+if (!stores[storeName]) {
+    throw new Error(`Unknown LOGIN_THROTTLE_STORE "${storeName}"; expected one of: ${Object.keys(stores).join(', ')}`);
+}
+
+module.exports = {
+    store: require(stores[storeName]),
+    maxAccountFailures: envInt('LOGIN_MAX_ATTEMPTS', 5),
+    maxIpFailures: envInt('LOGIN_MAX_ATTEMPTS_PER_IP', 20),
+    windowMs: envInt('LOGIN_ATTEMPT_WINDOW_MINUTES', 15) * 60 * 1000,
+    lockoutMs: envInt('LOGIN_LOCKOUT_MINUTES', 15) * 60 * 1000,
+    delayBaseMs: envInt('LOGIN_DELAY_BASE_MS', 250),
+    delayMaxMs: envInt('LOGIN_DELAY_MAX_MS', 5000)
+};
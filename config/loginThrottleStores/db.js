@@ -0,0 +1,66 @@
+// Failure counts in the login_throttle table, shared by every process
+const db = require('../../utils/queryBuilder');
+
+const toRecord = (row) => ({
+    failures: Number(row.failures),
+    firstFailedAt: new Date(row.first_failed_at),
+    lockedUntil: row.locked_until ? new Date(row.locked_until) : null,
+    expiresAt: new Date(row.expires_at)
+});
+
+async function get(key) {
+    const row = await db.table('login_throttle')
+        .whereField('throttle_key', key)
+        .where('expires_at', '>', new Date())
+        .first();
+    return row ? toRecord(row) : null;
+}
+
+/**
+ * Count a failure and return the new count. The upsert holds the row until
+ * the transaction ends, so concurrent failures each count and each sees its
+ * own total. A key with no failures since `now - windowMs` starts again at
+ * 1; reaching `max` locks it for `lockoutMs`.
+ */
+async function increment(key, { now, windowMs, max, lockoutMs }) {
+    const windowStart = new Date(now.getTime() - windowMs);
+    const windowEnd = new Date(now.getTime() + windowMs);
+    const restart = (fresh, kept, params = []) =>
+        db.raw(`CASE WHEN first_failed_at < ? THEN ${fresh} ELSE ${kept} END`, [windowStart, ...params]);
+
+    return db.transaction(async trx => {
+        // Every assignment reads the row as it was (MySQL reads columns
+        // already assigned, so first_failed_at goes last)
+        await trx.table('login_throttle').upsert({
+            throttle_key: key,
+            failures: 1,
+            first_failed_at: now,
+            locked_until: null,
+            expires_at: windowEnd
+        }, {
+            conflictKeys: ['throttle_key'],
+            update: {
+                failures: restart('1', 'failures + 1'),
+                locked_until: restart('NULL', 'locked_until'),
+                expires_at: restart('?', 'expires_at', [windowEnd]),
+                first_failed_at: restart('?', 'first_failed_at', [now])
+            }
+        });
+
+        const record = toRecord(await trx.table('login_throttle').whereField('throttle_key', key).first());
+        if (record.failures >= max) {
+            record.lockedUntil = new Date(now.getTime() + lockoutMs);
+            record.expiresAt = new Date(Math.max(record.expiresAt, record.lockedUntil));
+            await trx.table('login_throttle')
+                .whereField('throttle_key', key)
+                .update({ locked_until: record.lockedUntil, expires_at: record.expiresAt });
+        }
+        return { failures: record.failures, lockedUntil: record.lockedUntil };
+    });
+}
+
+async function remove(key) {
+    await db.table('login_throttle').whereField('throttle_key', key).delete();
+}
+
+module.exports = { name: 'db', get, increment, remove };
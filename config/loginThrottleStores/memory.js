@@ -0,0 +1,44 @@
+// Failure counts in this process only: they reset on restart and each
+// process counts separately, which is fine for development
+const records = new Map();
+
+// Drop expired records once the map grows past this
+const SWEEP_AT = 10000;
+
+function sweep(now) {
+    records.forEach((record, key) => {
+        if (record.expiresAt <= now) records.delete(key);
+    });
+}
+
+async function get(key) {
+    const record = records.get(key);
+    if (!record || record.expiresAt <= new Date()) {
+        records.delete(key);
+        return null;
+    }
+    return { ...record };
+}
+
+// Read and write in the same tick, so concurrent failures each count
+async function increment(key, { now, windowMs, max, lockoutMs }) {
+    if (records.size >= SWEEP_AT) sweep(now);
+
+    const record = records.get(key);
+    const fresh = !record || now - record.firstFailedAt > windowMs;
+    const failures = fresh ? 1 : record.failures + 1;
+    const firstFailedAt = fresh ? now : record.firstFailedAt;
+    const lockedUntil = failures >= max
+        ? new Date(now.getTime() + lockoutMs)
+        : (fresh ? null : record.lockedUntil);
+    const expiresAt = new Date(Math.max(firstFailedAt.getTime() + windowMs, lockedUntil ? lockedUntil.getTime() : 0));
+
+    records.set(key, { failures, firstFailedAt, lockedUntil, expiresAt });
+    return { failures, lockedUntil };
+}
+
+async function remove(key) {
+    records.delete(key);
+}
+
+module.exports = { name: 'memory', get, increment, remove };
@@ -0,0 +1,19 @@
+// Pick the mail transport from MAIL_TRANSPORT. Every transport exposes the
+// same { name, send(message) } interface, where message is
+// { from, to, subject, text }.
+//   file   - writes each message to MAIL_DIR (default tmp/mail) as an .eml
+//            file; the stand-in for SMTP in development (default)
+//   memory - keeps messages in an array, for tests
+
+const transports = {
+    file: './mailers/file',
+    memory: './mailers/memory'
+};
+
+const name = (process.env.MAIL_TRANSPORT || 'file').toLowerCase();
+
+if (!transports[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"; expected one of: ${Object.keys(transports).join(', ')}`);
+}
+
+module.exports = require(transports[name]);
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../logger');
+
+const dir = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'tmp', 'mail'));
+
+// Plain-text RFC 5322 message, readable as-is or by any mail client
+const format = ({ from, to, subject, text }, date) => [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${date.toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text
+].join('\r\n');
+
+async function send(message) {
+    const date = new Date();
+    const file = path.join(dir, `${date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}.eml`);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(file, format(message, date));
+    logger.info('Mail written', { to: message.to, subject: message.subject, file });
+    return { id: path.basename(file) };
+}
+
+module.exports = { name: 'file', send };
@@ -0,0 +1,9 @@
+// Messages stay in `sent`, newest last, so tests can read them back
+const sent = [];
+
+async function send(message) {
+    sent.push({ ...message, date: new Date() });
+    return { id: String(sent.length) };
+}
+
+module.exports = { name: 'memory', send, sent };
@@ -9,18 +9,34 @@ const session = require('express-session');
 const expressSanitizer = require('express-sanitizer');
 const MySQLStore = require('express-mysql-session')(session);
 const loadRoutes = require('./routeLoader');
+const { dialect, inMemory } = require('./config/db');
+const migrator = require('./utils/migrator');
+const { requestProfiler, resumeProfiler } = require('./utils/queryProfiler');
+const { buildPageQuery } = require('./utils/pagination');
+const { serveApiDocs } = require('./utils/openapi');
+const { asyncHandler, notFoundHandler, errorHandler } = require('./utils/errorHandler');
+const { refreshSession } = require('./utils/sessions');
+const { bearerAuth } = require('./utils/apiTokens');
+const { can } = require('./utils/permissions');
+const { url, route } = require('./utils/urls');
+const { basePath, baseUrl, trustProxy } = require('./config/appSettings');
 const cors = require('cors');
 
 const app = express();
 const port = process.env.PORT || 8000;
 
-// Use express-session
-const sessionStore = new MySQLStore({
-    host: process.env.DB_HOST,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASS,
-    database: process.env.DB_NAME
-});
+// req.ip is the client's address only if the reverse proxy is trusted
+app.set('trust proxy', trustProxy);
+
+// Use express-session (sessions only persist in MySQL; other drivers keep them in memory)
+const sessionStore = dialect === 'mysql'
+    ? new MySQLStore({
+        host: process.env.DB_HOST,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASS,
+        database: process.env.DB_NAME
+    })
+    : new session.MemoryStore();
 
 // CORS configuration
 const allowedOrigins = [
@@ -43,19 +59,32 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
-// 1) mount express session
-app.use(session({
+// Time every DB query per request, the token lookup's and the session store's included
+app.use(requestProfiler);
+
+// 1) mount express session; API token requests carry their identity in the
+// token instead, so they neither read nor set the cookie (utils/apiTokens.js)
+const sessionMiddleware = session({
     key: 'connect.sid',
     secret: process.env.SESSION_SECRET || 'keyboard cat',
     store: sessionStore,
     resave: false,
     saveUninitialized: false,
     cookie: { maxAge: 1000 * 60 * 60 * 24 } // 1 day
-}));
+});
+app.use(asyncHandler(bearerAuth));
+app.use((req, res, next) => (req.apiToken ? next() : sessionMiddleware(req, res, next)));
 
-// 2) expose session to all views
+// The session store's callbacks don't keep the profiling context
+app.use(resumeProfiler);
+
+// Pick up role changes, suspensions and revoked sessions since the user signed in
+app.use(asyncHandler(refreshSession));
+
+// 2) expose session and permission checks to all views
 app.use((req, res, next) => {
     res.locals.session = req.session;
+    res.locals.can = (permission) => can(req, permission);
     next();
 });
 
@@ -75,42 +104,47 @@ app.use(express.json());
 app.use(expressSanitizer());
 
 // Set up public folder (for css and statis js)
-app.use(express.static(path.join(__dirname, 'public')));
+app.use(basePath || '/', express.static(path.join(__dirname, 'public')));
 
 // Define our application-specific data
 app.locals.appData = {
     appName: process.env.APP_NAME || 'Unnamed App'
 };
 
+// Expose page link builder for the shared pagination partial
 app.use((req, res, next) => {
-    const depth = req.path.split('/').filter(Boolean).length; // count segments ignoring empty
-    res.locals.relativePrefix = '../'.repeat(depth);
-    next();
-});
-
-// Patch res.redirect
-app.use((req, res, next) => {
-    const originalRedirect = res.redirect.bind(res);
-    res.redirect = function (url) {
-        if (typeof url === 'string' && url.startsWith('/')) {
-            if (!url.startsWith('/usr/326/')) {
-                url = '/usr/326' + (url === '/' ? '/' : url);
-            }
-        }
-        return originalRedirect(url);
-    };
+    res.locals.pageQuery = page => buildPageQuery(req.query, page);
     next();
 });
 
-app.locals.baseUrl = process.env.BASE_URL || `http://localhost:${port}`;
-
-app.use((req, res, next) => {
-    res.locals.baseUrl = app.locals.baseUrl;
-    next();
-});
+// Link helpers for views: route('story.show', { username, vanity }), url('/main.css')
+app.locals.route = route;
+app.locals.url = url;
+app.locals.baseUrl = baseUrl;
 
 // Dynamically load the route handlers
 loadRoutes(app);
 
-// Start the web app listening
-app.listen(port, () => console.log(`Node app listening on port ${port}!`));
\ No newline at end of file
+// OpenAPI documents for the api-* routes, and a page to browse and try them
+serveApiDocs(app);
+
+// Anything not handled above: JSON envelope for /api/*, the error page otherwise
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Start the web app listening when run directly; tests require() the app instead
+if (require.main === module) {
+    // An in-memory database starts empty, so build the schema before serving
+    const ready = inMemory || process.env.DB_MIGRATE_ON_START === 'true'
+        ? migrator.migrate()
+        : Promise.resolve();
+
+    ready.then(() => {
+        app.listen(port, () => console.log(`Node app listening on port ${port}!`));
+    }).catch(err => {
+        console.error(`Failed to prepare the database: ${err.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = app;
@@ -25,6 +25,7 @@ const logFormat = format.printf(({ timestamp, level, message, ...meta }) => {
 
 const logger = createLogger({
     level: process.env.LOG_LEVEL || 'info',
+    silent: process.env.LOG_SILENT === 'true',
     format: format.combine(
         format.timestamp(),
         logFormat
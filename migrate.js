@@ -0,0 +1,22 @@
+// Kept for existing scripts and habits: `node migrate.js <migrate|rollback|status>`
+// runs the matching migrate command of the management CLI (cli.js).
+
+const { run } = require('./cli');
+const { destroy } = require('./config/db');
+
+const usage = 'Usage: node migrate.js <migrate|rollback|status>';
+
+const command = process.argv[2] || 'status';
+
+if (!['migrate', 'rollback', 'status'].includes(command)) {
+    console.error(usage);
+    process.exit(1);
+}
+
+run([command === 'migrate' ? 'migrate' : `migrate:${command}`])
+    .then(() => destroy())
+    .catch(async err => {
+        console.error(`Migration ${command} failed: ${err.message}`);
+        await destroy();
+        process.exit(1);
+    });
@@ -0,0 +1,344 @@
+// Baseline schema: tables, views, the generate_vanity procedure and the stories vanity triggers.
+// Every statement is idempotent so databases created from the old create_db.sql can adopt it.
+// The SQLite version below mirrors it for the local/test driver.
+
+const tables = [
+    // Users
+    `CREATE TABLE IF NOT EXISTS users (
+      id            INT AUTO_INCREMENT PRIMARY KEY,
+      username      VARCHAR(50) NOT NULL UNIQUE,
+      email         VARCHAR(100) NOT NULL UNIQUE,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at    DATETIME   NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB`,
+
+    // Collections
+    `CREATE TABLE IF NOT EXISTS collections (
+      id          INT AUTO_INCREMENT PRIMARY KEY,
+      title       VARCHAR(100) NOT NULL,
+      description TEXT,
+      user_id     INT NOT NULL,
+      created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB`,
+
+    // Stories
+    `CREATE TABLE IF NOT EXISTS stories (
+      id            INT AUTO_INCREMENT PRIMARY KEY,
+      title         VARCHAR(150) NOT NULL,
+      vanity        VARCHAR(200) NOT NULL DEFAULT '',
+      synopsis      TEXT,
+      user_id       INT NOT NULL,
+      created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB`,
+
+    // Chapters
+    `CREATE TABLE IF NOT EXISTS chapters (
+      id          INT AUTO_INCREMENT PRIMARY KEY,
+      story_id    INT NOT NULL,
+      chapter_num INT NOT NULL,
+      title       VARCHAR(150),
+      content     LONGTEXT NOT NULL,
+      created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (story_id) REFERENCES stories(id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_story_chapter (story_id, chapter_num)
+    ) ENGINE=InnoDB`,
+
+    // Story-Collection pivot (many-to-many)
+    `CREATE TABLE IF NOT EXISTS story_collections (
+      story_id      INT NOT NULL,
+      collection_id INT NOT NULL,
+      PRIMARY KEY (story_id, collection_id),
+      FOREIGN KEY (story_id)      REFERENCES stories(id)     ON DELETE CASCADE,
+      FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB`,
+
+    // Favorites (user bookmarks stories)
+    `CREATE TABLE IF NOT EXISTS favorites (
+      user_id   INT NOT NULL,
+      story_id  INT NOT NULL,
+      favorited_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, story_id),
+      FOREIGN KEY (user_id)  REFERENCES users(id)   ON DELETE CASCADE,
+      FOREIGN KEY (story_id) REFERENCES stories(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB`,
+
+    // Ratings (user ratings of stories)
+    `CREATE TABLE IF NOT EXISTS ratings (
+      user_id   INT  NOT NULL,
+      story_id  INT  NOT NULL,
+      rating    TINYINT UNSIGNED NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      rated_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, story_id),
+      FOREIGN KEY (user_id)  REFERENCES users(id)   ON DELETE CASCADE,
+      FOREIGN KEY (story_id) REFERENCES stories(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB`,
+
+    // Comments (on chapters)
+    `CREATE TABLE IF NOT EXISTS comments (
+      id           INT AUTO_INCREMENT PRIMARY KEY,
+      user_id      INT NOT NULL,
+      chapter_id   INT NOT NULL,
+      parent_id    INT DEFAULT NULL,
+      content      TEXT NOT NULL,
+      created_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      is_deleted   tinyint(1) NOT NULL DEFAULT '0',
+      FOREIGN KEY (user_id)    REFERENCES users(id)    ON DELETE CASCADE,
+      FOREIGN KEY (chapter_id) REFERENCES chapters(id) ON DELETE CASCADE,
+      FOREIGN KEY (parent_id)  REFERENCES comments(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB`
+];
+
+const views = [
+    // Story Summary (ratings, comments, chapters all joined in one table)
+    `CREATE OR REPLACE VIEW story_summary AS
+    SELECT
+      s.*,
+      u.username,
+      COUNT(DISTINCT c.id)     AS chapter_count,
+      AVG(r.rating)            AS avg_rating,
+      COUNT(DISTINCT r.user_id) AS rating_count
+    FROM stories AS s
+      JOIN users    AS u ON s.user_id = u.id
+      LEFT JOIN chapters AS c ON c.story_id = s.id
+      LEFT JOIN ratings  AS r ON r.story_id  = s.id
+    GROUP BY s.id, u.username`,
+
+    // Collection Summary (stories, ratings, users all joined in one table)
+    `CREATE OR REPLACE VIEW collection_summary AS
+    SELECT
+      col.*,
+      u.username,
+      COUNT(DISTINCT sc.story_id)     AS story_count,
+      AVG(r.rating)                   AS avg_rating,
+      COUNT(DISTINCT r.user_id)       AS rating_count
+    FROM collections AS col
+      JOIN users AS u ON col.user_id = u.id
+      LEFT JOIN story_collections AS sc ON sc.collection_id = col.id
+      LEFT JOIN ratings AS r ON r.story_id = sc.story_id
+    GROUP BY col.id, u.username`,
+
+    // Chapter Comments (user details with comments)
+    `CREATE OR REPLACE VIEW comments_with_users AS
+    SELECT
+        c.*,
+        u.username
+    FROM comments c
+    JOIN users u ON c.user_id = u.id
+    ORDER BY c.created_at ASC`
+];
+
+// No DELIMITER needed: each routine is sent to the server as a single statement
+const routines = [
+    'DROP PROCEDURE IF EXISTS `generate_vanity`',
+    `CREATE PROCEDURE \`generate_vanity\`(IN input_title VARCHAR(150), OUT output_vanity VARCHAR(200))
+    BEGIN
+      DECLARE cleaned_title VARCHAR(200);
+      DECLARE word VARCHAR(100);
+      DECLARE result VARCHAR(200) DEFAULT '';
+      DECLARE i INT DEFAULT 1;
+      DECLARE count INT;
+
+      -- Basic sanitize and normalize spaces
+      SET cleaned_title = TRIM(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(input_title, '&', ''), '<', ''), '>', ''), '"', ''), '''', ''));
+      WHILE INSTR(cleaned_title, '  ') > 0 DO
+        SET cleaned_title = REPLACE(cleaned_title, '  ', ' ');
+      END WHILE;
+
+      SET count = 1 + LENGTH(cleaned_title) - LENGTH(REPLACE(cleaned_title, ' ', ''));
+
+      WHILE i <= count DO
+        SET word = SUBSTRING_INDEX(SUBSTRING_INDEX(cleaned_title, ' ', i), ' ', -1);
+        SET word = CONCAT(UPPER(LEFT(word,1)), LOWER(SUBSTRING(word,2)));
+        IF i = 1 THEN
+          SET result = word;
+        ELSE
+          SET result = CONCAT(result, '-', word);
+        END IF;
+        SET i = i + 1;
+      END WHILE;
+
+      SET output_vanity = result;
+    END`,
+
+    // STORIES Insert Trigger for vanity
+    'DROP TRIGGER IF EXISTS `before_stories_insert`',
+    `CREATE TRIGGER \`before_stories_insert\`
+    BEFORE INSERT ON \`stories\`
+    FOR EACH ROW
+    BEGIN
+      DECLARE v VARCHAR(200);
+      CALL generate_vanity(NEW.title, v);
+      SET NEW.vanity = v;
+    END`,
+
+    // STORIES Update Trigger for vanity
+    'DROP TRIGGER IF EXISTS `before_stories_update`',
+    `CREATE TRIGGER \`before_stories_update\`
+    BEFORE UPDATE ON \`stories\`
+    FOR EACH ROW
+    BEGIN
+      DECLARE v VARCHAR(200);
+      IF NEW.title <> OLD.title THEN
+        CALL generate_vanity(NEW.title, v);
+        SET NEW.vanity = v;
+      END IF;
+    END`
+];
+
+// ---- SQLite ----
+// Text columns MySQL compares case-insensitively use NOCASE; generate_vanity is
+// registered as a function by the SQLite driver, and the triggers run AFTER the
+// write because SQLite can't assign to NEW.
+
+const sqliteTables = [
+    `CREATE TABLE IF NOT EXISTS users (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      username      VARCHAR(50) NOT NULL UNIQUE COLLATE NOCASE,
+      email         VARCHAR(100) NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS collections (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      title       VARCHAR(100) NOT NULL COLLATE NOCASE,
+      description TEXT,
+      user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS stories (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      title       VARCHAR(150) NOT NULL COLLATE NOCASE,
+      vanity      VARCHAR(200) NOT NULL DEFAULT '' COLLATE NOCASE,
+      synopsis    TEXT,
+      user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS chapters (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      story_id    INTEGER NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+      chapter_num INTEGER NOT NULL,
+      title       VARCHAR(150),
+      content     TEXT NOT NULL,
+      created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (story_id, chapter_num)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS story_collections (
+      story_id      INTEGER NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+      collection_id INTEGER NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+      PRIMARY KEY (story_id, collection_id)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS favorites (
+      user_id      INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      story_id     INTEGER NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+      favorited_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, story_id)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS ratings (
+      user_id  INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      story_id INTEGER NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+      rating   TINYINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      rated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, story_id)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS comments (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      chapter_id INTEGER NOT NULL REFERENCES chapters(id) ON DELETE CASCADE,
+      parent_id  INTEGER DEFAULT NULL REFERENCES comments(id) ON DELETE CASCADE,
+      content    TEXT NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      is_deleted TINYINT NOT NULL DEFAULT 0
+    )`
+];
+
+// Same definitions as the MySQL views; SQLite has no CREATE OR REPLACE VIEW
+const sqliteViews = [
+    'DROP VIEW IF EXISTS story_summary',
+    views[0].replace('CREATE OR REPLACE VIEW', 'CREATE VIEW'),
+    'DROP VIEW IF EXISTS collection_summary',
+    views[1].replace('CREATE OR REPLACE VIEW', 'CREATE VIEW'),
+    'DROP VIEW IF EXISTS comments_with_users',
+    views[2].replace('CREATE OR REPLACE VIEW', 'CREATE VIEW')
+];
+
+const sqliteTriggers = [
+    'DROP TRIGGER IF EXISTS after_stories_insert',
+    `CREATE TRIGGER after_stories_insert
+    AFTER INSERT ON stories
+    FOR EACH ROW
+    BEGIN
+      UPDATE stories SET vanity = generate_vanity(NEW.title) WHERE id = NEW.id;
+    END`,
+
+    // Also stands in for MySQL's ON UPDATE CURRENT_TIMESTAMP on updated_at
+    'DROP TRIGGER IF EXISTS after_stories_update',
+    `CREATE TRIGGER after_stories_update
+    AFTER UPDATE ON stories
+    FOR EACH ROW
+    BEGIN
+      UPDATE stories SET
+        vanity = CASE WHEN NEW.title <> OLD.title THEN generate_vanity(NEW.title) ELSE NEW.vanity END,
+        updated_at = CASE WHEN NEW.updated_at IS OLD.updated_at THEN CURRENT_TIMESTAMP ELSE NEW.updated_at END
+      WHERE id = NEW.id;
+    END`
+];
+
+const dropTables = [
+    // Reverse dependency order
+    'DROP TABLE IF EXISTS comments',
+    'DROP TABLE IF EXISTS ratings',
+    'DROP TABLE IF EXISTS favorites',
+    'DROP TABLE IF EXISTS story_collections',
+    'DROP TABLE IF EXISTS chapters',
+    'DROP TABLE IF EXISTS stories',
+    'DROP TABLE IF EXISTS collections',
+    'DROP TABLE IF EXISTS users'
+];
+
+const dropViews = [
+    'DROP VIEW IF EXISTS comments_with_users',
+    'DROP VIEW IF EXISTS collection_summary',
+    'DROP VIEW IF EXISTS story_summary'
+];
+
+exports.up = async (db) => {
+    const statements = db.dialect === 'sqlite'
+        ? [...sqliteTables, ...sqliteViews, ...sqliteTriggers]
+        : [...tables, ...views, ...routines];
+    for (const sql of statements) {
+        await db.query(sql);
+    }
+};
+
+exports.down = async (db) => {
+    const statements = db.dialect === 'sqlite'
+        ? [
+            'DROP TRIGGER IF EXISTS after_stories_update',
+            'DROP TRIGGER IF EXISTS after_stories_insert',
+            ...dropViews,
+            ...dropTables
+        ]
+        : [
+            'DROP TRIGGER IF EXISTS `before_stories_update`',
+            'DROP TRIGGER IF EXISTS `before_stories_insert`',
+            'DROP PROCEDURE IF EXISTS `generate_vanity`',
+            ...dropViews,
+            ...dropTables
+        ];
+    for (const sql of statements) {
+        await db.query(sql);
+    }
+};
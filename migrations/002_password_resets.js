@@ -0,0 +1,44 @@
+// One-time password reset tokens (services/passwordResetService.js). Only a
+// SHA-256 hash of each token is stored; used_at marks a token as spent or
+// replaced by a newer one.
+//
+// users.session_version lets a reset sign the account out everywhere: each
+// session remembers the number from when it signed in, and bumping it ends
+// every older session on its next request (utils/sessions.js).
+
+const mysql = [
+    `CREATE TABLE IF NOT EXISTS password_resets (
+      id         INT AUTO_INCREMENT PRIMARY KEY,
+      user_id    INT NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      used_at    DATETIME NULL DEFAULT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_password_resets_user (user_id, created_at),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB`
+];
+
+const sqlite = [
+    `CREATE TABLE IF NOT EXISTS password_resets (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      used_at    DATETIME DEFAULT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_password_resets_user ON password_resets (user_id, created_at)'
+];
+
+exports.up = async (db) => {
+    for (const sql of db.dialect === 'sqlite' ? sqlite : mysql) {
+        await db.query(sql);
+    }
+    await db.query('ALTER TABLE users ADD COLUMN session_version INT NOT NULL DEFAULT 0');
+};
+
+exports.down = async (db) => {
+    await db.query('ALTER TABLE users DROP COLUMN session_version');
+    await db.query('DROP TABLE IF EXISTS password_resets');
+};
@@ -0,0 +1,12 @@
+// Email verification (services/emailVerificationService.js). New accounts
+// start with email_verified_at NULL; accounts that existed before this
+// migration are treated as verified.
+
+exports.up = async (db) => {
+    await db.query('ALTER TABLE users ADD COLUMN email_verified_at DATETIME NULL DEFAULT NULL');
+    await db.query('UPDATE users SET email_verified_at = created_at');
+};
+
+exports.down = async (db) => {
+    await db.query('ALTER TABLE users DROP COLUMN email_verified_at');
+};
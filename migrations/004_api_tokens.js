@@ -0,0 +1,42 @@
+// Personal access tokens for API clients (services/apiTokenService.js).
+// Only a SHA-256 hash of each token is stored; token_prefix is kept so
+// users can tell their tokens apart. Revoking a token deletes its row.
+
+const mysql = [
+    `CREATE TABLE IF NOT EXISTS api_tokens (
+      id           INT AUTO_INCREMENT PRIMARY KEY,
+      user_id      INT NOT NULL,
+      name         VARCHAR(100) NOT NULL,
+      token_hash   CHAR(64) NOT NULL UNIQUE,
+      token_prefix VARCHAR(16) NOT NULL,
+      scopes       VARCHAR(255) NOT NULL,
+      last_used_at DATETIME NULL DEFAULT NULL,
+      created_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_api_tokens_user (user_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB`
+];
+
+const sqlite = [
+    `CREATE TABLE IF NOT EXISTS api_tokens (
+      id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id      INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name         VARCHAR(100) NOT NULL,
+      token_hash   CHAR(64) NOT NULL UNIQUE,
+      token_prefix VARCHAR(16) NOT NULL,
+      scopes       VARCHAR(255) NOT NULL,
+      last_used_at DATETIME DEFAULT NULL,
+      created_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens (user_id)'
+];
+
+exports.up = async (db) => {
+    for (const sql of db.dialect === 'sqlite' ? sqlite : mysql) {
+        await db.query(sql);
+    }
+};
+
+exports.down = async (db) => {
+    await db.query('DROP TABLE IF EXISTS api_tokens');
+};
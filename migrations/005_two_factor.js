@@ -0,0 +1,51 @@
+// Two-factor authentication (services/twoFactorService.js). totp_secret is
+// set when enrolment starts and totp_enabled_at once the user has proved
+// their authenticator works; totp_last_step stops a code being used twice.
+// Recovery codes are bcrypt-hashed, like passwords.
+
+const mysql = [
+    `ALTER TABLE users
+      ADD COLUMN totp_secret     VARCHAR(64) NULL DEFAULT NULL,
+      ADD COLUMN totp_enabled_at DATETIME    NULL DEFAULT NULL,
+      ADD COLUMN totp_last_step  BIGINT      NULL DEFAULT NULL`,
+    `CREATE TABLE IF NOT EXISTS recovery_codes (
+      id         INT AUTO_INCREMENT PRIMARY KEY,
+      user_id    INT NOT NULL,
+      code_hash  VARCHAR(255) NOT NULL,
+      used_at    DATETIME NULL DEFAULT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_recovery_codes_user (user_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB`
+];
+
+const sqlite = [
+    'ALTER TABLE users ADD COLUMN totp_secret VARCHAR(64) DEFAULT NULL',
+    'ALTER TABLE users ADD COLUMN totp_enabled_at DATETIME DEFAULT NULL',
+    'ALTER TABLE users ADD COLUMN totp_last_step BIGINT DEFAULT NULL',
+    `CREATE TABLE IF NOT EXISTS recovery_codes (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash  VARCHAR(255) NOT NULL,
+      used_at    DATETIME DEFAULT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes (user_id)'
+];
+
+exports.up = async (db) => {
+    for (const sql of db.dialect === 'sqlite' ? sqlite : mysql) {
+        await db.query(sql);
+    }
+};
+
+exports.down = async (db) => {
+    await db.query('DROP TABLE IF EXISTS recovery_codes');
+    if (db.dialect === 'sqlite') {
+        for (const column of ['totp_secret', 'totp_enabled_at', 'totp_last_step']) {
+            await db.query(`ALTER TABLE users DROP COLUMN ${column}`);
+        }
+    } else {
+        await db.query('ALTER TABLE users DROP COLUMN totp_secret, DROP COLUMN totp_enabled_at, DROP COLUMN totp_last_step');
+    }
+};
@@ -0,0 +1,55 @@
+// Sign-in brute-force protection (services/loginThrottleService.js).
+// login_attempts is the audit trail of failed sign-ins; login_throttle
+// holds the failure counts and lockouts when LOGIN_THROTTLE_STORE=db.
+
+const mysql = [
+    `CREATE TABLE IF NOT EXISTS login_attempts (
+      id         INT AUTO_INCREMENT PRIMARY KEY,
+      email      VARCHAR(100) NOT NULL,
+      user_id    INT NULL DEFAULT NULL,
+      ip         VARCHAR(45) NOT NULL,
+      reason     VARCHAR(32) NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_login_attempts_email (email, created_at),
+      INDEX idx_login_attempts_ip (ip, created_at),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB`,
+    `CREATE TABLE IF NOT EXISTS login_throttle (
+      throttle_key    VARCHAR(191) PRIMARY KEY,
+      failures        INT NOT NULL,
+      first_failed_at DATETIME NOT NULL,
+      locked_until    DATETIME NULL DEFAULT NULL,
+      expires_at      DATETIME NOT NULL
+    ) ENGINE=InnoDB`
+];
+
+const sqlite = [
+    `CREATE TABLE IF NOT EXISTS login_attempts (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      email      VARCHAR(100) NOT NULL,
+      user_id    INTEGER DEFAULT NULL REFERENCES users(id) ON DELETE SET NULL,
+      ip         VARCHAR(45) NOT NULL,
+      reason     VARCHAR(32) NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts (email, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip, created_at)',
+    `CREATE TABLE IF NOT EXISTS login_throttle (
+      throttle_key    VARCHAR(191) PRIMARY KEY,
+      failures        INTEGER NOT NULL,
+      first_failed_at DATETIME NOT NULL,
+      locked_until    DATETIME DEFAULT NULL,
+      expires_at      DATETIME NOT NULL
+    )`
+];
+
+exports.up = async (db) => {
+    for (const sql of db.dialect === 'sqlite' ? sqlite : mysql) {
+        await db.query(sql);
+    }
+};
+
+exports.down = async (db) => {
+    await db.query('DROP TABLE IF EXISTS login_throttle');
+    await db.query('DROP TABLE IF EXISTS login_attempts');
+};
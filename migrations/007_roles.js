@@ -0,0 +1,99 @@
+// Roles and moderation (utils/permissions.js). Every account is a reader
+// until it publishes a story; moderators and admins are appointed with
+// `node cli.js user:role`. Admins can suspend an account (suspended_at) and
+// take a story out of public view (unpublished_at).
+//
+// MySQL expands the s.* in story_summary when the view is created, so the
+// view is rebuilt to pick up unpublished_at; SQLite expands it on use.
+// collection_summary only counts published stories and their ratings, so a
+// collection doesn't claim more than a reader can open.
+
+const storySummary = `CREATE OR REPLACE VIEW story_summary AS
+    SELECT
+      s.*,
+      u.username,
+      COUNT(DISTINCT c.id)     AS chapter_count,
+      AVG(r.rating)            AS avg_rating,
+      COUNT(DISTINCT r.user_id) AS rating_count
+    FROM stories AS s
+      JOIN users    AS u ON s.user_id = u.id
+      LEFT JOIN chapters AS c ON c.story_id = s.id
+      LEFT JOIN ratings  AS r ON r.story_id  = s.id
+    GROUP BY s.id, u.username`;
+
+const collectionSummary = (create) => `${create} collection_summary AS
+    SELECT
+      col.*,
+      u.username,
+      COUNT(DISTINCT s.id)            AS story_count,
+      AVG(r.rating)                   AS avg_rating,
+      COUNT(DISTINCT r.user_id)       AS rating_count
+    FROM collections AS col
+      JOIN users AS u ON col.user_id = u.id
+      LEFT JOIN story_collections AS sc ON sc.collection_id = col.id
+      LEFT JOIN stories AS s ON s.id = sc.story_id AND s.unpublished_at IS NULL
+      LEFT JOIN ratings AS r ON r.story_id = s.id
+    GROUP BY col.id, u.username`;
+
+// As created by 001_baseline.js
+const baselineCollectionSummary = (create) => `${create} collection_summary AS
+    SELECT
+      col.*,
+      u.username,
+      COUNT(DISTINCT sc.story_id)     AS story_count,
+      AVG(r.rating)                   AS avg_rating,
+      COUNT(DISTINCT r.user_id)       AS rating_count
+    FROM collections AS col
+      JOIN users AS u ON col.user_id = u.id
+      LEFT JOIN story_collections AS sc ON sc.collection_id = col.id
+      LEFT JOIN ratings AS r ON r.story_id = sc.story_id
+    GROUP BY col.id, u.username`;
+
+// SQLite has no CREATE OR REPLACE VIEW
+async function replaceCollectionSummary(db, view) {
+    if (db.dialect === 'sqlite') {
+        await db.query('DROP VIEW IF EXISTS collection_summary');
+        await db.query(view('CREATE VIEW'));
+    } else {
+        await db.query(view('CREATE OR REPLACE VIEW'));
+    }
+}
+
+const mysql = [
+    `ALTER TABLE users
+      ADD COLUMN role             VARCHAR(16)  NOT NULL DEFAULT 'reader',
+      ADD COLUMN suspended_at     DATETIME     NULL DEFAULT NULL,
+      ADD COLUMN suspended_reason VARCHAR(255) NULL DEFAULT NULL`,
+    'ALTER TABLE stories ADD COLUMN unpublished_at DATETIME NULL DEFAULT NULL',
+    storySummary
+];
+
+const sqlite = [
+    "ALTER TABLE users ADD COLUMN role VARCHAR(16) NOT NULL DEFAULT 'reader'",
+    'ALTER TABLE users ADD COLUMN suspended_at DATETIME DEFAULT NULL',
+    'ALTER TABLE users ADD COLUMN suspended_reason VARCHAR(255) DEFAULT NULL',
+    'ALTER TABLE stories ADD COLUMN unpublished_at DATETIME DEFAULT NULL'
+];
+
+exports.up = async (db) => {
+    for (const sql of db.dialect === 'sqlite' ? sqlite : mysql) {
+        await db.query(sql);
+    }
+    await db.query("UPDATE users SET role = 'author' WHERE id IN (SELECT user_id FROM stories)");
+    await replaceCollectionSummary(db, collectionSummary);
+};
+
+exports.down = async (db) => {
+    // Before unpublished_at goes: SQLite won't drop a column a view uses
+    await replaceCollectionSummary(db, baselineCollectionSummary);
+    if (db.dialect === 'sqlite') {
+        for (const column of ['role', 'suspended_at', 'suspended_reason']) {
+            await db.query(`ALTER TABLE users DROP COLUMN ${column}`);
+        }
+        await db.query('ALTER TABLE stories DROP COLUMN unpublished_at');
+    } else {
+        await db.query('ALTER TABLE users DROP COLUMN role, DROP COLUMN suspended_at, DROP COLUMN suspended_reason');
+        await db.query('ALTER TABLE stories DROP COLUMN unpublished_at');
+        await db.query(storySummary);
+    }
+};
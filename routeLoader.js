@@ -1,62 +1,183 @@
 const fs = require('fs');
 const path = require('path');
 const { Router } = require('express');
+const { parseRouteSpec, buildGuards } = require('./utils/routeGuards');
+const { deprecationNotice } = require('./utils/deprecation');
+const { asyncHandler } = require('./utils/errorHandler');
+const { respond } = require('./utils/respond');
+const { basePath } = require('./config/appSettings');
+const { registerRoute } = require('./utils/urls');
+
+const fullPath = (baseRoute, route) => (route === '/' && baseRoute ? baseRoute : `${baseRoute}${route}`);
+
+// express-validator chains are middleware functions with a builder attached
+const isValidationChain = (fn) => typeof fn?.builder?.build === 'function';
+
+// How a route is guarded, as recorded in the route table
+function describeGuards(options) {
+    return {
+        requireAuth: Boolean(options.requireAuth || options.requireOwner || options.roles),
+        requireOwner: options.requireOwner || null,
+        overrideOwner: options.overrideOwner || null,
+        roles: options.roles ? [].concat(options.roles) : [],
+        scope: options.scope || null
+    };
+}
+
+// routes/api-*.js are API version 1. A routes/v<N>/ directory holds the
+// controllers that change in version N; every other controller carries over
+// from the version before it.
+const BASE_API_VERSION = 'v1';
+
+function apiVersions(routesDir) {
+    const versioned = fs.readdirSync(routesDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && /^v\d+$/.test(entry.name))
+        .map(entry => entry.name)
+        .filter(name => name !== BASE_API_VERSION);
+
+    return [BASE_API_VERSION, ...versioned].sort((a, b) => parseInt(a.slice(1), 10) - parseInt(b.slice(1), 10));
+}
+
+const apiControllerFiles = (dir) => fs.readdirSync(dir).filter(f => f.startsWith('api-') && f.endsWith('.js'));
 
 function loadRoutes(app) {
     const routesDir = path.join(__dirname, 'routes');
     const viewsDir = path.join(__dirname, 'views');
+    const routeTable = [];
 
-    fs.readdirSync(routesDir)
-        .filter(f => f.endsWith('.js'))
-        .forEach(file => {
-            const isApi = file.startsWith('api-');
-            const routeName = path.basename(file, '.js'); // e.g., "api-collections" or "main"
-            const controller = require(path.join(routesDir, file));
-            const router = Router();
-
-            // Determine baseRoute
-            let baseRoute;
-            if (isApi) {
-                const name = routeName.replace(/^api-/, '');
-                baseRoute = `/api/${name}`;
-            } else {
-                baseRoute = routeName === 'main' ? '' : `/${routeName}`;
+    function mount({ controller, routeName, baseRoute, isApi, namePrefix, version = null, alias = false }) {
+        const router = Router();
+        const viewPath = path.join(viewsDir, routeName);
+        const record = ({ name, ...entry }) => {
+            const fullName = name ? `${namePrefix}.${name}` : null;
+            if (fullName) {
+                registerRoute(fullName, entry.path);
             }
+            routeTable.push({ ...entry, name: fullName, controller: routeName, version, alias });
+        };
 
-            const viewPath = path.join(viewsDir, routeName);
-
-            if (controller.routes) {
-                Object.entries(controller.routes).forEach(([def, handlers]) => {
-                    const [method = 'get', route] = def.split(' ');
-                    const funs = [].concat(handlers).flat().map(h => controller[h] || h).filter(Boolean);
-                    router[method.toLowerCase()](route, ...funs);
-                });
-            } else {
-                if (controller.index) {
-                    router.get('/', controller.index);
-                } else if (fs.existsSync(path.join(viewPath, 'index.ejs'))) {
-                    router.get('/', (req, res) => res.render(`${routeName}/index`));
+        if (controller.routes) {
+            Object.entries(controller.routes).forEach(([def, spec]) => {
+                const [method = 'get', route] = def.split(' ');
+                const { handlers, options } = parseRouteSpec(spec, `${routeName} ${def}`);
+                const guards = buildGuards(options, method.toUpperCase());
+                const deprecation = options.deprecated ? [deprecationNotice(options.deprecated, `${routeName} ${def}`)] : [];
+                const funs = [].concat(handlers).flat().map(h => controller[h] || h).flat().filter(Boolean);
+                const last = funs.pop();
+                const action = Object.keys(controller).find(key => controller[key] === last) || null;
+                const form = options.form ? controller[options.form] : undefined;
+                if (options.form && typeof form !== 'function') {
+                    throw new Error(`Route "${routeName} ${def}" has form "${options.form}", which is not an action of the controller`);
                 }
+                const handler = respond(last, { view: options.view, redirect: options.redirect, form });
+                router[method.toLowerCase()](route, ...[...deprecation, ...guards, ...funs, handler].map(asyncHandler));
+                record({
+                    method: method.toUpperCase(),
+                    path: fullPath(baseRoute, route),
+                    name: options.name || action,
+                    action,
+                    ...describeGuards(options),
+                    validators: funs.filter(isValidationChain),
+                    view: options.view || null,
+                    docs: options.docs || null,
+                    deprecated: options.deprecated || null
+                });
+            });
+        } else {
+            if (controller.index) {
+                router.get('/', asyncHandler(controller.index));
+            } else if (fs.existsSync(path.join(viewPath, 'index.ejs'))) {
+                router.get('/', (req, res) => res.render(`${routeName}/index`));
+            }
 
-                // Autogenerate subroutes based on controller function names
-                Object.entries(controller)
-                    .filter(([k, v]) => k !== 'index' && typeof v === 'function')
-                    .forEach(([k, v]) => router.get(`/${k}`, v));
-
-                // Autogenerate subroutes based on views (if no function exists)
-                if (!isApi && fs.existsSync(viewPath)) {
-                    fs.readdirSync(viewPath)
-                        .map(subRoute => path.basename(subRoute, '.ejs'))
-                        .filter(subRoute => subRoute !== 'index')
-                        .forEach(subRoute => {
-                            if (!router.stack.find(r => r.route.path === `/${subRoute}`))
-                                router.get(`/${subRoute}`, (req, res) => res.render(`${routeName}/${subRoute}`));
-                        });
-                }
+            // Autogenerate subroutes based on controller function names
+            Object.entries(controller)
+                .filter(([k, v]) => k !== 'index' && typeof v === 'function')
+                .forEach(([k, v]) => router.get(`/${k}`, asyncHandler(v)));
+
+            // Autogenerate subroutes based on views (if no function exists)
+            if (!isApi && fs.existsSync(viewPath)) {
+                fs.readdirSync(viewPath)
+                    .map(subRoute => path.basename(subRoute, '.ejs'))
+                    .filter(subRoute => subRoute !== 'index')
+                    .forEach(subRoute => {
+                        if (!router.stack.find(r => r.route.path === `/${subRoute}`))
+                            router.get(`/${subRoute}`, (req, res) => res.render(`${routeName}/${subRoute}`));
+                    });
             }
 
-            app.use(baseRoute, router);
+            const actions = new Map();
+            Object.entries(controller)
+                .filter(([, v]) => typeof v === 'function')
+                .forEach(([k]) => actions.set(k === 'index' ? '/' : `/${k}`, k));
+
+            router.stack.forEach(layer => record({
+                method: 'GET',
+                path: fullPath(baseRoute, layer.route.path),
+                name: actions.get(layer.route.path) || layer.route.path.slice(1) || 'index',
+                action: actions.get(layer.route.path) || null,
+                ...describeGuards({}),
+                validators: [],
+                view: null,
+                docs: null,
+                deprecated: null
+            }));
+        }
+
+        // Route table paths stay relative to BASE_PATH, like the links built with url()
+        app.use(`${basePath}${baseRoute}` || '/', router);
+    }
+
+    // HTML controllers
+    fs.readdirSync(routesDir)
+        .filter(f => f.endsWith('.js') && !f.startsWith('api-'))
+        .forEach(file => {
+            const routeName = path.basename(file, '.js'); // e.g., "collections" or "main"
+            mount({
+                controller: require(path.join(routesDir, file)),
+                routeName,
+                baseRoute: routeName === 'main' ? '' : `/${routeName}`,
+                isApi: false,
+                namePrefix: routeName
+            });
+        });
+
+    // API controllers, once per version under /api/<version>/<name>
+    const versions = apiVersions(routesDir);
+    const defaultVersion = process.env.API_DEFAULT_VERSION || BASE_API_VERSION;
+    if (!versions.includes(defaultVersion)) {
+        throw new Error(`API_DEFAULT_VERSION "${defaultVersion}" is not one of: ${versions.join(', ')}`);
+    }
+
+    const controllers = {};
+    versions.forEach(version => {
+        const dir = version === BASE_API_VERSION ? routesDir : path.join(routesDir, version);
+        apiControllerFiles(dir).forEach(file => {
+            controllers[path.basename(file, '.js')] = require(path.join(dir, file));
+        });
+
+        Object.entries(controllers).forEach(([routeName, controller]) => {
+            const name = routeName.replace(/^api-/, '');
+            mount({
+                controller, routeName, baseRoute: `/api/${version}/${name}`, isApi: true, version,
+                namePrefix: `api.${version}.${name}`
+            });
+
+            // Unversioned /api/<name> serves the default version
+            if (version === defaultVersion) {
+                mount({
+                    controller, routeName, baseRoute: `/api/${name}`, isApi: true, version, alias: true,
+                    namePrefix: `api.${name}`
+                });
+            }
         });
+    });
+
+    app.set('apiVersions', { versions, defaultVersion });
+
+    // Every mounted route and its guards, so access rules can be audited in one place
+    app.set('routeTable', routeTable);
+    return routeTable;
 }
 
-module.exports = loadRoutes;
\ No newline at end of file
+module.exports = loadRoutes;
@@ -0,0 +1,183 @@
+// The admin console: every user, story, collection and comment, including
+// suspended accounts and unpublished stories, with search and pagination,
+// plus the totals and recent activity. The handlers are shared with the
+// admin API (api-admin.js). Account actions reuse the handlers from the
+// user dashboards (routes/users.js); content changes go through the usual
+// services.
+
+const crypto = require('crypto');
+const logger = require('../logger');
+const adminService = require('../services/adminService');
+const authService = require('../services/authService');
+const apiTokenService = require('../services/apiTokenService');
+const loginThrottleService = require('../services/loginThrottleService');
+const usersService = require('../services/usersService');
+const storyService = require('../services/storyService');
+const collectionsService = require('../services/collectionsService');
+const { sendPasswordReset } = require('./api-auth');
+const { validateSuspend, suspendUser, unsuspendUser, validateRole, setRole } = require('./users');
+const { validateUpdateStory } = require('./story');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError, assertValid } = require('../utils/errors');
+const { parsePagination } = require('../utils/pagination');
+const { formState } = require('../utils/respond');
+const { route } = require('../utils/urls');
+
+Object.assign(exports, { validateSuspend, suspendUser, unsuspendUser, validateRole, setRole, validateUpdateStory });
+
+const loggingPrefix = '[ADMIN]';
+
+// GET: Totals and the latest activity
+exports.overview = async () => {
+    const [report, activity] = await Promise.all([
+        adminService.getReport(),
+        adminService.getRecentActivity()
+    ]);
+    return { report, activity };
+};
+
+// A list handler: one page (?page=) or cursor (?after= / ?before=) at a
+// time, narrowed by ?q=
+const listing = (load, key) => async (req) => {
+    const pageOpts = parsePagination(req.query);
+    if (pageOpts.error) {
+        throw new BadRequestError(pageOpts.error);
+    }
+
+    const q = (req.query.q || '').trim();
+    const { items, pagination } = await load({ q, ...pageOpts });
+    return { q, [key]: items, pagination };
+};
+
+exports.listUsers = listing(adminService.listUsers, 'users');
+exports.listStories = listing(adminService.listStories, 'stories');
+exports.listCollections = listing(adminService.listCollections, 'collections');
+exports.listComments = listing(adminService.listComments, 'comments');
+
+// ---- Users ----
+// Like targetUser in routes/users.js: admins use their own settings pages
+async function loadUser(req) {
+    const user = await usersService.getUserByUsername(req.params.username);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+    if (user.id === req.session.userId) {
+        throw new ForbiddenError("You can't change your own account here");
+    }
+    return user;
+}
+
+// POST: Replace the password with a random one and email the user a reset
+// link, e.g. when the account looks compromised. Whoever holds the old
+// password is signed out and their API tokens stop working.
+exports.resetPassword = async (req) => {
+    const user = await loadUser(req);
+
+    await authService.updatePassword(user.id, await authService.hashPassword(crypto.randomBytes(32).toString('hex')));
+    await authService.revokeSessions(user.id);
+    await apiTokenService.revokeAllForUser(user.id);
+    await loginThrottleService.unlockAccount(user.email);
+    await sendPasswordReset(user);
+    logger.info(`${loggingPrefix} Password reset`, { userId: user.id, by: req.session.userId });
+    return { message: `${user.username}'s password has been reset and a link to choose a new one emailed` };
+};
+
+// POST: Delete an account with everything it wrote
+exports.deleteUser = async (req) => {
+    const user = await loadUser(req);
+    if (user.role === 'admin') {
+        throw new ForbiddenError('Admins must be given another role before they can be deleted');
+    }
+
+    await authService.deleteUser(user.id);
+    logger.info(`${loggingPrefix} User deleted`, { userId: user.id, by: req.session.userId });
+    return { message: `${user.username} has been deleted` };
+};
+
+// ---- Stories ----
+// Stories are addressed by id here, so unpublished ones can be reached too
+async function loadStory(req, res, next) {
+    const story = await storyService.getStoryById(parseInt(req.params.storyId, 10) || 0);
+    if (!story) {
+        throw new NotFoundError('Story not found');
+    }
+    req.story = story;
+    next();
+}
+exports.loadStory = loadStory;
+
+// GET: Edit any story's title and synopsis
+exports.editStoryForm = (req, res) => {
+    res.render('admin/edit-story', { title: 'Edit Story', story: req.story, ...formState(res, req.story) });
+};
+
+// POST: Save the metadata; the title must stay unique for the author
+exports.updateStory = async (req) => {
+    assertValid(req);
+
+    const { story } = req;
+    if (req.body.title.trim() !== story.title && await storyService.isTitleTaken(story.user_id, req.body.title)) {
+        throw new ConflictError('The author already has a story with that title');
+    }
+
+    await storyService.updateStoryById(story.id, req.body.title, req.body.synopsis);
+    logger.info(`${loggingPrefix} Story updated`, { storyId: story.id, by: req.session.userId });
+    return { message: 'Story updated', story: await storyService.getStoryById(story.id) };
+};
+
+// POST: Delete a story with its chapters, comments and ratings
+exports.deleteStory = async (req) => {
+    await storyService.deleteStoryById(req.story.id);
+    logger.info(`${loggingPrefix} Story deleted`, { storyId: req.story.id, by: req.session.userId });
+    return { message: 'Story deleted' };
+};
+
+// ---- Collections and comments ----
+// POST: Delete a collection; its stories stay
+exports.deleteCollection = async (req) => {
+    const collection = await collectionsService.getCollectionById(parseInt(req.params.collectionId, 10) || 0);
+    if (!collection) {
+        throw new NotFoundError('Collection not found');
+    }
+
+    await collectionsService.deleteCollectionWithLinks(collection.id);
+    logger.info(`${loggingPrefix} Collection deleted`, { collectionId: collection.id, by: req.session.userId });
+    return { message: 'Collection deleted' };
+};
+
+// POST: Delete a comment outright, replies included
+exports.deleteComment = async (req) => {
+    const comment = await storyService.getCommentById(parseInt(req.params.commentId, 10) || 0);
+    if (!comment) {
+        throw new NotFoundError('Comment not found');
+    }
+
+    await storyService.hardDeleteComment(comment.id, comment.user_id);
+    logger.info(`${loggingPrefix} Comment deleted`, { commentId: comment.id, by: req.session.userId });
+    return { message: 'Comment deleted' };
+};
+
+// Actions land back on the list they were taken from
+const back = () => 'back';
+
+exports.routes = {
+    'GET /': { handler: 'overview', name: 'index', roles: 'admin', view: 'admin/index' },
+    'GET /users': { handler: 'listUsers', name: 'users', roles: 'admin', view: 'admin/users' },
+    'GET /stories': { handler: 'listStories', name: 'stories', roles: 'admin', view: 'admin/stories' },
+    'GET /collections': { handler: 'listCollections', name: 'collections', roles: 'admin', view: 'admin/collections' },
+    'GET /comments': { handler: 'listComments', name: 'comments', roles: 'admin', view: 'admin/comments' },
+    'POST /users/:username/suspend': { handler: ['validateSuspend', 'suspendUser'], roles: 'admin', redirect: back },
+    'POST /users/:username/unsuspend': { handler: 'unsuspendUser', roles: 'admin', redirect: back },
+    'POST /users/:username/role': { handler: ['validateRole', 'setRole'], roles: 'admin', redirect: back },
+    'POST /users/:username/password': { handler: 'resetPassword', roles: 'admin', redirect: back },
+    'POST /users/:username/delete': { handler: 'deleteUser', roles: 'admin', redirect: back },
+    'GET /stories/:storyId/edit': { handler: ['loadStory', 'editStoryForm'], name: 'editStory', roles: 'admin' },
+    'POST /stories/:storyId/edit': {
+        handler: ['loadStory', 'validateUpdateStory', 'updateStory'],
+        roles: 'admin',
+        redirect: () => route('admin.stories'),
+        form: 'editStoryForm'
+    },
+    'POST /stories/:storyId/delete': { handler: ['loadStory', 'deleteStory'], roles: 'admin', redirect: back },
+    'POST /collections/:collectionId/delete': { handler: 'deleteCollection', roles: 'admin', redirect: back },
+    'POST /comments/:commentId/delete': { handler: 'deleteComment', roles: 'admin', redirect: back }
+};
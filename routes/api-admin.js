@@ -0,0 +1,138 @@
+const { paginationParams } = require('../utils/pagination');
+const {
+    overview, listUsers, listStories, listCollections, listComments,
+    validateSuspend, suspendUser, unsuspendUser, validateRole, setRole, resetPassword, deleteUser,
+    loadStory, validateUpdateStory, updateStory, deleteStory, deleteCollection, deleteComment
+} = require('./admin');
+
+// The admin API shares its handlers with the admin console (routes/admin.js).
+// API tokens can read the lists; the actions need a signed-in session.
+Object.assign(exports, {
+    overview, listUsers, listStories, listCollections, listComments,
+    validateSuspend, suspendUser, unsuspendUser, validateRole, setRole, resetPassword, deleteUser,
+    loadStory, validateUpdateStory, updateStory, deleteStory, deleteCollection, deleteComment
+});
+
+const ok = (description, body) => ({ description, body: { success: 'boolean', ...body } });
+const done = (description) => ok(description, { message: 'string' });
+const listQuery = { q: 'string', ...paginationParams };
+
+const adminUser = {
+    id: 'integer', username: 'string', email: 'string', role: 'string',
+    email_verified_at: 'string', suspended_at: 'string', created_at: 'string'
+};
+const adminComment = {
+    id: 'integer', content: 'string', is_deleted: 'integer', created_at: 'string', username: 'string',
+    chapter_num: 'integer', story_title: 'string', story_vanity: 'string', story_author_username: 'string'
+};
+
+const list = (summary, key, shape) => ({
+    summary,
+    description: 'Newest first. `q` matches the fields named in the summary.',
+    query: listQuery,
+    responses: {
+        200: ok('One page', { q: 'string', [key]: [shape], pagination: 'Pagination' }),
+        400: 'Invalid pagination'
+    }
+});
+
+exports.routes = {
+    'GET /': {
+        handler: 'overview',
+        roles: 'admin',
+        docs: {
+            summary: 'Site totals and recent activity',
+            description: 'Activity entries are sign-ups, stories, comments and failed sign-ins, each with a `type` and an `at` time.',
+            responses: {
+                200: ok('The report', {
+                    report: {
+                        users: { total: 'integer', byRole: 'object', suspended: 'integer', unverified: 'integer' },
+                        stories: { total: 'integer', unpublished: 'integer' },
+                        chapters: 'integer',
+                        collections: 'integer',
+                        comments: { total: 'integer', deleted: 'integer' },
+                        failedLogins24h: 'integer'
+                    },
+                    activity: ['object']
+                })
+            }
+        }
+    },
+    'GET /users': { handler: 'listUsers', roles: 'admin', docs: list('Users, searched by username or email', 'users', adminUser) },
+    'GET /stories': { handler: 'listStories', roles: 'admin', docs: list('Stories, searched by title or author', 'stories', 'Story') },
+    'GET /collections': {
+        handler: 'listCollections',
+        roles: 'admin',
+        docs: list('Collections, searched by title or owner', 'collections', 'Collection')
+    },
+    'GET /comments': { handler: 'listComments', roles: 'admin', docs: list('Comments, searched by content or author', 'comments', adminComment) },
+    'POST /users/:username/suspend': {
+        handler: ['validateSuspend', 'suspendUser'],
+        roles: 'admin',
+        docs: {
+            summary: 'Suspend an account',
+            body: { reason: 'string' },
+            responses: { 200: done('Suspended'), 403: 'Your own account, or an admin', 404: 'User not found' }
+        }
+    },
+    'POST /users/:username/unsuspend': {
+        handler: 'unsuspendUser',
+        roles: 'admin',
+        docs: { summary: 'Lift a suspension', responses: { 200: done('Unsuspended'), 404: 'User not found' } }
+    },
+    'POST /users/:username/role': {
+        handler: ['validateRole', 'setRole'],
+        roles: 'admin',
+        docs: {
+            summary: 'Change a user\'s role',
+            body: { role: 'string' },
+            responses: { 200: ok('Role changed', { message: 'string', role: 'string' }), 404: 'User not found' }
+        }
+    },
+    'POST /users/:username/password': {
+        handler: 'resetPassword',
+        roles: 'admin',
+        docs: {
+            summary: 'Reset a user\'s password',
+            description: 'The old password stops working at once, the account is signed out everywhere and its API tokens are revoked; the user is emailed a link to choose a new one.',
+            responses: { 200: done('Password reset'), 403: 'Your own account', 404: 'User not found' }
+        }
+    },
+    'POST /users/:username/delete': {
+        handler: 'deleteUser',
+        roles: 'admin',
+        docs: {
+            summary: 'Delete an account',
+            description: 'Its stories, collections, ratings and comments are deleted with it.',
+            responses: { 200: done('User deleted'), 403: 'Your own account, or an admin', 404: 'User not found' }
+        }
+    },
+    'POST /stories/:storyId/edit': {
+        handler: ['loadStory', 'validateUpdateStory', 'updateStory'],
+        roles: 'admin',
+        docs: {
+            summary: 'Edit a story\'s title and synopsis',
+            body: { title: 'string', synopsis: 'string' },
+            responses: {
+                200: ok('Story updated', { message: 'string', story: 'Story' }),
+                404: 'Story not found',
+                409: 'The author already has a story with that title'
+            }
+        }
+    },
+    'POST /stories/:storyId/delete': {
+        handler: ['loadStory', 'deleteStory'],
+        roles: 'admin',
+        docs: { summary: 'Delete a story', responses: { 200: done('Story deleted'), 404: 'Story not found' } }
+    },
+    'POST /collections/:collectionId/delete': {
+        handler: 'deleteCollection',
+        roles: 'admin',
+        docs: { summary: 'Delete a collection', responses: { 200: done('Collection deleted'), 404: 'Collection not found' } }
+    },
+    'POST /comments/:commentId/delete': {
+        handler: 'deleteComment',
+        roles: 'admin',
+        docs: { summary: 'Delete a comment and its replies', responses: { 200: done('Comment deleted'), 404: 'Comment not found' } }
+    }
+};
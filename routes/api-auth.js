@@ -2,13 +2,44 @@
 const { body, validationResult } = require('express-validator');
 const logger = require('../logger');
 const authService = require('../services/authService');
+const usersService = require('../services/usersService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const twoFactorService = require('../services/twoFactorService');
+const loginThrottleService = require('../services/loginThrottleService');
+const mailService = require('../services/mailService');
+const {
+    AppError, BadRequestError, ValidationError, UnauthorizedError, AccountSuspendedError, ConflictError,
+    TooManyRequestsError, assertValid
+} = require('../utils/errors');
+const { rateLimit } = require('../utils/rateLimit');
+const { otpauthUri } = require('../utils/totp');
+const { route, absoluteUrl } = require('../utils/urls');
 
 const logPrefix = '[API-AUTH]';
 
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) ? fallback : value;
+};
+
+// Password reset settings: link lifetime, emails per account per hour,
+// and requests per IP per 15 minutes
+const RESET_TTL_MINUTES = envInt('PASSWORD_RESET_TTL_MINUTES', 60);
+const RESET_MAX_PER_ACCOUNT = envInt('PASSWORD_RESET_MAX_PER_HOUR', 3);
+const RESET_RATE_LIMIT = envInt('PASSWORD_RESET_RATE_LIMIT', 5);
+
+// Email verification settings: link lifetime, and resends per account per hour
+const VERIFY_TTL_HOURS = envInt('EMAIL_VERIFICATION_TTL_HOURS', 48);
+const VERIFY_RESEND_LIMIT = envInt('EMAIL_VERIFICATION_RESEND_LIMIT', 3);
+
+// Two-factor sign-in: time allowed between the password and the code, and
+// wrong codes allowed before the password has to be entered again
+const TWO_FACTOR_WINDOW_MS = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
 // ---- Validation Rules ----
-exports.validateRegister = [
-    body('username').notEmpty().withMessage('Username is required.'),
-    body('email').isEmail().withMessage('Invalid email.'),
+const passwordRules = [
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters.'),
     body('confirmPassword').custom((value, { req }) => {
         if (value !== req.body.password) {
@@ -18,11 +49,65 @@ exports.validateRegister = [
     })
 ];
 
+exports.validateRegister = [
+    body('username').notEmpty().withMessage('Username is required.'),
+    body('email').isEmail().withMessage('Invalid email.'),
+    ...passwordRules
+];
+
+exports.validateForgot = [
+    body('email').isEmail().withMessage('A valid email is required.')
+];
+
+exports.validateReset = passwordRules;
+
 exports.validateLogin = [
     body('email').isEmail().withMessage('A valid email is required.'),
     body('password').notEmpty().withMessage('Password is required.')
 ];
 
+exports.validateTwoFactorCode = [
+    body('code').isString().trim().notEmpty().withMessage('Enter the code from your authenticator app or a recovery code.')
+];
+
+exports.validateDisableTwoFactor = [
+    body('password').notEmpty().withMessage('Password is required.')
+];
+
+// Sign the user in on this session
+const startSession = (req, user) => {
+    req.session.userId = user.id;
+    req.session.username = user.username;
+    req.session.emailVerified = Boolean(user.email_verified_at);
+    req.session.role = user.role;
+    req.session.sessionVersion = user.session_version;
+    return { id: user.id, username: user.username, role: user.role, email_verified: req.session.emailVerified };
+};
+
+// The answer while an account or IP is locked out (services/loginThrottleService.js)
+const lockedOut = ({ scope, retryAfter }) => {
+    const minutes = Math.ceil(retryAfter / 60);
+    const source = scope === 'ip' ? 'from your network' : 'for this account';
+    return {
+        status: 429,
+        error: `Too many failed sign-in attempts ${source}. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+        retryAfter,
+        lockedOut: true
+    };
+};
+
+// Count a failed attempt; the attempt that trips the lockout gets the lockout notice
+const failedAttempt = async (req, attempt, result) => {
+    const lockout = await loginThrottleService.recordFailure({ ...attempt, ip: req.ip });
+    return lockout ? lockedOut(lockout) : result;
+};
+
+// Email a signed verification link for the user's current address
+const sendVerification = async (user) => {
+    const token = emailVerificationService.createToken(user, VERIFY_TTL_HOURS);
+    await mailService.sendEmailVerification(user, absoluteUrl(route('auth.verifyEmail', { token })), VERIFY_TTL_HOURS);
+};
+
 // ---- Core Authentication Logic ----
 exports.coreLogin = async (req) => {
     const errors = validationResult(req);
@@ -37,23 +122,45 @@ exports.coreLogin = async (req) => {
     }
 
     try {
+        const lockout = await loginThrottleService.getLockout({ email, ip: req.ip });
+        if (lockout) {
+            logger.warn(`${logPrefix} Login refused during lockout`, { scope: lockout.scope, ip: req.ip });
+            return lockedOut(lockout);
+        }
+
+        const invalid = { status: 401, error: 'Invalid email or password.' };
         const user = await authService.getUserByEmail(email);
         if (!user) {
-            return { status: 401, error: 'Invalid email or password.' };
+            return failedAttempt(req, { email, reason: 'unknown_email' }, invalid);
         }
 
         const valid = await authService.comparePasswords(password, user.password_hash);
         if (!valid) {
-            return { status: 401, error: 'Invalid email or password.' };
+            return failedAttempt(req, { email, userId: user.id, reason: 'wrong_password' }, invalid);
         }
 
-        req.session.userId = user.id;
-        req.session.username = user.username;
+        if (user.suspended_at) {
+            logger.warn(`${logPrefix} Login refused for suspended account`, { userId: user.id });
+            return { status: 403, error: 'This account has been suspended.' };
+        }
+
+        if (user.totp_enabled_at) {
+            // The session is only signed in once the second factor checks out
+            // too, and the failure count is only cleared then
+            req.session.pendingTwoFactor = {
+                userId: user.id,
+                email,
+                expiresAt: Date.now() + TWO_FACTOR_WINDOW_MS,
+                attempts: 0
+            };
+            return { status: 200, success: true, twoFactorRequired: true };
+        }
 
+        await loginThrottleService.recordSuccess({ email });
         return {
             status: 200,
             success: true,
-            user: { id: user.id, username: user.username }
+            user: startSession(req, user)
         };
     } catch (err) {
         logger.error(`${logPrefix} Login error: ${err.message}`, { stack: err.stack });
@@ -77,7 +184,7 @@ exports.coreRegister = async (req) => {
     try {
         const emailExists = await authService.emailExists(email);
         if (emailExists) {
-            return { status: 400, error: 'Email already in use.' };
+            return { status: 409, error: 'Email already in use.' };
         }
 
         const hash = await authService.hashPassword(password);
@@ -91,23 +198,80 @@ exports.coreRegister = async (req) => {
             throw new Error('User creation failed');
         }
 
-        req.session.userId = user.id;
-        req.session.username = user.username;
+        const sessionUser = startSession(req, user);
+
+        // The account works without it, so a mail failure doesn't fail the
+        // registration; the user can ask for another link
+        try {
+            await sendVerification(user);
+        } catch (err) {
+            logger.error(`${logPrefix} Verification email failed: ${err.message}`, { userId: user.id });
+        }
 
         return {
             status: 201,
             success: true,
-            user: { id: user.id, username: user.username }
+            user: sessionUser
         };
     } catch (err) {
         logger.error(`${logPrefix} Registration error: ${err.message}`, { stack: err.stack });
 
-        const errorMsg = err.code === '23505'
-            ? 'Email or username already in use.'
-            : 'Server error. Please try again later.';
+        if (err.code === 'ER_DUP_ENTRY') {
+            return { status: 409, error: 'Email or username already in use.' };
+        }
 
-        return { status: 500, error: errorMsg };
+        return { status: 500, error: 'Server error. Please try again later.' };
+    }
+};
+
+// Second sign-in step for accounts with 2FA: a code from the authenticator
+// app, or one of the recovery codes
+exports.coreVerifyTwoFactor = async (req) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return { status: 400, error: errors.array().map(e => e.msg).join(' ') };
+    }
+
+    const pending = req.session.pendingTwoFactor;
+    if (!pending || pending.expiresAt < Date.now()) {
+        delete req.session.pendingTwoFactor;
+        return { status: 401, error: 'Sign in with your password first.' };
+    }
+
+    const lockout = await loginThrottleService.getLockout({ email: pending.email, ip: req.ip });
+    if (lockout) {
+        delete req.session.pendingTwoFactor;
+        return lockedOut(lockout);
+    }
+
+    const code = req.body.code;
+    const valid = /^\d{6}$/.test(code)
+        ? await twoFactorService.verifyTotp(pending.userId, code)
+        : await twoFactorService.useRecoveryCode(pending.userId, code);
+
+    if (!valid) {
+        pending.attempts += 1;
+        logger.warn(`${logPrefix} Invalid two-factor code`, { userId: pending.userId, attempts: pending.attempts });
+
+        // Wrong codes count towards the account lockout like wrong passwords
+        const result = await failedAttempt(
+            req,
+            { email: pending.email, userId: pending.userId, reason: 'wrong_two_factor_code' },
+            { status: 401, error: 'Invalid authentication code.' }
+        );
+        if (result.lockedOut || pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+            delete req.session.pendingTwoFactor;
+        }
+        if (!result.lockedOut && pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+            return { status: 401, error: 'Too many invalid codes. Sign in again.' };
+        }
+        return result;
     }
+
+    delete req.session.pendingTwoFactor;
+    await loginThrottleService.recordSuccess({ email: pending.email });
+    const user = await authService.getUserById(pending.userId);
+    return { status: 200, success: true, user: startSession(req, user) };
 };
 
 exports.coreLogout = (req) => {
@@ -123,27 +287,368 @@ exports.coreLogout = (req) => {
     });
 };
 
+// ---- Password Reset ----
+// Shared with the /auth/forgot and /auth/reset pages (routes/auth.js)
+const FORGOT_MESSAGE = 'If an account exists for that email, we have sent it a link to reset the password.';
+
+exports.forgotLimit = rateLimit({
+    name: 'password-reset',
+    windowMs: 15 * 60 * 1000,
+    max: RESET_RATE_LIMIT,
+    message: 'Too many password reset requests, please try again later.'
+});
+
+exports.resetLimit = rateLimit({
+    name: 'password-reset-token',
+    windowMs: 15 * 60 * 1000,
+    max: RESET_RATE_LIMIT * 2,
+    message: 'Too many password reset attempts, please try again later.'
+});
+
+// POST: Email a reset link. The answer is the same whether or not the
+// account exists, so the form can't be used to find accounts.
+exports.forgotPassword = async (req) => {
+    assertValid(req);
+    const user = await authService.getUserByEmail(req.sanitize(req.body.email));
+
+    if (!user) {
+        logger.info(`${logPrefix} Password reset requested for unknown email`);
+        return { message: FORGOT_MESSAGE };
+    }
+
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    if (await passwordResetService.countRequestsSince(user.id, hourAgo) >= RESET_MAX_PER_ACCOUNT) {
+        logger.warn(`${logPrefix} Password reset limit reached`, { userId: user.id });
+        return { message: FORGOT_MESSAGE };
+    }
+
+    await this.sendPasswordReset(user);
+    return { message: FORGOT_MESSAGE };
+};
+
+// Email the user a one-time link to choose a new password; the admin
+// console (routes/admin.js) sends these too
+exports.sendPasswordReset = async (user) => {
+    const token = await passwordResetService.createToken(user.id, RESET_TTL_MINUTES);
+    await mailService.sendPasswordReset(user, absoluteUrl(route('auth.resetForm', { token })), RESET_TTL_MINUTES);
+    logger.info(`${logPrefix} Password reset link sent`, { userId: user.id });
+};
+
+// POST: Set a new password with a reset token; each token works once
+exports.resetPassword = async (req) => {
+    assertValid(req);
+
+    const reset = await passwordResetService.findValidToken(req.params.token);
+    if (!reset || !(await passwordResetService.consumeToken(reset.id))) {
+        throw new BadRequestError('This reset link is invalid or has expired.');
+    }
+
+    // Login sanitizes the password too, so both see the same string
+    const hash = await authService.hashPassword(req.sanitize(req.body.password));
+    await authService.updatePassword(reset.user_id, hash);
+    // The new password is the way back in: lift any lockout and sign out
+    // every session, in case someone else was using the old password
+    const user = await authService.getUserById(reset.user_id);
+    await loginThrottleService.unlockAccount(user.email);
+    await authService.revokeSessions(user.id);
+
+    logger.info(`${logPrefix} Password reset`, { userId: reset.user_id });
+    return { message: 'Your password has been reset. You can now log in.' };
+};
+
+// ---- Email Verification ----
+// Shared with the /auth/verify pages (routes/auth.js)
+exports.resendLimit = rateLimit({
+    name: 'email-verification',
+    windowMs: 60 * 60 * 1000,
+    max: VERIFY_RESEND_LIMIT,
+    key: (req) => req.session.userId,
+    message: 'Too many verification emails, please try again later.'
+});
+
+// GET/POST: Confirm the address a verification link was sent to
+exports.verifyEmail = async (req) => {
+    const user = await emailVerificationService.findUserByToken(req.params.token);
+    if (!user) {
+        throw new BadRequestError('This verification link is invalid or has expired.');
+    }
+
+    if (!user.email_verified_at) {
+        await emailVerificationService.markVerified(user.id);
+        logger.info(`${logPrefix} Email verified`, { userId: user.id });
+    }
+    if (req.session.userId === user.id) {
+        req.session.emailVerified = true;
+    }
+    return { message: 'Thanks, your email address is verified.' };
+};
+
+// POST: Send the signed-in user another verification link
+exports.resendVerification = async (req) => {
+    if (await emailVerificationService.isVerified(req.session.userId)) {
+        req.session.emailVerified = true;
+        return { message: 'Your email address is already verified.' };
+    }
+
+    const user = await usersService.getUserById(req.session.userId);
+    await sendVerification(user);
+
+    logger.info(`${logPrefix} Verification email resent`, { userId: user.id });
+    return { message: `We have sent a new verification link to ${user.email}.` };
+};
+
+// ---- Two-Factor Settings ----
+// Shared with the /auth/2fa pages (routes/auth.js)
+const enrolment = async (userId, secret) => {
+    const user = await usersService.getUserById(userId);
+    const issuer = process.env.APP_NAME || 'Unnamed App';
+    return { secret, otpauthUri: otpauthUri({ secret, account: user.email, issuer }) };
+};
+
+// GET: Whether 2FA is on for the signed-in user
+exports.twoFactorStatus = async (req) => {
+    const { enabled, recoveryCodesRemaining } = await twoFactorService.getState(req.session.userId);
+    return { enabled, recoveryCodesRemaining };
+};
+
+// POST: Start enrolment with a new secret for the authenticator app
+exports.setupTwoFactor = async (req) => {
+    const { enabled } = await twoFactorService.getState(req.session.userId);
+    if (enabled) {
+        throw new ConflictError('Two-factor authentication is already on.');
+    }
+
+    const secret = await twoFactorService.startEnrolment(req.session.userId);
+    return enrolment(req.session.userId, secret);
+};
+
+// The enrolment in progress, for the setup page
+exports.pendingEnrolment = async (userId) => {
+    const { pendingSecret } = await twoFactorService.getState(userId);
+    return pendingSecret ? enrolment(userId, pendingSecret) : null;
+};
+
+// POST: Finish enrolment with a code from the app; returns the recovery codes
+exports.enableTwoFactor = async (req) => {
+    assertValid(req);
+    const userId = req.session.userId;
+
+    const { enabled } = await twoFactorService.getState(userId);
+    if (enabled) {
+        throw new ConflictError('Two-factor authentication is already on.');
+    }
+
+    const step = await twoFactorService.checkEnrolmentCode(userId, req.body.code);
+    if (step === null) {
+        throw new ValidationError([{
+            field: 'code',
+            location: 'body',
+            message: 'That code is not valid. Check the time on your device and try again.'
+        }]);
+    }
+
+    const recoveryCodes = await twoFactorService.enable(userId, step);
+    logger.info(`${logPrefix} Two-factor authentication enabled`, { userId });
+    return {
+        message: 'Two-factor authentication is on. Keep these recovery codes somewhere safe; each one works once.',
+        recoveryCodes
+    };
+};
+
+// POST: Turn 2FA off; the password must be entered again
+exports.disableTwoFactor = async (req) => {
+    assertValid(req);
+    const userId = req.session.userId;
+
+    const user = await authService.getUserById(userId);
+    if (!(await authService.comparePasswords(req.sanitize(req.body.password), user.password_hash))) {
+        throw new ValidationError([{ field: 'password', location: 'body', message: 'Password is incorrect.' }]);
+    }
+
+    await twoFactorService.disable(userId);
+    logger.info(`${logPrefix} Two-factor authentication disabled`, { userId });
+    return { message: 'Two-factor authentication is off.' };
+};
+
 // ---- API Endpoint Handlers ----
+// The core functions report failures as { status, error } for the HTML
+// forms; the API raises them as typed errors instead.
+const toError = ({ status, error, retryAfter }) => {
+    switch (status) {
+        case 400: return new BadRequestError(error);
+        case 401: return new UnauthorizedError(error);
+        case 403: return new AccountSuspendedError(error);
+        case 409: return new ConflictError(error);
+        case 429: return new TooManyRequestsError(error, retryAfter);
+        default: return new AppError(error, { status });
+    }
+};
+
 exports.login = async (req, res) => {
+    assertValid(req);
     const result = await this.coreLogin(req);
+    if (result.error) {
+        throw toError(result);
+    }
+    res.status(result.status).json(result);
+};
+
+exports.loginTwoFactor = async (req, res) => {
+    assertValid(req);
+    const result = await this.coreVerifyTwoFactor(req);
+    if (result.error) {
+        throw toError(result);
+    }
     res.status(result.status).json(result);
 };
 
 exports.register = async (req, res) => {
+    assertValid(req);
     const result = await this.coreRegister(req);
+    if (result.error) {
+        throw toError(result);
+    }
     res.status(result.status).json(result);
 };
 
 exports.logout = async (req, res) => {
     const result = await this.coreLogout(req);
-    if (result.success) {
-        res.clearCookie('connect.sid', { path: '/' });
+    if (result.error) {
+        throw toError(result);
     }
+    res.clearCookie('connect.sid', { path: '/' });
     res.status(result.status).json(result);
 };
 
+const authResult = (description) => ({ description, body: { status: 'integer', success: 'boolean', user: 'User' } });
+
 exports.routes = {
-    'POST /login': [...this.validateLogin, this.login],
-    'POST /register': [...this.validateRegister, this.register],
-    'POST /logout': this.logout
+    'POST /login': {
+        handler: [...this.validateLogin, this.login],
+        docs: {
+            summary: 'Sign in',
+            description: 'Starts a session; the response sets the session cookie. For accounts with two-factor authentication the response has `twoFactorRequired: true` instead of `user`, and the session is signed in by POST /login/2fa.',
+            responses: {
+                200: {
+                    description: 'Signed in, or waiting for the two-factor code',
+                    body: { status: 'integer', success: 'boolean', user: 'User', twoFactorRequired: 'boolean' }
+                },
+                401: 'Invalid email or password',
+                403: 'The account is suspended',
+                429: 'Too many failed attempts; the account or IP is locked out for a while (see Retry-After)'
+            }
+        }
+    },
+    'POST /login/2fa': {
+        handler: [...this.validateTwoFactorCode, this.loginTwoFactor],
+        docs: {
+            summary: 'Finish signing in with a two-factor code',
+            description: 'Takes a six-digit code from the authenticator app or an unused recovery code, within five minutes of POST /login.',
+            responses: {
+                200: authResult('Signed in'),
+                401: 'No password step in progress, or an invalid code',
+                429: 'Too many failed attempts; the account or IP is locked out for a while (see Retry-After)'
+            }
+        }
+    },
+    'GET /2fa': {
+        handler: this.twoFactorStatus,
+        requireAuth: true,
+        docs: {
+            summary: 'Two-factor authentication status',
+            responses: { 200: { description: 'The status', body: { success: 'boolean', enabled: 'boolean', recoveryCodesRemaining: 'integer' } } }
+        }
+    },
+    'POST /2fa/setup': {
+        handler: this.setupTwoFactor,
+        requireAuth: true,
+        docs: {
+            summary: 'Start two-factor enrolment',
+            description: 'Returns a new secret and its otpauth:// URI for an authenticator app. Two-factor stays off until POST /2fa/enable.',
+            responses: {
+                200: { description: 'Enrolment started', body: { success: 'boolean', secret: 'string', otpauthUri: 'string' } },
+                409: 'Two-factor authentication is already on'
+            }
+        }
+    },
+    'POST /2fa/enable': {
+        handler: [...this.validateTwoFactorCode, this.enableTwoFactor],
+        requireAuth: true,
+        docs: {
+            summary: 'Turn on two-factor authentication',
+            description: 'Takes a code from the app set up with POST /2fa/setup. The recovery codes are only shown in this response.',
+            responses: {
+                200: { description: 'Two-factor is on', body: { success: 'boolean', message: 'string', recoveryCodes: ['string'] } },
+                409: 'Two-factor authentication is already on'
+            }
+        }
+    },
+    'POST /2fa/disable': {
+        handler: [...this.validateDisableTwoFactor, this.disableTwoFactor],
+        requireAuth: true,
+        docs: {
+            summary: 'Turn off two-factor authentication',
+            description: 'Requires the account password.',
+            responses: { 200: { description: 'Two-factor is off', body: { success: 'boolean', message: 'string' } } }
+        }
+    },
+    'POST /register': {
+        handler: [...this.validateRegister, this.register],
+        docs: {
+            summary: 'Create an account and sign in',
+            description: 'The account starts unverified and a verification link is emailed to it.',
+            responses: {
+                201: authResult('Account created'),
+                409: 'Email or username already in use'
+            }
+        }
+    },
+    'POST /logout': {
+        handler: this.logout,
+        docs: { summary: 'Sign out', responses: { 200: { description: 'Signed out', body: { status: 'integer', success: 'boolean' } } } }
+    },
+    'POST /forgot': {
+        handler: [this.forgotLimit, ...this.validateForgot, this.forgotPassword],
+        docs: {
+            summary: 'Email a password reset link',
+            description: 'Answers the same whether or not the account exists.',
+            responses: {
+                200: { description: 'Request accepted', body: { success: 'boolean', message: 'string' } },
+                429: 'Too many requests'
+            }
+        }
+    },
+    'POST /reset/:token': {
+        handler: [this.resetLimit, ...this.validateReset, this.resetPassword],
+        docs: {
+            summary: 'Set a new password with a reset token',
+            description: 'Signs the account out of every session and lifts any sign-in lockout.',
+            responses: {
+                200: { description: 'Password changed', body: { success: 'boolean', message: 'string' } },
+                400: 'The token is invalid, used or expired',
+                429: 'Too many requests'
+            }
+        }
+    },
+    'POST /verify/resend': {
+        handler: [this.resendLimit, this.resendVerification],
+        requireAuth: true,
+        docs: {
+            summary: 'Email another verification link to the signed-in user',
+            responses: {
+                200: { description: 'Link sent, or already verified', body: { success: 'boolean', message: 'string' } },
+                429: 'Too many requests'
+            }
+        }
+    },
+    'POST /verify/:token': {
+        handler: this.verifyEmail,
+        docs: {
+            summary: 'Verify an email address with the token from the emailed link',
+            responses: {
+                200: { description: 'Address verified', body: { success: 'boolean', message: 'string' } },
+                400: 'The token is invalid or expired'
+            }
+        }
+    }
 };
\ No newline at end of file
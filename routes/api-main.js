@@ -1,42 +1,53 @@
 const logger = require('../logger');
 const mainService = require('../services/mainService');
+const { parsePagination, paginationParams } = require('../utils/pagination');
+const { BadRequestError } = require('../utils/errors');
 
 const logPrefix = '[API-MAIN]';
 
 exports.index = async (req, res) => {
-    try {
-        logger.info(`${logPrefix} Fetching stories with metadata for API`);
-        const stories = await mainService.getStoriesWithMetadata();
-        logger.info(`${logPrefix} Retrieved ${stories.length} stories`);
+    const pageOpts = parsePagination(req.query);
+    if (pageOpts.error) {
+        throw new BadRequestError(pageOpts.error);
+    }
 
-        res.json({
-            success: true,
-            count: stories.length,
-            stories: stories.map(story => ({
-                id: story.id,
-                title: story.title,
-                user_id: story.user_id,
-                vanity: story.vanity,
-                username: story.username,
-                // Add any other relevant fields from the service
-                // Include only necessary data for API consumers
-            }))
-        });
-    } catch (error) {
-        logger.error(`${logPrefix} Error fetching stories`, {
-            error: error.message,
-            stack: error.stack
-        });
+    logger.info(`${logPrefix} Fetching stories with metadata for API`);
+    const { items: stories, pagination } = await mainService.getStoriesWithMetadata(pageOpts);
+    logger.info(`${logPrefix} Retrieved ${stories.length} stories`);
 
-        res.status(500).json({
-            success: false,
-            error: 'Failed to retrieve stories',
-            // Include detailed error only in development
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
-    }
+    res.json({
+        success: true,
+        count: stories.length,
+        stories: stories.map(story => ({
+            id: story.id,
+            title: story.title,
+            user_id: story.user_id,
+            vanity: story.vanity,
+            username: story.username,
+            // Add any other relevant fields from the service
+            // Include only necessary data for API consumers
+        })),
+        pagination
+    });
 };
 
 exports.routes = {
-    'GET /': 'index'
+    'GET /': {
+        handler: 'index',
+        docs: {
+            summary: 'List stories for the home page',
+            query: paginationParams,
+            responses: {
+                200: {
+                    description: 'A page of stories',
+                    body: {
+                        success: 'boolean',
+                        count: 'integer',
+                        stories: [{ id: 'integer', title: 'string', user_id: 'integer', vanity: 'string', username: 'string' }],
+                        pagination: 'Pagination'
+                    }
+                }
+            }
+        }
+    }
 };
\ No newline at end of file
@@ -0,0 +1,40 @@
+const { validateToken, listTokens, createToken, revokeToken } = require('./users');
+
+// Personal access tokens. The handlers are shared with the tokens page of
+// the user dashboard (routes/users.js). Managing tokens needs a signed-in
+// session: a token can list tokens but not create or revoke them.
+Object.assign(exports, { validateToken, listTokens, createToken, revokeToken });
+
+exports.routes = {
+    'GET /': {
+        handler: 'listTokens',
+        requireAuth: true,
+        docs: {
+            summary: "List the signed-in user's API tokens",
+            responses: { 200: { description: 'The tokens, newest first', body: { success: 'boolean', tokens: ['ApiToken'] } } }
+        }
+    },
+    'POST /': {
+        handler: ['validateToken', 'createToken'],
+        requireAuth: true,
+        docs: {
+            summary: 'Create an API token',
+            description: 'Every token can read. Send it as `Authorization: Bearer <token>`; the response is the only time it is shown.',
+            body: { name: 'string', scopes: { type: 'array', items: { type: 'string', enum: ['write:stories', 'write:comments'] } } },
+            responses: {
+                201: { description: 'Token created', body: { success: 'boolean', message: 'string', token: 'string', apiToken: 'ApiToken' } }
+            }
+        }
+    },
+    'DELETE /:tokenId': {
+        handler: 'revokeToken',
+        requireAuth: true,
+        docs: {
+            summary: 'Revoke an API token',
+            responses: {
+                200: { description: 'Token revoked', body: { success: 'boolean', message: 'string' } },
+                404: 'Token not found'
+            }
+        }
+    }
+};
@@ -1,56 +1,50 @@
 const logger = require('../logger');
 const usersService = require('../services/usersService');
+const { BadRequestError, UnauthorizedError, NotFoundError } = require('../utils/errors');
 
 const loggingPrefix = '[API-USERS]';
 
 exports.index = async (req, res) => {
     logger.info(`${loggingPrefix} API Index route hit - /api/users/`);
 
-    try {
-        if (!req.session?.userId) {
-            logger.warn(`${loggingPrefix} Unauthorized access attempt`);
-            return res.status(401).json({ error: 'Unauthorized' });
-        }
+    if (!req.session?.userId) {
+        throw new UnauthorizedError('Unauthorized');
+    }
 
-        logger.info(`${loggingPrefix} Fetching current user data for ID:`, req.session.userId);
-        const user = await usersService.getUserById(req.session.userId);
+    logger.info(`${loggingPrefix} Fetching current user data for ID:`, req.session.userId);
+    const user = await usersService.getUserById(req.session.userId);
 
-        if (!user) {
-            logger.warn(`${loggingPrefix} User not found for ID:`, req.session.userId);
-            return res.status(404).json({ error: 'User not found' });
-        }
-
-        logger.info(`${loggingPrefix} Fetching stories and collections for user:`, user.username);
-        const [stories, collections] = await Promise.all([
-            usersService.getUserStories(user.id),
-            usersService.getUserCollections(user.id)
-        ]);
-
-        res.json({
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                createdAt: user.createdAt
-                // Add other public fields as needed
-            },
-            stories: stories.map(story => ({
-                id: story.id,
-                title: story.title,
-                createdAt: story.createdAt
-                // Add other story fields
-            })),
-            collections: collections.map(collection => ({
-                id: collection.id,
-                name: collection.name,
-                storyCount: collection.storyCount
-                // Add other collection fields
-            }))
-        });
-    } catch (err) {
-        logger.error(`${loggingPrefix} ERROR in index:`, { message: err.message, stack: err.stack });
-        res.status(500).json({ error: 'Internal server error' });
+    if (!user) {
+        throw new NotFoundError('User not found');
     }
+
+    logger.info(`${loggingPrefix} Fetching stories and collections for user:`, user.username);
+    const [stories, collections] = await Promise.all([
+        usersService.getUserStories(user.id),
+        usersService.getUserCollections(user.id)
+    ]);
+
+    res.json({
+        user: {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            createdAt: user.createdAt
+            // Add other public fields as needed
+        },
+        stories: stories.map(story => ({
+            id: story.id,
+            title: story.title,
+            createdAt: story.createdAt
+            // Add other story fields
+        })),
+        collections: collections.map(collection => ({
+            id: collection.id,
+            name: collection.name,
+            storyCount: collection.storyCount
+            // Add other collection fields
+        }))
+    });
 };
 
 exports.profile = async (req, res) => {
@@ -58,53 +52,46 @@ exports.profile = async (req, res) => {
     logger.info(`${loggingPrefix} API Profile route hit - /api/users/profile/${username}`);
 
     if (!username) {
-        logger.warn(`${loggingPrefix} Missing username parameter`);
-        return res.status(400).json({ error: 'Username is required' });
+        throw new BadRequestError('Username is required');
     }
 
-    try {
-        logger.info(`${loggingPrefix} Fetching user data for:`, username);
-        const user = await usersService.getUserByUsername(username);
-
-        if (!user) {
-            logger.warn(`${loggingPrefix} User not found:`, username);
-            return res.status(404).json({ error: 'User not found' });
-        }
+    logger.info(`${loggingPrefix} Fetching user data for:`, username);
+    const user = await usersService.getUserByUsername(username);
 
-        logger.info(`${loggingPrefix} Fetching stories and collections for:`, username);
-        const [stories, collections] = await Promise.all([
-            usersService.getUserStories(user.id),
-            usersService.getUserCollections(user.id)
-        ]);
-
-        res.json({
-            user: {
-                id: user.id,
-                username: user.username,
-                createdAt: user.createdAt
-                // Public profile fields only
-            },
-            meta: {
-                storyCount: stories.length,
-                collectionCount: collections.length
-            },
-            stories: stories.map(story => ({
-                id: story.id,
-                title: story.title,
-                excerpt: story.excerpt,
-                createdAt: story.createdAt
-            })),
-            collections: collections.map(collection => ({
-                id: collection.id,
-                name: collection.name,
-                description: collection.description,
-                storyCount: collection.storyCount
-            }))
-        });
-    } catch (err) {
-        logger.error(`${loggingPrefix} ERROR in profile:`, { message: err.message, stack: err.stack });
-        res.status(500).json({ error: 'Internal server error' });
+    if (!user) {
+        throw new NotFoundError('User not found');
     }
+
+    logger.info(`${loggingPrefix} Fetching stories and collections for:`, username);
+    const [stories, collections] = await Promise.all([
+        usersService.getUserStories(user.id),
+        usersService.getUserCollections(user.id)
+    ]);
+
+    res.json({
+        user: {
+            id: user.id,
+            username: user.username,
+            createdAt: user.createdAt
+            // Public profile fields only
+        },
+        meta: {
+            storyCount: stories.length,
+            collectionCount: collections.length
+        },
+        stories: stories.map(story => ({
+            id: story.id,
+            title: story.title,
+            excerpt: story.excerpt,
+            createdAt: story.createdAt
+        })),
+        collections: collections.map(collection => ({
+            id: collection.id,
+            name: collection.name,
+            description: collection.description,
+            storyCount: collection.storyCount
+        }))
+    });
 };
 
 exports.view = (req, res) => {
@@ -112,8 +99,49 @@ exports.view = (req, res) => {
     return exports.profile(req, res);
 };
 
+const profileBody = {
+    user: { id: 'integer', username: 'string', createdAt: 'string' },
+    meta: { storyCount: 'integer', collectionCount: 'integer' },
+    stories: [{ id: 'integer', title: 'string', excerpt: 'string', createdAt: 'string' }],
+    collections: [{ id: 'integer', name: 'string', description: 'string', storyCount: 'integer' }]
+};
+
+// Replaced by routes/v2/api-users.js
+const v1Deprecation = { since: '2026-10-19', sunset: '2027-04-19' };
+
 exports.routes = {
-    'GET /': 'index',
-    'GET /profile/:username': 'profile',
-    'GET /:username': 'view'
+    'GET /': {
+        handler: 'index',
+        deprecated: { ...v1Deprecation, successor: '/api/v2/users' },
+        docs: {
+            summary: 'The signed-in user with their stories and collections',
+            responses: {
+                200: {
+                    description: 'The current user',
+                    body: {
+                        user: { id: 'integer', username: 'string', email: 'string', createdAt: 'string' },
+                        stories: [{ id: 'integer', title: 'string', createdAt: 'string' }],
+                        collections: [{ id: 'integer', name: 'string', storyCount: 'integer' }]
+                    }
+                },
+                401: 'Not signed in'
+            }
+        }
+    },
+    'GET /profile/:username': {
+        handler: 'profile',
+        deprecated: { ...v1Deprecation, successor: '/api/v2/users/:username' },
+        docs: {
+            summary: 'Public profile',
+            responses: { 200: { description: 'The profile', body: profileBody }, 404: 'User not found' }
+        }
+    },
+    'GET /:username': {
+        handler: 'view',
+        deprecated: { ...v1Deprecation, successor: '/api/v2/users/:username' },
+        docs: {
+            summary: 'Public profile (alias of /profile/{username})',
+            responses: { 200: { description: 'The profile', body: profileBody }, 404: 'User not found' }
+        }
+    }
 };
\ No newline at end of file
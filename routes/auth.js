@@ -1,18 +1,22 @@
 // auth.js
 const logger = require('../logger');
 const apiAuth = require('./api-auth');
-const { baseUrl } = require('../config/appSettings');
+const passwordResetService = require('../services/passwordResetService');
+const { formState } = require('../utils/respond');
+const { route } = require('../utils/urls');
 
 const logPrefix = '[AUTH]';
 
 // ---- Validation Rules ----
 exports.validateRegister = apiAuth.validateRegister;
 exports.validateLogin = apiAuth.validateLogin;
+exports.validateTwoFactorCode = apiAuth.validateTwoFactorCode;
 
 // ---- Login ----
 exports.loginForm = (req, res) => {
     logger.info(`${logPrefix} GET /login - Rendering login form`);
-    res.render(`auth/login`, { error: null, formData: {} });
+    const notice = req.query.reset === 'done' ? 'Your password has been reset. You can now log in.' : null;
+    res.render(`auth/login`, { error: null, notice, formData: {} });
 };
 
 exports.loginPost = async (req, res) => {
@@ -20,12 +24,18 @@ exports.loginPost = async (req, res) => {
 
     const result = await apiAuth.coreLogin(req);
 
+    if (result.twoFactorRequired) {
+        return res.redirect(route('auth.twoFactorForm'));
+    }
     if (result.success) {
         logger.info(`${logPrefix} Login successful: ${req.session.username} (ID: ${req.session.userId})`);
-        return res.redirect(`${baseUrl}/users/${req.session.username}`);
+        return res.redirect(route('users.view', { username: req.session.username }));
     }
 
     logger.warn(`${logPrefix} Login failed: ${result.error}`);
+    if (result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+    }
     return res.status(result.status).render('auth/login', {
         error: result.error,
         formData: { email: req.body.email }
@@ -45,7 +55,7 @@ exports.registerPost = async (req, res) => {
 
     if (result.success) {
         logger.info(`${logPrefix} Registration successful: ${req.session.username} (ID: ${req.session.userId})`);
-        return res.redirect(`${baseUrl}/users/${req.session.username}`);
+        return res.redirect(route('users.view', { username: req.session.username }));
     }
 
     logger.warn(`${logPrefix} Registration failed: ${result.error}`);
@@ -66,18 +76,117 @@ exports.logout = async (req, res) => {
     if (result.success) {
         res.clearCookie('connect.sid', { path: '/' });
         logger.info(`${logPrefix} Session destroyed and cookie cleared`);
-        return res.redirect(`${baseUrl}/auth/login`);
+        return res.redirect(route('auth.loginForm'));
     }
 
     logger.error(`${logPrefix} Logout failed: ${result.error}`);
     return res.status(result.status).send('Logout failed');
 };
 
+// ---- Two-Factor Sign-In ----
+exports.twoFactorForm = (req, res) => {
+    if (!req.session.pendingTwoFactor) {
+        return res.redirect(route('auth.loginForm'));
+    }
+    res.render('auth/login-2fa', { error: null });
+};
+
+exports.twoFactorPost = async (req, res) => {
+    const result = await apiAuth.coreVerifyTwoFactor(req);
+
+    if (result.success) {
+        logger.info(`${logPrefix} Two-factor login successful: ${req.session.username} (ID: ${req.session.userId})`);
+        return res.redirect(route('users.view', { username: req.session.username }));
+    }
+    if (result.lockedOut) {
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(result.status).render('auth/login', { error: result.error, formData: {} });
+    }
+    if (!req.session.pendingTwoFactor) {
+        return res.redirect(route('auth.loginForm'));
+    }
+
+    logger.warn(`${logPrefix} Two-factor login failed: ${result.error}`);
+    return res.status(result.status).render('auth/login-2fa', { error: result.error });
+};
+
+// ---- Two-Factor Settings ----
+// The handlers live in api-auth.js and serve both the pages and the API
+exports.setupTwoFactor = apiAuth.setupTwoFactor;
+exports.enableTwoFactor = apiAuth.enableTwoFactor;
+exports.disableTwoFactor = apiAuth.disableTwoFactor;
+
+exports.twoFactorPage = async (req, res) => {
+    const status = await apiAuth.twoFactorStatus(req);
+    res.render('auth/two-factor', { ...status, ...formState(res) });
+};
+
+exports.setupForm = async (req, res) => {
+    const pending = await apiAuth.pendingEnrolment(req.session.userId);
+    if (!pending) {
+        return res.redirect(route('auth.twoFactorPage'));
+    }
+    res.render('auth/two-factor-setup', { ...pending, ...formState(res) });
+};
+
+// ---- Password Reset ----
+// The handlers live in api-auth.js and serve both the pages and the API
+exports.forgotPassword = apiAuth.forgotPassword;
+exports.resetPassword = apiAuth.resetPassword;
+
+exports.forgotForm = (req, res) => {
+    res.render('auth/forgot', { message: null, ...formState(res) });
+};
+
+exports.resetForm = async (req, res) => {
+    const { token } = req.params;
+    const valid = Boolean(await passwordResetService.findValidToken(token));
+    res.render('auth/reset', { token, valid, ...formState(res) });
+};
+
+// ---- Email Verification ----
+exports.verifyEmail = apiAuth.verifyEmail;
+exports.resendVerification = apiAuth.resendVerification;
+
 // FIXED: Use function references instead of strings
 exports.routes = {
     'GET /login': this.loginForm,
     'POST /login': [...this.validateLogin, this.loginPost],
     'GET /register': this.registerForm,
     'POST /register': [...this.validateRegister, this.registerPost],
-    'POST /logout': this.logout
+    'POST /logout': this.logout,
+    'GET /login/2fa': this.twoFactorForm,
+    'POST /login/2fa': [...this.validateTwoFactorCode, this.twoFactorPost],
+    'GET /2fa': { handler: this.twoFactorPage, requireAuth: true },
+    'POST /2fa/setup': { handler: this.setupTwoFactor, requireAuth: true, view: 'auth/two-factor-setup', form: 'twoFactorPage' },
+    'POST /2fa/enable': {
+        handler: [...apiAuth.validateTwoFactorCode, this.enableTwoFactor],
+        requireAuth: true,
+        view: 'auth/two-factor-codes',
+        form: 'setupForm'
+    },
+    'POST /2fa/disable': {
+        handler: [...apiAuth.validateDisableTwoFactor, this.disableTwoFactor],
+        requireAuth: true,
+        redirect: () => route('auth.twoFactorPage'),
+        form: 'twoFactorPage'
+    },
+    'GET /forgot': this.forgotForm,
+    'POST /forgot': {
+        handler: [apiAuth.forgotLimit, ...apiAuth.validateForgot, this.forgotPassword],
+        view: 'auth/forgot',
+        form: 'forgotForm'
+    },
+    'GET /reset/:token': this.resetForm,
+    'POST /reset/:token': {
+        handler: [apiAuth.resetLimit, ...apiAuth.validateReset, this.resetPassword],
+        redirect: () => `${route('auth.loginForm')}?reset=done`,
+        form: 'resetForm'
+    },
+    'GET /verify/:token': { handler: this.verifyEmail, view: 'auth/verify' },
+    'POST /verify/resend': {
+        handler: [apiAuth.resendLimit, this.resendVerification],
+        requireAuth: true,
+        view: 'auth/verify'
+    }
 };
\ No newline at end of file
@@ -1,210 +1,128 @@
-const { body, validationResult } = require('express-validator');
+const { body } = require('express-validator');
 const logger = require('../logger');
 const collectionsService = require('../services/collectionsService');
+const { parsePagination } = require('../utils/pagination');
+const { BadRequestError, NotFoundError, assertValid } = require('../utils/errors');
+const { formState } = require('../utils/respond');
+const { route } = require('../utils/urls');
 
 const loggingPrefix = '[COLLECTION]';
 
+// Handlers return their data for the pages below and the API
+// (api-collections.js); utils/respond.js picks the response.
+
 // Reusable validators
-exports.validateCreateCollection = [
+exports.validateCollection = [
   body('title').trim().isLength({ min: 3, max: 150 })
-    .withMessage('Title must be 3–150 characters long.'),
+    .withMessage('Title must be 3–150 characters'),
   body('description').optional().trim().isLength({ min: 10 })
-    .withMessage('Description must be at least 10 characters long.')
+    .withMessage('Description must be at least 10 characters'),
+  body('stories').optional().isArray().withMessage('Stories must be an array')
 ];
 
-// Helper: render form views
-async function renderForm(res, view, opts = {}) {
-  const { userId, errors = [], formData = {}, selected = [] } = opts;
-  try {
-    const stories = await collectionsService.getStoriesForUser(userId);
-    return res.render(`collections/${view}`, {
-      title: opts.title,
-      errors,
-      formData,
-      stories,
-      selectedStories: selected
-    });
-  } catch (err) {
-    logger.error(`${loggingPrefix} Error in renderForm`, err);
-    return res.status(500).render('error', { message: 'Error loading form data' });
-  }
+// Helper: render form views, keeping the picked stories after a failed submit
+async function renderForm(req, res, view, { title, formData = {}, selected = [] }) {
+  const submitted = res.locals.formData;
+  const stories = await collectionsService.getStoriesForUser(req.session.userId);
+  return res.render(`collections/${view}`, {
+    title,
+    ...formState(res, formData),
+    stories,
+    selectedStories: submitted ? [].concat(submitted.stories || []).map(Number) : selected
+  });
+}
+
+// Helper: a collection with its stories
+async function loadCollection(collectionId) {
+  const collection = await collectionsService.getCollectionById(collectionId);
+  const stories = await collectionsService.getStoriesByCollectionId(collectionId);
+  return { ...collection, stories };
 }
 
-exports.index = async (req, res) => {
-  try {
-    const collections = await collectionsService.getAllCollections();
-    logger.info(`Fetched ${collections.length} collections`);
-    res.render('collections/index', { collections });
-  } catch (err) {
-    logger.error('Error fetching collections', err);
-    res.status(500).render('error', { message: 'Database error' });
+// GET: Collections, one page (?page=) or cursor (?after= / ?before=) at a time
+exports.index = async (req) => {
+  const pageOpts = parsePagination(req.query);
+  if (pageOpts.error) {
+    throw new BadRequestError(pageOpts.error);
   }
+
+  const { items: collections, pagination } = await collectionsService.getAllCollections(pageOpts);
+  logger.info(`${loggingPrefix} Fetched ${collections.length} collections`);
+  return { collections, pagination };
 };
 
 // Show create form
 exports.createForm = (req, res) => {
-  if (!req.session.userId) return res.redirect('/auth/login');
-  return renderForm(res, 'create', { userId: req.session.userId, title: 'Create Collection' });
+  return renderForm(req, res, 'create', { title: 'Create Collection' });
 };
 
-// Handle creation
+// Create a collection and link its stories
 exports.createCollection = async (req, res) => {
-  if (!req.session.userId) return res.redirect('/auth/login');
-  const errors = validationResult(req).array().map(e => e.msg);
-  const storyIds = [].concat(req.body.stories || []);
-
-  if (errors.length) {
-    return renderForm(res, 'create', {
-      userId: req.session.userId,
-      title: 'Create Collection',
-      errors,
-      formData: req.body,
-      selected: storyIds
-    });
-  }
-
-  try {
-    const { title, description } = req.body;
-    const collectionId = await collectionsService.createCollection(
-      req.session.userId,
-      title,
-      description
-    );
-
-    if (storyIds.length) {
-      await collectionsService.addStoriesToCollection(collectionId, storyIds);
-    }
-
-    logger.info(`${loggingPrefix} Created ${collectionId}`);
-    return res.redirect(`/collections/${req.session.userId}/${collectionId}`);
-  } catch (err) {
-    logger.error(`${loggingPrefix} Creation error`, err);
-    return renderForm(res, 'create', {
-      userId: req.session.userId,
-      title: 'Create Collection',
-      errors: ['An error occurred. Please try again.'],
-      formData: req.body,
-      selected: storyIds
-    });
-  }
+  assertValid(req);
+
+  const { title, description } = req.body;
+  const collectionId = await collectionsService.createCollectionWithStories(
+    req.session.userId,
+    title,
+    description,
+    req.body.stories || []
+  );
+
+  logger.info(`${loggingPrefix} Created ${collectionId}`);
+  res.status(201);
+  return { message: 'Collection created', collection: await loadCollection(collectionId) };
 };
 
-// List a collection
-exports.list = async (req, res) => {
-  try {
-    const { userId, collectionId } = req.params;
-    const collection = await collectionsService.getCollectionByIdAndUserId(collectionId, userId);
-    if (!collection) return res.status(404).render('error', { message: 'Collection not found' });
-
-    const stories = await collectionsService.getStoriesByCollectionId(collectionId);
-    logger.info(`Fetched ${stories.length} stories`);
-
-    res.render('collections/list', {
-      title: collection.title,
-      collection,
-      stories,
-      userId,
-      session: req.session
-    });
-  } catch (err) {
-    logger.error(`${loggingPrefix} List error`, err);
-    res.status(500).render('error', { message: 'Database error' });
-  }
+// A single collection with its stories
+exports.getCollection = async (req) => {
+  const { userId, collectionId } = req.params;
+  const collection = await collectionsService.getCollectionByIdAndUserId(collectionId, userId);
+  if (!collection) throw new NotFoundError('Collection not found');
+
+  const stories = await collectionsService.getStoriesByCollectionId(collectionId);
+  logger.info(`${loggingPrefix} Fetched collection ${collectionId}`);
+  return { collection: { ...collection, stories } };
 };
 
 // Show edit form
 exports.editForm = async (req, res) => {
-  if (!req.session.userId) return res.redirect('/auth/login');
-  const { userId, collectionId } = req.params;
-
-  try {
-    const collection = await collectionsService.getCollectionByIdAndUserId(collectionId, userId);
-    if (!collection) return res.status(403).render('error', { message: 'Forbidden' });
-
-    const selected = await collectionsService.getSelectedStoriesForCollection(collectionId);
-    return renderForm(res, 'edit', {
-      userId,
-      title: 'Edit Collection',
-      formData: collection,
-      selected
-    });
-  } catch (err) {
-    logger.error(`${loggingPrefix} Edit form error`, err);
-    res.status(500).render('error', { message: 'Database error' });
-  }
+  const selected = await collectionsService.getSelectedStoriesForCollection(req.params.collectionId);
+  return renderForm(req, res, 'edit', { title: 'Edit Collection', formData: req.collection, selected });
 };
 
-// Update collection
-exports.updateCollection = async (req, res) => {
-  if (!req.session.userId) return res.redirect('/auth/login');
-  const errors = validationResult(req).array().map(e => e.msg);
-  const { userId, collectionId } = req.params;
-  const storyIds = [].concat(req.body.stories || []);
-
-  if (errors.length) {
-    return renderForm(res, 'edit', {
-      userId,
-      title: 'Edit Collection',
-      errors,
-      formData: { ...req.body, id: collectionId },
-      selected: storyIds
-    });
-  }
+// Update a collection; the stories list replaces the current one
+exports.updateCollection = async (req) => {
+  assertValid(req);
 
-  try {
-    const existing = await collectionsService.getCollectionByIdAndUserId(collectionId, userId);
-    if (!existing) return res.status(404).render('error', { message: 'Collection not found' });
-
-    await collectionsService.updateCollection(collectionId, req.body);
-    await collectionsService.deleteCollectionLinks(collectionId);
-
-    if (storyIds.length) {
-      await collectionsService.addStoriesToCollection(collectionId, storyIds);
-    }
-
-    logger.info(`${loggingPrefix} Updated ${collectionId}`);
-    return res.redirect(`/collections/${userId}/${collectionId}`);
-  } catch (err) {
-    logger.error(`${loggingPrefix} Update error`, err);
-    return renderForm(res, 'edit', {
-      userId,
-      title: 'Edit Collection',
-      errors: ['An error occurred. Please try again.'],
-      formData: { ...req.body, id: collectionId },
-      selected: storyIds
-    });
-  }
+  const { collectionId } = req.params;
+  await collectionsService.updateCollectionWithStories(collectionId, req.body, req.body.stories || []);
+
+  logger.info(`${loggingPrefix} Updated ${collectionId}`);
+  return { message: 'Collection updated', collection: await loadCollection(collectionId) };
 };
 
-// Delete
-exports.deleteCollection = async (req, res) => {
-  if (!req.session.userId) return res.redirect('/auth/login');
+// Delete a collection and its links
+exports.deleteCollection = async (req) => {
   const { collectionId } = req.params;
 
-  try {
-    const coll = await collectionsService.getCollectionByIdAndUserId(
-      collectionId,
-      req.session.userId
-    );
-    if (!coll) return res.status(404).render('error', { message: 'Collection not found' });
-
-    await collectionsService.deleteCollectionLinks(collectionId);
-    await collectionsService.deleteCollection(collectionId);
-
-    logger.info(`${loggingPrefix} Deleted ${collectionId}`);
-    res.redirect(`/users/${req.session.username}`);
-  } catch (err) {
-    logger.error(`${loggingPrefix} Delete error`, err);
-    res.status(500).render('error', { message: 'Error deleting collection' });
-  }
+  await collectionsService.deleteCollectionWithLinks(collectionId);
+
+  logger.info(`${loggingPrefix} Deleted ${collectionId}`);
+  return { message: 'Collection deleted' };
 };
 
+const toCollection = (data) => route('collections.show', { userId: data.collection.user_id, collectionId: data.collection.id });
+
 exports.routes = {
-  'GET /': 'index',
-  'GET /create': 'createForm',
-  'POST /create': ['validateCreateCollection', 'createCollection'],
-  'GET /:userId/:collectionId': 'list',
-  'GET /:userId/:collectionId/edit': 'editForm',
-  'POST /:userId/:collectionId/edit': ['validateCreateCollection', 'updateCollection'],
-  'POST /:userId/:collectionId/delete': 'deleteCollection'
-};
\ No newline at end of file
+  'GET /': { handler: 'index', view: 'collections/index' },
+  'GET /create': { handler: 'createForm', name: 'create', requireAuth: true },
+  'POST /create': { handler: ['validateCollection', 'createCollection'], requireAuth: true, redirect: toCollection, form: 'createForm' },
+  'GET /:userId/:collectionId': { handler: 'getCollection', name: 'show', view: 'collections/list' },
+  'GET /:userId/:collectionId/edit': { handler: 'editForm', name: 'edit', requireOwner: 'collection' },
+  'POST /:userId/:collectionId/edit': { handler: ['validateCollection', 'updateCollection'], requireOwner: 'collection', redirect: toCollection, form: 'editForm' },
+  'POST /:userId/:collectionId/delete': {
+    handler: 'deleteCollection',
+    requireOwner: 'collection',
+    redirect: (data, req) => route('users.view', { username: req.session.username })
+  }
+};
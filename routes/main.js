@@ -1,19 +1,13 @@
 const logger = require('../logger');
 const mainService = require('../services/mainService');
+const { parsePagination } = require('../utils/pagination');
 
 exports.index = async (req, res) => {
-  try {
-    logger.info('Fetching stories with metadata');
-    const stories = await mainService.getStoriesWithMetadata();
-    logger.info(`Retrieved ${stories.length} stories`);
-    res.render('main/index', { stories });
-  } catch (error) {
-    logger.error('Error fetching stories', {
-      error: error.message,
-      stack: error.stack
-    });
-    res.status(500).send('Database error');
-  }
+  logger.info('Fetching stories with metadata');
+  const { page, perPage } = parsePagination(req.query);
+  const { items: stories, pagination } = await mainService.getStoriesWithMetadata({ page, perPage });
+  logger.info(`Retrieved ${stories.length} stories`);
+  res.render('main/index', { stories, pagination });
 };
 
 exports.routes = {
@@ -1,75 +1,77 @@
 const searchService = require('../services/searchService');
 const logger = require('../logger');
+const { parsePagination } = require('../utils/pagination');
+const { BadRequestError } = require('../utils/errors');
 
 const logPrefix = '[SEARCH]';
 
+const ALL_TYPES = ['users', 'stories', 'collections', 'comments', 'chapters'];
+
+// The search page; results come from `results`, which the search API
+// (api-search.js) shares
 exports.index = (req, res) => {
     res.render('search/index', {
-        q: req.query.q || '',
-        types: req.query.types || ['users', 'stories', 'collections', 'comments', 'chapters']
+        query: req.query.q || '',
+        types: req.query.types || ALL_TYPES
     });
 };
 
-exports.results = async (req, res) => {
+exports.results = async (req) => {
     const rawQ = req.query.q || '';
     const likeQ = `%${searchService.escapeLike(rawQ)}%`;
     let types = Array.isArray(req.query.types) ? req.query.types : [];
+
     if (!types.length) {
-        types = ['users', 'stories', 'collections', 'comments', 'chapters'];
+        types = ALL_TYPES;
     }
 
-    logger.info(`${logPrefix} Running search for: ${rawQ} 'types: ${types}`);
+    // Cursors are per category, so keyset paging only makes sense for one type
+    const pageOpts = parsePagination(req.query);
+    if (!pageOpts.error && pageOpts.page === undefined && types.length !== 1) {
+        pageOpts.error = 'Cursor pagination requires exactly one type';
+    }
+    if (pageOpts.error) {
+        throw new BadRequestError(pageOpts.error);
+    }
 
-    try {
-        const tasks = [];
-        const searchMap = {
-            users: searchService.searchUsers,
-            stories: searchService.searchStories,
-            collections: searchService.searchCollections,
-            comments: searchService.searchComments,
-            chapters: searchService.searchChapters
-        };
+    logger.info(`${logPrefix} Running search for: "${rawQ}" types: ${types}`);
 
-        types.forEach(type => {
-            if (searchMap[type]) {
-                logger.info(`${logPrefix} Querying ${type}...`);
-                tasks.push(
-                    searchMap[type](likeQ)
-                        .then(results => ({ [type]: results }))
-                );
-            }
-        });
+    const searchTasks = [];
+    const searchMap = {
+        users: searchService.searchUsers,
+        stories: searchService.searchStories,
+        collections: searchService.searchCollections,
+        comments: searchService.searchComments,
+        chapters: searchService.searchChapters
+    };
 
-        // Await all
-        const parts = await Promise.all(tasks);
-        const results = parts.reduce((acc, part) => Object.assign(acc, part), {});
+    types.forEach(type => {
+        if (searchMap[type]) {
+            logger.debug(`${logPrefix} Querying ${type}...`);
+            searchTasks.push(
+                searchMap[type](likeQ, pageOpts)
+                    .then(page => ({ type, ...page }))
+            );
+        }
+    });
 
-        // Ensure all categories exist
-        ['users', 'stories', 'collections', 'comments', 'chapters']
-            .forEach(cat => { if (!results[cat]) results[cat] = []; });
+    const resultsParts = await Promise.all(searchTasks);
+    const results = {};
+    const pagination = {};
+    resultsParts.forEach(part => {
+        results[part.type] = part.items;
+        pagination[part.type] = part.pagination;
+    });
 
-        // AJAX/JSON response?
-        if (req.xhr || (req.get('Accept') || '').includes('json')) {
-            return res.json({ results });
-        }
+    // Ensure consistent response structure with empty arrays
+    ALL_TYPES.forEach(cat => {
+        results[cat] = results[cat] || [];
+    });
 
-        // Render page
-        res.render('search/index', {
-            q: rawQ,
-            types,
-            results
-        });
-    }
-    catch (err) {
-        logger.error(`${logPrefix} Error running results:`, { error: err });
-        if (req.xhr || (req.get('Accept') || '').includes('json')) {
-            return res.status(500).json({ error: 'Search failed' });
-        }
-        res.status(500).send('Search failed');
-    }
+    return { query: rawQ, types, results, pagination };
 };
 
 exports.routes = {
     'GET /': 'index',
-    'GET /results': 'results'
-};
\ No newline at end of file
+    'GET /results': { handler: 'results', view: 'search/index' }
+};
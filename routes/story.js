@@ -1,408 +1,277 @@
-const { body, validationResult } = require('express-validator');
+const { body } = require('express-validator');
 const logger = require('../logger');
 const storyService = require('../services/storyService');
+const { parsePagination } = require('../utils/pagination');
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError, assertValid } = require('../utils/errors');
+const { assertVerified } = require('../utils/emailVerification');
+const { can } = require('../utils/permissions');
+const { formState } = require('../utils/respond');
+const { route } = require('../utils/urls');
 
 const loggingPrefix = "[STORY]";
 
-// GET: Render the homepage listing all stories
-exports.index = async (req, res) => {
-    logger.info(`${loggingPrefix} Index route hit`);
-    try {
-        const stories = await storyService.getAllStories();
-        logger.info(`${loggingPrefix} Fetched ${stories.length} stories`);
-        res.render('story/index', { stories, title: 'Stories' });
-    } catch (err) {
-        logger.error(`${loggingPrefix} Database error`, { error: err.message, stack: err.stack });
-        res.status(500).render('error', { message: 'Database error' });
-    }
-};
+// Handlers return their data; the routes maps below and in api-story.js
+// decide whether it is rendered, followed by a redirect or sent as JSON
+// (utils/respond.js). Errors are thrown as utils/errors types.
 
-// GET: Show detailed view of a specific chapter including navigation and comments and rating
-exports.storyDetail = async (req, res) => {
-    const { username, vanity: storyVanity } = req.params;
-    logger.info(`${loggingPrefix} Detail route hit`, { username, storyVanity });
+// Unpublished stories stay visible to their author and to moderators
+const isVisible = (req, story) => Boolean(story) && (
+    !story.unpublished_at || story.user_id === req.session.userId || can(req, 'stories.viewUnpublished')
+);
 
-    if (!username || !storyVanity) {
-        return res.status(400).render('error', { message: 'Invalid username or story vanity' });
+// GET: List stories, one page (?page=) or cursor (?after= / ?before=) at a time
+exports.index = async (req) => {
+    const pageOpts = parsePagination(req.query);
+    if (pageOpts.error) {
+        throw new BadRequestError(pageOpts.error);
     }
 
-    try {
-        const story = await storyService.getStoryByUsernameAndVanity(username, storyVanity);
-        if (!story) {
-            logger.warn(`${loggingPrefix} Not found`, { username, storyVanity });
-            return res.status(404).render('error', { message: 'Story not found' });
-        }
+    const { items: stories, pagination } = await storyService.getAllStories(pageOpts);
+    logger.info(`${loggingPrefix} Fetched ${stories.length} stories`);
+    return { count: stories.length, stories, pagination };
+};
 
-        const chapters = await storyService.getChaptersByStoryId(story.id);
+// GET: A story with its chapters, and the signed-in user's rating and favorite
+exports.storyDetail = async (req) => {
+    const { username, vanity } = req.params;
 
-        let userRating = null;
-        if (req.session.userId && req.session.userId !== story.user_id) {
-            userRating = await storyService.getUserRatingForStory(req.session.userId, story.id);
-        }
+    const story = await storyService.getStoryByUsernameAndVanity(username, vanity);
+    if (!isVisible(req, story)) {
+        throw new NotFoundError('Story not found');
+    }
 
-        logger.info(`${loggingPrefix} Chapter count`, { count: chapters.length });
+    const chapters = await storyService.getChaptersByStoryId(story.id);
 
-        res.render('story/detail', {
-            story, chapters, userRating, title: story.title
-        });
-    } catch (err) {
-        logger.error(`${loggingPrefix} Database error`, { error: err.message, stack: err.stack });
-        res.status(500).render('error', { message: 'Database error' });
+    let userRating = null;
+    if (req.session.userId && req.session.userId !== story.user_id) {
+        userRating = await storyService.getUserRatingForStory(req.session.userId, story.id);
     }
+    const isFavorited = req.session.userId
+        ? await storyService.isFavorited(req.session.userId, story.id)
+        : false;
+
+    return {
+        story: { ...story, chapter_count: chapters.length },
+        chapters,
+        userRating,
+        isFavorited
+    };
 };
 
-exports.chapterDetail = async (req, res) => {
-    const username = req.params.username;
-    const storyVanity = req.params.vanity;
-    const chapterNum = parseInt(req.params.chapternum, 10);
+// GET: A chapter with its navigation and comments
+exports.chapterDetail = async (req) => {
+    const { username, vanity, chapternum } = req.params;
+    const chapterNum = parseInt(chapternum, 10);
 
-    logger.info(`${loggingPrefix} Chapter route hit`, { username, storyVanity, chapterNum });
+    if (isNaN(chapterNum)) {
+        throw new BadRequestError('Invalid parameters');
+    }
 
-    if (!username || !storyVanity || isNaN(chapterNum)) {
-        return res.status(400).render('error', { message: 'Invalid parameters' });
+    const story = await storyService.getStoryWithUser(username, vanity);
+    if (!isVisible(req, story)) {
+        throw new NotFoundError('Story not found');
     }
 
-    try {
-        const story = await storyService.getStoryWithUser(username, storyVanity);
-        if (!story) {
-            logger.warn(`${loggingPrefix} Story not found`, { username, storyVanity });
-            return res.status(404).render('error', { message: 'Story not found' });
-        }
+    const chapter = await storyService.getChapterByStoryIdAndNumber(story.id, chapterNum);
+    if (!chapter) {
+        throw new NotFoundError('Chapter not found');
+    }
 
-        const chapter = await storyService.getChapterByStoryIdAndNumber(story.id, chapterNum);
-        if (!chapter) {
-            logger.warn(`${loggingPrefix} Chapter not found`, { storyId: story.id, chapterNum });
-            return res.status(404).render('error', { message: 'Chapter not found' });
-        }
+    const { prevChapter, nextChapter } = await storyService.getChapterNavigation(story.id, chapterNum);
+    const comments = await storyService.getCommentsForChapter(chapter.id);
 
-        const formattedContent = chapter.content
-            .split('\n')
-            .filter(line => line.trim())
-            .map(line => `<p>${line}</p>`)
-            .join('');
-
-        const { prevChapter, nextChapter } = await storyService.getChapterNavigation(story.id, chapterNum);
-        const comments = await storyService.getCommentsForChapter(chapter.id);
-
-        res.render('story/chapter', {
-            story,
-            chapter: { ...chapter, formattedContent },
-            prevChapter,
-            nextChapter,
-            comments,
-            title: `${story.title} - Chapter ${chapterNum}`,
-            userId: req.session.userId,
-        });
-    } catch (err) {
-        logger.error(`${loggingPrefix} Database error`, { error: err.message, stack: err.stack });
-        res.status(500).render('error', { message: 'Database error' });
-    }
+    return { story, chapter, navigation: { prevChapter, nextChapter }, comments };
 };
 
 // ---- Validators ----
 exports.validateCreateStory = [
     body('title')
         .trim()
-        .isLength({ min: 3 }).withMessage('Title must be at least 3 characters long.')
-        .isLength({ max: 150 }).withMessage('Title must be less than 150 characters.'),
+        .isLength({ min: 3 }).withMessage('Title must be at least 3 characters')
+        .isLength({ max: 150 }).withMessage('Title must be less than 150 characters'),
     body('synopsis')
         .trim()
-        .isLength({ min: 10 }).withMessage('Synopsis must be at least 10 characters long.')
+        .isLength({ min: 10 }).withMessage('Synopsis must be at least 10 characters')
 ];
 
+exports.validateUpdateStory = exports.validateCreateStory;
+
 // ---- Create Story ----
 // GET: Show form for creating a new story (auth required)
 exports.createForm = (req, res) => {
-    if (!req.session.userId) return res.redirect('/auth/login');
-    logger.info(`${loggingPrefix} Create form accessed`, { userId: req.session.userId });
-    res.render('story/create', { title: 'Create New Story', errors: null, formData: {} });
+    res.render('story/create', { title: 'Create New Story', ...formState(res) });
 };
 
-// POST: Validate and create a new story if data is valid and title unused
+// POST: Create a new story if the title is unused
 exports.createStory = async (req, res) => {
-    if (!req.session.userId) return res.redirect('/auth/login');
-
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        const msgs = errors.array().map(e => e.msg);
-        return res.render('story/create', {
-            title: 'Create New Story',
-            errors: msgs,
-            formData: req.body
-        });
-    }
+    await assertVerified(req, 'publish');
+    assertValid(req);
 
     const titleTaken = await storyService.isTitleTaken(req.session.userId, req.body.title);
     if (titleTaken) {
-        return res.render('story/create', {
-            title: 'Create New Story',
-            errors: ['You already have a story with that title.'],
-            formData: req.body
-        });
+        throw new ConflictError('You already have a story with that title');
     }
 
-    try {
-        const { title, synopsis } = req.body;
-        const { createdStory, username } = await storyService.createStory(req.session.userId, title, synopsis);
-
-        logger.info(`${loggingPrefix} Story created successfully`, {
-            userId: req.session.userId,
-            storyId: createdStory.id,
-            title: title.substring(0, 50),
-            vanity: createdStory.vanity
-        });
-
-        res.redirect(`/story/${username}/${createdStory.vanity}`);
-    } catch (err) {
-        logger.error(`${loggingPrefix} Story creation error`, { error: err.message, stack: err.stack });
-        res.render('story/create', {
-            title: 'Create New Story',
-            errors: ['An error occurred while creating your story. Please try again.'],
-            formData: req.body
-        });
-    }
-};
-
-// ---- Validators ----
-exports.validateUpdateStory = [
-    body('title')
-        .trim()
-        .isLength({ min: 3 }).withMessage('Title must be at least 3 characters long.')
-        .isLength({ max: 150 }).withMessage('Title must be less than 150 characters.'),
-    body('synopsis')
-        .trim()
-        .isLength({ min: 10 }).withMessage('Synopsis must be at least 10 characters long.')
-];
+    const { title, synopsis } = req.body;
+    const { createdStory, username } = await storyService.createStory(req.session.userId, title, synopsis);
 
-// GET: Show form to edit an existing story if authorized
-exports.editStoryForm = async (req, res) => {
-    const { username, vanity } = req.params;
-    const userId = req.session.userId;
+    logger.info(`${loggingPrefix} Story created successfully`, {
+        userId: req.session.userId,
+        storyId: createdStory.id,
+        title: title.substring(0, 50),
+        vanity: createdStory.vanity
+    });
 
-    const story = await storyService.getStoryByUsernameAndVanity(username, vanity);
-    if (!story || story.user_id !== userId) {
-        return res.status(403).render('error', { message: 'Forbidden' });
-    }
-    res.render('story/edit', { title: 'Edit Story', formData: story, errors: null });
+    res.status(201);
+    return {
+        message: 'Story created successfully',
+        story: createdStory,
+        url: route('story.show', { username, vanity: createdStory.vanity })
+    };
 };
 
-// POST: Validate and update an existing story, then redirect to its detail
-exports.updateStory = async (req, res) => {
-    const { username, vanity } = req.params;
-    const userId = req.session.userId;
-    const errors = validationResult(req);
-
-    if (!errors.isEmpty()) {
-        const formData = { ...req.body, username, vanity };
-        return res.render('story/edit', {
-            title: 'Edit Story',
-            errors: errors.array().map(e => e.msg),
-            formData
-        });
-    }
-
-    const story = await storyService.getStoryByUserIdAndVanity(userId, vanity);
-    if (!story) {
-        return res.status(404).render('error', { message: 'Not found' });
-    }
+// GET: Show form to edit an existing story if authorized
+exports.editStoryForm = (req, res) => {
+    res.render('story/edit', { title: 'Edit Story', ...formState(res, req.story) });
+};
 
-    await storyService.updateStoryById(story.id, req.body.title, req.body.synopsis);
+// POST: Update an existing story
+exports.updateStory = async (req) => {
+    assertValid(req);
 
-    const updatedStory = await storyService.getStoryById(story.id);
+    await storyService.updateStoryById(req.story.id, req.body.title, req.body.synopsis);
+    const updatedStory = await storyService.getStoryById(req.story.id);
 
-    res.redirect(`/story/${username}/${updatedStory.vanity}`);
+    return { message: 'Story updated successfully', story: updatedStory };
 };
 
 // POST: Delete an existing story if authorized
-exports.deleteStory = async (req, res) => {
-    const { username, vanity } = req.params;
-    const userId = req.session.userId;
-
-    const story = await storyService.getStoryByUserIdAndVanity(userId, vanity);
-    if (!story) return res.status(404).render('error', { message: 'Not found' });
-
-    await storyService.deleteStoryById(story.id);
-
-    res.redirect('/users/');
+exports.deleteStory = async (req) => {
+    await storyService.deleteStoryById(req.story.id);
+    return { message: 'Story deleted successfully' };
 };
 
-// POST: Add a comment to a chapter if authorized
+// POST: Add a comment to a chapter
 exports.addComment = async (req, res) => {
+    await assertVerified(req, 'comment');
     const userId = req.session.userId;
-    if (!userId) return res.redirect('/auth/login');
-
     const { content, parent_id } = req.body;
     const { username, vanity, chapternum } = req.params;
     const chapterNum = parseInt(chapternum, 10);
 
     if (!content || isNaN(chapterNum)) {
-        return res.status(400).render('error', { message: 'Invalid comment data' });
+        throw new BadRequestError('Invalid comment data');
     }
 
-    try {
-        const story = await storyService.getStorySummaryByUsernameAndVanity(username, vanity);
-        if (!story) {
-            logger.warn(`${loggingPrefix} Story not found in addComment`, { username, vanity });
-            return res.status(404).render('error', { message: 'Story not found' });
-        }
-
-        const chapter = await storyService.getChapterByStoryIdAndNumber(story.id, chapterNum);
-        if (!chapter) {
-            logger.warn(`${loggingPrefix} Chapter not found in addComment`, { storyId: story.id, chapterNum });
-            return res.status(404).render('error', { message: 'Chapter not found' });
-        }
+    const story = await storyService.getStorySummaryByUsernameAndVanity(username, vanity);
+    if (!isVisible(req, story)) {
+        throw new NotFoundError('Story not found');
+    }
 
-        await storyService.addComment({
-            userId,
-            chapterId: chapter.id,
-            parentId: parent_id || null,
-            content
-        });
-
-        res.redirect('back');
-    } catch (err) {
-        logger.error(`${loggingPrefix} Comment insert error`, { error: err.message, stack: err.stack });
-        res.status(500).render('error', { message: 'Database error' });
+    const chapter = await storyService.getChapterByStoryIdAndNumber(story.id, chapterNum);
+    if (!chapter) {
+        throw new NotFoundError('Chapter not found');
     }
+
+    const comment = await storyService.addComment({
+        userId,
+        chapterId: chapter.id,
+        parentId: parent_id || null,
+        content
+    });
+
+    res.status(201);
+    return { message: 'Comment added successfully', comment };
 };
 
-// POST: Edit an existing comment
-exports.editComment = async (req, res) => {
+// POST: Edit an existing comment; HTML forms delete with _method=DELETE
+exports.editComment = async (req) => {
     if (req.body._method === 'DELETE' || req.query._method === 'DELETE') {
-        return exports.deleteComment(req, res);
+        return exports.deleteComment(req);
     }
+    await assertVerified(req, 'comment');
 
     const userId = req.session.userId;
-    if (!userId) return res.redirect('/auth/login');
-
+    const commentId = req.comment.id;
     const { content } = req.body;
-    const commentId = parseInt(req.params.commentId, 10);
-    const chapterNum = parseInt(req.params.chapternum, 10);
 
-    if (!content || isNaN(commentId) || isNaN(chapterNum)) {
-        return res.status(400).render('error', { message: 'Invalid comment data' });
+    if (!content) {
+        throw new BadRequestError('Invalid comment data');
     }
 
-    try {
-        const comment = await storyService.getCommentByIdAndUser(commentId, userId);
-        if (!comment) {
-            logger.warn(`${loggingPrefix} Comment not found or unauthorized in editComment`, { commentId, userId });
-            return res.status(404).render('error', { message: 'Comment not found or unauthorized' });
-        }
-
-        await storyService.updateCommentByIdAndUser(commentId, userId, content);
+    const updatedComment = await storyService.updateCommentByIdAndUser(commentId, userId, content);
 
-        logger.info(`${loggingPrefix} Comment updated`, { commentId, userId, content: content.substring(0, 50) + '...' });
-        return res.redirect('back');
-    } catch (err) {
-        logger.error(`${loggingPrefix} Comment update error`, { error: err.message, stack: err.stack });
-        return res.status(500).render('error', { message: 'Database error' });
-    }
+    logger.info(`${loggingPrefix} Comment updated`, { commentId, userId, content: content.substring(0, 50) + '...' });
+    return { message: 'Comment updated successfully', comment: updatedComment };
 };
 
-// POST: Delete (soft or hard) a comment if authorized
-exports.deleteComment = async (req, res) => {
+// POST: Delete a comment; comments with replies are blanked out instead.
+// Moderators get here for other people's comments too (overrideOwner).
+exports.deleteComment = async (req) => {
     const userId = req.session.userId;
-    if (!userId) return res.redirect('/auth/login');
+    const { id: commentId, user_id: authorId } = req.comment;
 
-    const commentId = parseInt(req.params.commentId, 10);
-    const chapterNum = parseInt(req.params.chapternum, 10);
+    const replyCount = await storyService.getReplyCountForComment(commentId);
+    const deleteMethod = replyCount > 0 ? 'soft' : 'hard';
 
-    if (isNaN(commentId) || isNaN(chapterNum)) {
-        return res.status(400).render('error', { message: 'Invalid comment ID' });
+    if (deleteMethod === 'soft') {
+        await storyService.softDeleteComment(commentId, authorId);
+    } else {
+        await storyService.hardDeleteComment(commentId, authorId);
     }
 
-    try {
-        const comment = await storyService.getCommentByIdAndUser(commentId, userId);
-        if (!comment) {
-            logger.warn(`${loggingPrefix} Comment not found or unauthorized in deleteComment`, { commentId, userId });
-            return res.status(404).render('error', { message: 'Comment not found or unauthorized' });
-        }
-
-        const replyCount = await storyService.getReplyCountForComment(commentId);
-
-        if (replyCount > 0) {
-            await storyService.softDeleteComment(commentId, userId);
-        } else {
-            await storyService.hardDeleteComment(commentId, userId);
-        }
-
-        logger.info(`${loggingPrefix} Comment deleted`, { commentId, userId, hadReplies: replyCount > 0 });
-        return res.redirect('back');
-    } catch (err) {
-        logger.error(`${loggingPrefix} Comment delete error`, { error: err.message, stack: err.stack });
-        return res.status(500).render('error', { message: 'Database error' });
-    }
+    const moderated = authorId !== userId;
+    logger.info(`${loggingPrefix} Comment deleted`, { commentId, userId, deleteMethod, moderated });
+    return { message: 'Comment deleted successfully', deleteMethod };
 };
 
 // ---- Chapter Validators ----
-exports.validateCreateChapter = [
+exports.validateUpdateChapter = [
     body('title')
         .trim()
-        .isLength({ min: 1 }).withMessage('Chapter title is required.')
-        .isLength({ max: 100 }).withMessage('Title must be under 100 characters.'),
+        .isLength({ min: 1 }).withMessage('Chapter title is required')
+        .isLength({ max: 100 }).withMessage('Title must be under 100 characters'),
     body('content')
         .trim()
-        .isLength({ min: 10 }).withMessage('Content must be at least 10 characters.')
+        .isLength({ min: 10 }).withMessage('Content must be at least 10 characters')
 ];
 
-exports.validateUpdateChapter = exports.validateCreateChapter;
+exports.validateCreateChapter = [
+    ...exports.validateUpdateChapter,
+    body('chapter_num')
+        .isInt().withMessage('Invalid chapter number')
+];
 
 // GET: Show form to add a new chapter if authorized
-exports.createChapterForm = async (req, res) => {
+exports.createChapterForm = (req, res) => {
     const { username, vanity } = req.params;
-    const story = await storyService.getStorySummaryByUsernameAndVanity(username, vanity);
-    if (!story || story.user_id !== req.session.userId) {
-        return res.status(403).render('error', { message: 'Forbidden' });
-    }
     res.render('chapter/create', {
         title: 'Add Chapter',
-        errors: null,
-        formData: { username, vanity, chapter_num: '', title: '', content: '' }
+        ...formState(res, { username, vanity, chapter_num: '', title: '', content: '' })
     });
 };
 
-// POST: Validate and create a new chapter if authorized and chapter number unused
+// POST: Create a new chapter if the chapter number is unused
 exports.createChapter = async (req, res) => {
     const { username, vanity } = req.params;
+    const { story } = req;
+    await assertVerified(req, 'publish');
+    assertValid(req);
+
     const chapNum = parseInt(req.body.chapter_num, 10);
-    const errors = validationResult(req);
-
-    if (!errors.isEmpty() || isNaN(chapNum)) {
-        const msgs = errors.array().map(e => e.msg);
-        if (isNaN(chapNum)) msgs.push('Invalid chapter number');
-        return res.render('chapter/create', {
-            title: 'Add Chapter',
-            errors: msgs,
-            formData: { username, vanity, chapter_num: req.body.chapter_num, title: req.body.title, content: req.body.content }
-        });
+    const existingChapter = await storyService.chapterExists(story.id, chapNum);
+    if (existingChapter) {
+        throw new ConflictError('Chapter number already exists for this story');
     }
 
-    try {
-        const story = await storyService.getStorySummaryByUsernameAndVanity(username, vanity);
-        if (!story || story.user_id !== req.session.userId) {
-            return res.status(403).render('error', { message: 'Forbidden' });
-        }
+    const chapter = await storyService.createChapter(story.id, chapNum, req.body.title, req.body.content);
 
-        const existingChapter = await storyService.chapterExists(story.id, chapNum);
-        if (existingChapter) {
-            return res.render('chapter/create', {
-                title: 'Add Chapter',
-                errors: ['Chapter number already exists for this story.'],
-                formData: { username, vanity, chapter_num: req.body.chapter_num, title: req.body.title, content: req.body.content }
-            });
-        }
-
-        await storyService.createChapter(story.id, chapNum, req.body.title, req.body.content);
-        res.redirect(`/story/${username}/${vanity}`);
-    } catch (err) {
-        logger.error(`${loggingPrefix} Chapter create error`, { error: err.message, stack: err.stack });
-        res.render('chapter/create', {
-            title: 'Add Chapter',
-            errors: ['Error creating chapter'],
-            formData: req.body
-        });
-    }
+    res.status(201);
+    return {
+        message: 'Chapter created successfully',
+        chapter,
+        url: route('story.chapter', { username, vanity, chapternum: chapNum })
+    };
 };
 
 // GET: Show form to edit a chapter if authorized
@@ -410,144 +279,163 @@ exports.editChapterForm = async (req, res) => {
     const { username, vanity, chapternum } = req.params;
     const chapNum = parseInt(chapternum, 10);
 
-    const story = await storyService.getStorySummaryByUsernameAndVanity(username, vanity);
-    if (!story || story.user_id !== req.session.userId) {
-        return res.status(403).render('error', { message: 'Forbidden' });
-    }
-
-    const chapter = await storyService.getChapterByStoryIdAndNumber(story.id, chapNum);
+    const chapter = await storyService.getChapterByStoryIdAndNumber(req.story.id, chapNum);
     if (!chapter) {
-        return res.status(404).render('error', { message: 'Chapter not found' });
+        throw new NotFoundError('Chapter not found');
     }
 
     res.render('chapter/edit', {
         title: 'Edit Chapter',
-        errors: null,
-        formData: {
-            username,
-            vanity,
-            chapter_num: chapNum,
-            title: chapter.title,
-            content: chapter.content
-        }
+        ...formState(res, { username, vanity, chapter_num: chapNum, title: chapter.title, content: chapter.content })
     });
 };
 
-// POST: Validate and update a chapter if authorized
-exports.updateChapter = async (req, res) => {
-    const { username, vanity, chapternum } = req.params;
-    const chapNum = parseInt(chapternum, 10);
-    const errors = validationResult(req);
-
-    if (!errors.isEmpty()) {
-        return res.render('chapter/edit', {
-            title: 'Edit Chapter',
-            errors: errors.array().map(e => e.msg),
-            formData: { username, vanity, chapter_num: chapternum, title: req.body.title, content: req.body.content }
-        });
-    }
+// POST: Update a chapter
+exports.updateChapter = async (req) => {
+    const chapNum = parseInt(req.params.chapternum, 10);
+    assertValid(req);
 
-    const story = await storyService.getStorySummaryByUsernameAndVanity(username, vanity);
-    if (!story || story.user_id !== req.session.userId) {
-        return res.status(403).render('error', { message: 'Forbidden' });
+    const updated = await storyService.updateChapter(req.story.id, chapNum, req.body);
+    if (!updated.affectedRows) {
+        throw new NotFoundError('Chapter not found');
     }
 
-    try {
-        await storyService.updateChapter(story.id, chapNum, req.body);
-        res.redirect(`/story/${username}/${vanity}/chapter/${chapNum}`);
-    } catch (err) {
-        logger.error(`${loggingPrefix} Chapter update error`, { error: err.message, stack: err.stack });
-        res.render('chapter/edit', { title: 'Edit Chapter', errors: ['Error updating chapter'], formData: req.body });
-    }
+    return { message: 'Chapter updated successfully' };
 };
 
-// POST: Delete a chapter if authorized
-exports.deleteChapter = async (req, res) => {
-    const { username, vanity, chapternum } = req.params;
-    const chapNum = parseInt(chapternum, 10);
+// POST: Delete a chapter
+exports.deleteChapter = async (req) => {
+    const chapNum = parseInt(req.params.chapternum, 10);
 
-    const story = await storyService.getStorySummaryByUsernameAndVanity(username, vanity);
-    if (!story || story.user_id !== req.session.userId) {
-        return res.status(403).render('error', { message: 'Forbidden' });
+    const deleted = await storyService.deleteChapter(req.story.id, chapNum);
+    if (!deleted.affectedRows) {
+        throw new NotFoundError('Chapter not found');
     }
 
-    try {
-        await storyService.deleteChapter(story.id, chapNum);
-        res.redirect(`/story/${username}/${vanity}`);
-    } catch (err) {
-        logger.error(`${loggingPrefix} Chapter delete error`, { error: err.message, stack: err.stack });
-        res.status(500).render('error', { message: 'Error deleting chapter' });
-    }
+    return { message: 'Chapter deleted successfully' };
 };
 
 // ---- Validators ----
 exports.validateRating = [
     body('rating')
         .optional({ checkFalsy: true })  // Allow empty values
-        .isInt({ min: 1, max: 5 })
-        .withMessage('Rating must be between 1 and 5 stars')
+        .isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5')
 ];
 
-// POST: Submit a rating for a story if valid and authorized
-exports.rateStory = async (req, res) => {
-    const errors = validationResult(req);
+// POST: Rate a story; an empty rating clears it
+exports.rateStory = async (req) => {
     const { username, vanity } = req.params;
     const userId = req.session.userId;
-    const redirectUrl = `/story/${username}/${vanity}`;
-
-    if (!errors.isEmpty()) {
-        return res.redirect(`${redirectUrl}?error=${encodeURIComponent(errors.array()[0].msg)}`);
-    }
+    assertValid(req);
 
     const ratingValue = parseInt(req.body.rating);
 
-    try {
-        const story = await storyService.getStoryByUsernameAndVanity(username, vanity);
-        if (!story) return res.redirect(`${redirectUrl}?error=${encodeURIComponent('Story not found')}`);
+    const story = await storyService.getStoryByUsernameAndVanity(username, vanity);
+    if (!isVisible(req, story)) {
+        throw new NotFoundError('Story not found');
+    }
+
+    if (story.user_id === userId) {
+        throw new ForbiddenError("You can't rate your own story");
+    }
 
-        if (story.user_id === userId) {
-            return res.redirect(`${redirectUrl}?error=${encodeURIComponent("You can't rate your own story")}`);
+    if (isNaN(ratingValue)) {
+        const result = await storyService.deleteRating(userId, story.id);
+        if (!result.affectedRows) {
+            throw new BadRequestError('No rating to clear');
         }
+        return { message: 'Rating cleared successfully' };
+    }
 
-        const existingRating = await storyService.getRating(userId, story.id);
+    // Affected row counts for an upsert differ between databases, so look
+    // for an earlier rating to tell a new rating from a changed one
+    const existing = await storyService.getRating(userId, story.id);
+    await storyService.upsertRating(userId, story.id, ratingValue);
+    const action = existing ? 'updated' : 'created';
 
-        if (isNaN(ratingValue)) {
-            if (existingRating) {
-                await storyService.deleteRating(userId, story.id);
-                return res.redirect(`${redirectUrl}?success=${encodeURIComponent('Rating cleared successfully!')}`);
-            }
-            return res.redirect(`${redirectUrl}?info=${encodeURIComponent('No rating to clear')}`);
-        }
+    return { message: `Rating ${action} successfully`, rating: ratingValue };
+};
 
-        if (existingRating) {
-            await storyService.updateRating(userId, story.id, ratingValue);
-        } else {
-            await storyService.insertRating(userId, story.id, ratingValue);
-        }
+// POST: Favorite a story; send favorite=false to remove it
+exports.toggleFavorite = async (req) => {
+    const { username, vanity } = req.params;
+    const userId = req.session.userId;
 
-        return res.redirect(`${redirectUrl}?success=${encodeURIComponent('Rating submitted successfully!')}`);
-    } catch (err) {
-        logger.error(`${loggingPrefix} Rating error`, { error: err.message, stack: err.stack });
-        return res.redirect(`${redirectUrl}?error=${encodeURIComponent('Error submitting rating')}`);
+    const story = await storyService.getStoryByUsernameAndVanity(username, vanity);
+    if (!isVisible(req, story)) {
+        throw new NotFoundError('Story not found');
     }
+
+    const favorite = req.body.favorite !== false && req.body.favorite !== 'false';
+    if (favorite) {
+        await storyService.addFavorite(userId, story.id);
+    } else {
+        await storyService.removeFavorite(userId, story.id);
+    }
+
+    return { message: favorite ? 'Added to favorites' : 'Removed from favorites', favorite };
+};
+
+// ---- Moderation ----
+// POST: Take a story out of listings, search and public view (admins)
+exports.unpublishStory = async (req) => {
+    const story = await storyService.getStoryByUsernameAndVanity(req.params.username, req.params.vanity);
+    if (!story) {
+        throw new NotFoundError('Story not found');
+    }
+
+    await storyService.setUnpublished(story.id, true);
+    logger.info(`${loggingPrefix} Story unpublished`, { storyId: story.id, by: req.session.userId });
+    return { message: 'Story unpublished' };
 };
 
+// POST: Put an unpublished story back (admins)
+exports.republishStory = async (req) => {
+    const story = await storyService.getStoryByUsernameAndVanity(req.params.username, req.params.vanity);
+    if (!story) {
+        throw new NotFoundError('Story not found');
+    }
+
+    await storyService.setUnpublished(story.id, false);
+    logger.info(`${loggingPrefix} Story republished`, { storyId: story.id, by: req.session.userId });
+    return { message: 'Story published again' };
+};
+
+// Where HTML forms land after a successful submit
+const toStory = (data, req) => route('story.show', req.params);
+const toChapter = (data, req) => route('story.chapter', req.params);
+const back = () => 'back';
+
 exports.routes = {
-    'GET /': 'index',
-    'GET /create': 'createForm',
-    'POST /create': ['validateCreateStory', 'createStory'],
-    'GET /:username/:vanity': 'storyDetail',
-    'GET /:username/:vanity/chapter/add': 'createChapterForm',
-    'POST /:username/:vanity/chapter/add': ['validateCreateChapter', 'createChapter'],
-    'GET /:username/:vanity/chapter/:chapternum/edit': 'editChapterForm',
-    'POST /:username/:vanity/chapter/:chapternum/edit': ['validateUpdateChapter', 'updateChapter'],
-    'POST /:username/:vanity/chapter/:chapternum/delete': 'deleteChapter',
-    'GET /:username/:vanity/chapter/:chapternum': 'chapterDetail',
-    'POST /:username/:vanity/chapter/:chapternum/comments': 'addComment',
-    'POST /:username/:vanity/chapter/:chapternum/comments/:commentId/edit': 'editComment',
-    'POST /:username/:vanity/chapter/:chapternum/comments/:commentId/delete': 'deleteComment',
-    'GET /:username/:vanity/edit': 'editStoryForm',
-    'POST /:username/:vanity/edit': ['validateUpdateStory', 'updateStory'],
-    'POST /:username/:vanity/delete': 'deleteStory',
-    'POST /:username/:vanity/rate': ['validateRating', 'rateStory']
+    'GET /': { handler: 'index', view: 'story/index' },
+    'GET /create': { handler: 'createForm', name: 'create', requireAuth: true },
+    'POST /create': { handler: ['validateCreateStory', 'createStory'], requireAuth: true, redirect: data => data.url, form: 'createForm' },
+    'GET /:username/:vanity': { handler: 'storyDetail', name: 'show', view: 'story/detail' },
+    'GET /:username/:vanity/chapter/add': { handler: 'createChapterForm', name: 'chapter.create', requireOwner: 'story' },
+    'POST /:username/:vanity/chapter/add': { handler: ['validateCreateChapter', 'createChapter'], requireOwner: 'story', redirect: toStory, form: 'createChapterForm' },
+    'GET /:username/:vanity/chapter/:chapternum/edit': { handler: 'editChapterForm', name: 'chapter.edit', requireOwner: 'story' },
+    'POST /:username/:vanity/chapter/:chapternum/edit': { handler: ['validateUpdateChapter', 'updateChapter'], requireOwner: 'story', redirect: toChapter, form: 'editChapterForm' },
+    'POST /:username/:vanity/chapter/:chapternum/delete': { handler: 'deleteChapter', requireOwner: 'story', redirect: toStory },
+    'GET /:username/:vanity/chapter/:chapternum': { handler: 'chapterDetail', name: 'chapter', view: 'story/chapter' },
+    'POST /:username/:vanity/chapter/:chapternum/comments': { handler: 'addComment', requireAuth: true, redirect: back },
+    // Also handles deletes sent as _method=DELETE, which need the same owner check
+    'POST /:username/:vanity/chapter/:chapternum/comments/:commentId/edit': { handler: 'editComment', requireOwner: 'comment', redirect: back },
+    'POST /:username/:vanity/chapter/:chapternum/comments/:commentId/delete': {
+        handler: 'deleteComment',
+        requireOwner: 'comment',
+        overrideOwner: 'comments.moderate',
+        redirect: back
+    },
+    'GET /:username/:vanity/edit': { handler: 'editStoryForm', name: 'edit', requireOwner: 'story' },
+    'POST /:username/:vanity/edit': {
+        handler: ['validateUpdateStory', 'updateStory'],
+        requireOwner: 'story',
+        redirect: (data, req) => route('story.show', { username: req.params.username, vanity: data.story.vanity }),
+        form: 'editStoryForm'
+    },
+    'POST /:username/:vanity/delete': { handler: 'deleteStory', requireOwner: 'story', redirect: () => route('users.index') },
+    'POST /:username/:vanity/rate': { handler: ['validateRating', 'rateStory'], requireAuth: true, redirect: toStory },
+    'POST /:username/:vanity/favorite': { handler: 'toggleFavorite', requireAuth: true, redirect: toStory },
+    'POST /:username/:vanity/unpublish': { handler: 'unpublishStory', roles: 'admin', redirect: toStory },
+    'POST /:username/:vanity/republish': { handler: 'republishStory', roles: 'admin', redirect: toStory }
 };
@@ -1,64 +1,211 @@
+// User dashboards. The handlers are shared with version 2 of the users API
+// (routes/v2/api-users.js), which returns the fields the service actually
+// provides, and the API token handlers with routes/api-tokens.js;
+// utils/respond.js picks the page or the JSON envelope. Admins suspend
+// accounts and assign roles from here too.
+
+const { body } = require('express-validator');
 const logger = require('../logger');
 const usersService = require('../services/usersService');
-const { baseUrl } = require('../config/appSettings');
+const apiTokenService = require('../services/apiTokenService');
+const { ForbiddenError, NotFoundError, assertValid } = require('../utils/errors');
+const { SCOPES } = require('../utils/apiTokens');
+const { ROLES, can } = require('../utils/permissions');
+const { formState } = require('../utils/respond');
+const { route } = require('../utils/urls');
 
 const loggingPrefix = '[USERS]';
 
-exports.index = (req, res) => {
-    logger.info(`${loggingPrefix} Index route hit - /users/`);
+const toStory = (story) => ({
+    id: story.id,
+    title: story.title,
+    vanity: story.vanity,
+    synopsis: story.synopsis,
+    chapter_count: story.chapter_count,
+    avg_rating: story.avg_rating,
+    rating_count: story.rating_count,
+    favorite_count: story.favorite_count,
+    created_at: story.created_at,
+    updated_at: story.updated_at,
+    unpublished_at: story.unpublished_at
+});
+
+const toCollection = (collection) => ({
+    id: collection.id,
+    title: collection.title,
+    description: collection.description,
+    story_count: collection.story_count,
+    created_at: collection.created_at
+});
 
-    if (req.session?.userId) {
-        logger.info(`${loggingPrefix} Session found, redirecting to profile`);
-        return res.redirect(`${baseUrl}/users/profile/${req.session.username}`);
+async function loadWork(userId, { includeUnpublished = false } = {}) {
+    const [stories, collections] = await Promise.all([
+        usersService.getUserStories(userId, { includeUnpublished }),
+        usersService.getUserCollections(userId)
+    ]);
+    return { stories: stories.map(toStory), collections: collections.map(toCollection) };
+}
+
+// GET: The signed-in user with their stories and collections
+exports.index = async (req) => {
+    const user = await usersService.getUserById(req.session.userId);
+    if (!user) {
+        throw new NotFoundError('User not found');
     }
 
-    logger.info(`${loggingPrefix} No session, redirecting to login`);
-    res.redirect(`${baseUrl}/auth/login`);
+    const { stories, collections } = await loadWork(user.id, { includeUnpublished: true });
+    return {
+        user: { id: user.id, username: user.username, email: user.email, role: user.role, created_at: user.created_at },
+        stories,
+        collections
+    };
 };
 
-exports.profile = async (req, res) => {
-    logger.info(`${loggingPrefix} Profile route hit - /users/profile/:username`);
-    const username = req.params.username;
+// GET: Public profile
+exports.profile = async (req) => {
+    const { username } = req.params;
+    logger.info(`${loggingPrefix} Profile route hit`, { username });
 
-    if (!username) {
-        logger.warn(`${loggingPrefix} Missing username:`, req.params.username);
-        return res.status(400).send('Username is required');
+    const user = await usersService.getUserByUsername(username);
+    if (!user) {
+        throw new NotFoundError('User not found');
     }
 
-    try {
-        logger.info(`${loggingPrefix} Looking up username:`, username);
-        const user = await usersService.getUserByUsername(username);
+    const includeUnpublished = user.id === req.session.userId || can(req, 'stories.viewUnpublished');
+    const { stories, collections } = await loadWork(user.id, { includeUnpublished });
+
+    // Only admins see whether an account is suspended
+    const suspension = can(req, 'users.suspend')
+        ? { suspended_at: user.suspended_at, suspended_reason: user.suspended_reason }
+        : {};
+    return {
+        user: { id: user.id, username: user.username, role: user.role, created_at: user.created_at, ...suspension },
+        meta: { story_count: stories.length, collection_count: collections.length },
+        stories,
+        collections
+    };
+};
+
+// ---- API Tokens ----
+// Checkboxes post one value as a string and several as an array
+const requestedScopes = (req) => [].concat(req.body.scopes || []);
 
-        if (!user) {
-            logger.warn(`${loggingPrefix} User not found for username:`, username);
-            return res.status(404).send('User not found');
+exports.validateToken = [
+    body('name')
+        .trim()
+        .isLength({ min: 1 }).withMessage('Token name is required')
+        .isLength({ max: 100 }).withMessage('Token name must be under 100 characters'),
+    body('scopes').custom((value, { req }) => {
+        const unknown = requestedScopes(req).filter(scope => !SCOPES[scope]);
+        if (unknown.length) {
+            throw new Error(`Unknown scope: ${unknown.join(', ')}`);
         }
+        return true;
+    })
+];
+
+// GET: The dashboard page for the signed-in user's tokens
+exports.tokensForm = async (req, res) => {
+    const tokens = await apiTokenService.getTokensForUser(req.session.userId);
+    res.render('users/tokens', { tokens, scopes: SCOPES, ...formState(res, { name: '', scopes: [] }) });
+};
+
+// GET: The signed-in user's tokens; the tokens themselves are never shown again
+exports.listTokens = async (req) => {
+    return { tokens: await apiTokenService.getTokensForUser(req.session.userId) };
+};
+
+// POST: Create a token. Every token can read; write scopes are opt-in.
+exports.createToken = async (req, res) => {
+    assertValid(req);
+
+    const scopes = ['read', ...new Set(requestedScopes(req).filter(scope => scope !== 'read'))];
+    const { token, apiToken } = await apiTokenService.createToken(req.session.userId, req.body.name, scopes);
+
+    logger.info(`${loggingPrefix} API token created`, { userId: req.session.userId, tokenId: apiToken.id, scopes });
+    res.status(201);
+    return { message: 'Copy this token now; it will not be shown again.', token, apiToken };
+};
+
+// POST/DELETE: Revoke one of the signed-in user's tokens
+exports.revokeToken = async (req) => {
+    const tokenId = parseInt(req.params.tokenId, 10);
+    if (isNaN(tokenId) || !(await apiTokenService.revokeToken(req.session.userId, tokenId))) {
+        throw new NotFoundError('Token not found');
+    }
+
+    logger.info(`${loggingPrefix} API token revoked`, { userId: req.session.userId, tokenId });
+    return { message: 'Token revoked' };
+};
+
+// ---- Admin ----
+// Load the user named in the URL; admins can't act on their own account
+async function targetUser(req) {
+    const user = await usersService.getUserByUsername(req.params.username);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+    if (user.id === req.session.userId) {
+        throw new ForbiddenError("You can't change your own account here");
+    }
+    return user;
+}
+
+exports.validateSuspend = [
+    body('reason')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 255 }).withMessage('Reason must be under 255 characters')
+];
+
+exports.validateRole = [
+    body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
 
-        logger.info(`${loggingPrefix} Found user:`, user.username);
-        logger.info(`${loggingPrefix} Querying user stories + stats...`);
-        const stories = await usersService.getUserStories(user.id);
-
-        logger.info(`${loggingPrefix} Stories fetched:`, stories.length);
-        logger.info(`${loggingPrefix} Querying user collections + counts...`);
-        const collections = await usersService.getUserCollections(user.id);
-
-        logger.info(`${loggingPrefix} Collections fetched:`, collections.length);
-        logger.info(`${loggingPrefix} Rendering dashboard for:`, user);
-        res.render('users/dashboard', { user, stories, collections });
-        logger.info(`${loggingPrefix} Render complete`);
-    } catch (err) {
-        logger.error(`${loggingPrefix} ERROR in profile:`, { message: err.message, stack: err.stack });
-        res.status(500).send('Server error: ' + err.message);
+// POST: Suspend an account; it is signed out and its API tokens stop working
+exports.suspendUser = async (req) => {
+    assertValid(req);
+    const user = await targetUser(req);
+    if (user.role === 'admin') {
+        throw new ForbiddenError('Admins must be given another role before they can be suspended');
     }
+
+    await usersService.suspendUser(user.id, req.body.reason || null);
+    logger.info(`${loggingPrefix} User suspended`, { userId: user.id, by: req.session.userId });
+    return { message: `${user.username} has been suspended` };
 };
 
-exports.view = (req, res) => {
-    logger.info(`${loggingPrefix} View route hit - /users/:username`);
-    return exports.profile(req, res);
+// POST: Lift a suspension
+exports.unsuspendUser = async (req) => {
+    const user = await targetUser(req);
+
+    await usersService.unsuspendUser(user.id);
+    logger.info(`${loggingPrefix} User unsuspended`, { userId: user.id, by: req.session.userId });
+    return { message: `${user.username} is no longer suspended` };
 };
 
+// POST: Give a user another role
+exports.setRole = async (req) => {
+    assertValid(req);
+    const user = await targetUser(req);
+
+    await usersService.setRole(user.id, req.body.role);
+    logger.info(`${loggingPrefix} Role changed`, { userId: user.id, from: user.role, to: req.body.role, by: req.session.userId });
+    return { message: `${user.username}'s role is now ${req.body.role}`, role: req.body.role };
+};
+
+// Admin actions land back on the user's profile
+const toProfile = (data, req) => route('users.view', req.params);
+
 exports.routes = {
-    'GET /': 'index',
-    'GET /profile/:username': 'profile',
-    'GET /:username': 'view'
-};
\ No newline at end of file
+    // Signed-in users land on their own dashboard
+    'GET /': { handler: 'index', requireAuth: true, redirect: (data) => route('users.view', data.user) },
+    'GET /tokens': { handler: 'tokensForm', name: 'tokens', requireAuth: true },
+    'POST /tokens': { handler: ['validateToken', 'createToken'], requireAuth: true, view: 'users/token-created', form: 'tokensForm' },
+    'POST /tokens/:tokenId/delete': { handler: 'revokeToken', requireAuth: true, redirect: () => route('users.tokens') },
+    'POST /:username/suspend': { handler: ['validateSuspend', 'suspendUser'], roles: 'admin', redirect: toProfile },
+    'POST /:username/unsuspend': { handler: 'unsuspendUser', roles: 'admin', redirect: toProfile },
+    'POST /:username/role': { handler: ['validateRole', 'setRole'], roles: 'admin', redirect: toProfile },
+    'GET /profile/:username': { handler: 'profile', view: 'users/dashboard' },
+    'GET /:username': { handler: 'profile', name: 'view', view: 'users/dashboard' }
+};
@@ -0,0 +1,83 @@
+// Version 2 of the users API: returns the fields the service actually
+// provides (v1 promised createdAt, name and storyCount, which were never set)
+// and uses the same { success, ... } envelope as the other API controllers.
+// The handlers are shared with the user dashboards (routes/users.js).
+
+const { index, profile, validateSuspend, suspendUser, unsuspendUser, validateRole, setRole } = require('../users');
+
+Object.assign(exports, { index, profile, validateSuspend, suspendUser, unsuspendUser, validateRole, setRole });
+
+const userStory = {
+    id: 'integer', title: 'string', vanity: 'string', synopsis: 'string',
+    chapter_count: 'integer', avg_rating: 'number', rating_count: 'integer', favorite_count: 'integer',
+    created_at: 'string', updated_at: 'string', unpublished_at: 'string'
+};
+const userCollection = { id: 'integer', title: 'string', description: 'string', story_count: 'integer', created_at: 'string' };
+
+exports.routes = {
+    'GET /': {
+        handler: 'index',
+        requireAuth: true,
+        docs: {
+            summary: 'The signed-in user with their stories and collections',
+            responses: {
+                200: {
+                    description: 'The current user',
+                    body: {
+                        success: 'boolean',
+                        user: { id: 'integer', username: 'string', email: 'string', role: 'string', created_at: 'string' },
+                        stories: [userStory],
+                        collections: [userCollection]
+                    }
+                }
+            }
+        }
+    },
+    'GET /:username': {
+        handler: 'profile',
+        docs: {
+            summary: 'Public profile',
+            responses: {
+                200: {
+                    description: 'The profile',
+                    body: {
+                        success: 'boolean',
+                        user: {
+                            id: 'integer', username: 'string', role: 'string', created_at: 'string',
+                            suspended_at: 'string', suspended_reason: 'string'
+                        },
+                        meta: { story_count: 'integer', collection_count: 'integer' },
+                        stories: [userStory],
+                        collections: [userCollection]
+                    }
+                },
+                404: 'User not found'
+            }
+        }
+    },
+    'POST /:username/suspend': {
+        handler: ['validateSuspend', 'suspendUser'],
+        roles: 'admin',
+        docs: {
+            summary: 'Suspend an account',
+            description: 'The user is signed out and their API tokens stop working until the suspension is lifted. Admins must be given another role first.',
+            responses: { 200: { description: 'Suspended', body: { success: 'boolean', message: 'string' } }, 404: 'User not found' }
+        }
+    },
+    'POST /:username/unsuspend': {
+        handler: 'unsuspendUser',
+        roles: 'admin',
+        docs: {
+            summary: 'Lift a suspension',
+            responses: { 200: { description: 'Unsuspended', body: { success: 'boolean', message: 'string' } }, 404: 'User not found' }
+        }
+    },
+    'POST /:username/role': {
+        handler: ['validateRole', 'setRole'],
+        roles: 'admin',
+        docs: {
+            summary: 'Change a user\'s role',
+            responses: { 200: { description: 'Role changed', body: { success: 'boolean', message: 'string', role: 'string' } }, 404: 'User not found' }
+        }
+    }
+};
@@ -0,0 +1,146 @@
+const db = require('../utils/queryBuilder');
+const { escapeLike } = require('./searchService');
+
+// Listings for the admin console (routes/admin.js). Unlike the public
+// listings they include suspended accounts and unpublished stories, and
+// every one can be narrowed with a search term. Changes go through the
+// usual services.
+
+const like = (q) => `%${escapeLike(q)}%`;
+
+const adminService = {
+    async listUsers({ q, ...pageOpts } = {}) {
+        const query = db.table('users')
+            .select(['id', 'username', 'email', 'role', 'email_verified_at', 'suspended_at', 'created_at']);
+        if (q) {
+            query.where(w => w.where('username', 'LIKE', like(q)).orWhere('email', 'LIKE', like(q)));
+        }
+        return query
+            .orderBy('id', 'DESC')
+            .paginate({ ...pageOpts, cursor: { column: 'id' } });
+    },
+
+    async listStories({ q, ...pageOpts } = {}) {
+        const query = db.table('story_summary')
+            .select(['id', 'title', 'vanity', 'user_id', 'username', 'chapter_count', 'unpublished_at', 'created_at', 'updated_at']);
+        if (q) {
+            query.where(w => w.where('title', 'LIKE', like(q)).orWhere('username', 'LIKE', like(q)));
+        }
+        return query
+            .orderBy('id', 'DESC')
+            .paginate({ ...pageOpts, cursor: { column: 'id' } });
+    },
+
+    async listCollections({ q, ...pageOpts } = {}) {
+        const query = db.table('collection_summary')
+            .select(['id', 'title', 'user_id', 'username', 'story_count', 'created_at']);
+        if (q) {
+            query.where(w => w.where('title', 'LIKE', like(q)).orWhere('username', 'LIKE', like(q)));
+        }
+        return query
+            .orderBy('id', 'DESC')
+            .paginate({ ...pageOpts, cursor: { column: 'id' } });
+    },
+
+    async listComments({ q, ...pageOpts } = {}) {
+        const query = db.table('comments as c')
+            .select([
+                'c.id',
+                'c.content',
+                'c.is_deleted',
+                'c.created_at',
+                'u.username',
+                'ch.chapter_num',
+                's.title as story_title',
+                's.vanity as story_vanity',
+                'su.username as story_author_username'
+            ])
+            .join('users as u', 'c.user_id = u.id')
+            .join('chapters as ch', 'c.chapter_id = ch.id')
+            .join('stories as s', 'ch.story_id = s.id')
+            .join('users as su', 's.user_id = su.id');
+        if (q) {
+            query.where(w => w.where('c.content', 'LIKE', like(q)).orWhere('u.username', 'LIKE', like(q)));
+        }
+        return query
+            .orderBy('c.id', 'DESC')
+            .paginate({ ...pageOpts, cursor: { column: 'c.id' } });
+    },
+
+    // Totals for the console's front page
+    async getReport() {
+        const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const roles = await db.table('users')
+            .select(['role', db.raw('COUNT(*) AS count')])
+            .groupBy('role')
+            .get();
+
+        return {
+            users: {
+                total: await db.table('users').count(),
+                byRole: Object.fromEntries(roles.map(r => [r.role, Number(r.count)])),
+                suspended: await db.table('users').whereNotNull('suspended_at').count(),
+                unverified: await db.table('users').whereNull('email_verified_at').count()
+            },
+            stories: {
+                total: await db.table('stories').count(),
+                unpublished: await db.table('stories').whereNotNull('unpublished_at').count()
+            },
+            chapters: await db.table('chapters').count(),
+            collections: await db.table('collections').count(),
+            comments: {
+                total: await db.table('comments').count(),
+                deleted: await db.table('comments').whereField('is_deleted', true).count()
+            },
+            failedLogins24h: await db.table('login_attempts').where('created_at', '>=', since).count()
+        };
+    },
+
+    /**
+     * The latest sign-ups, stories, comments and failed sign-ins, newest
+     * first, as { type, at, ... } entries.
+     */
+    async getRecentActivity(limit = 20) {
+        const [signups, stories, comments, failedLogins] = await Promise.all([
+            db.table('users')
+                .select(['id', 'username', 'created_at'])
+                .orderBy('id', 'DESC')
+                .limit(limit)
+                .get(),
+            db.table('stories as s')
+                .select(['s.id', 's.title', 's.vanity', 's.created_at', 'u.username'])
+                .join('users as u', 's.user_id = u.id')
+                .orderBy('s.id', 'DESC')
+                .limit(limit)
+                .get(),
+            db.table('comments as c')
+                .select([
+                    'c.id', 'c.content', 'c.created_at', 'u.username',
+                    'ch.chapter_num', 's.vanity as story_vanity', 'su.username as story_author_username'
+                ])
+                .join('users as u', 'c.user_id = u.id')
+                .join('chapters as ch', 'c.chapter_id = ch.id')
+                .join('stories as s', 'ch.story_id = s.id')
+                .join('users as su', 's.user_id = su.id')
+                .orderBy('c.id', 'DESC')
+                .limit(limit)
+                .get(),
+            db.table('login_attempts')
+                .select(['id', 'email', 'ip', 'reason', 'created_at'])
+                .orderBy('id', 'DESC')
+                .limit(limit)
+                .get()
+        ]);
+
+        return [
+            ...signups.map(row => ({ type: 'signup', at: row.created_at, ...row })),
+            ...stories.map(row => ({ type: 'story', at: row.created_at, ...row })),
+            ...comments.map(row => ({ type: 'comment', at: row.created_at, ...row })),
+            ...failedLogins.map(row => ({ type: 'failed_login', at: row.created_at, ...row }))
+        ]
+            .sort((a, b) => new Date(b.at) - new Date(a.at))
+            .slice(0, limit);
+    }
+};
+
+module.exports = adminService;
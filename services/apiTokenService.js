@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const db = require('../utils/queryBuilder');
+
+const TOKEN_PREFIX = 'pat_';
+
+// Tokens are random, so a fast hash is enough to keep them useless if the
+// table leaks; it also lets us look a token up by its hash
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Scopes are stored comma-separated
+const toApiToken = ({ token_hash, scopes, ...row }) => ({ ...row, scopes: scopes.split(',') });
+
+const COLUMNS = ['id', 'name', 'token_prefix', 'scopes', 'last_used_at', 'created_at'];
+
+const apiTokenService = {
+    /**
+     * Issue a token. Returns the plain token, which is shown once and
+     * never stored, with the saved row.
+     */
+    async createToken(userId, name, scopes) {
+        const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const row = await db.table('api_tokens')
+            .insert({
+                user_id: userId,
+                name,
+                token_hash: hashToken(token),
+                token_prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+                scopes: scopes.join(','),
+                created_at: new Date()
+            }).insertAndGet();
+        return { token, apiToken: toApiToken(row) };
+    },
+
+    async getTokensForUser(userId) {
+        const rows = await db.table('api_tokens')
+            .select(COLUMNS)
+            .whereField('user_id', userId)
+            .orderBy('created_at', 'DESC')
+            .get();
+        return rows.map(row => toApiToken({ token_hash: null, ...row }));
+    },
+
+    // The token row with its owner's identity, or null for an unknown or revoked token
+    async findByToken(token) {
+        const row = await db.table('api_tokens')
+            .join('users', 'api_tokens.user_id', '=', 'users.id')
+            .select('api_tokens.*', 'users.username', 'users.role', 'users.email_verified_at', 'users.suspended_at')
+            .whereField('api_tokens.token_hash', hashToken(token))
+            .first();
+        return row ? toApiToken(row) : null;
+    },
+
+    async touch(id) {
+        return db.table('api_tokens')
+            .whereField('id', id)
+            .update({ last_used_at: new Date() });
+    },
+
+    /**
+     * Revoke one of the user's tokens. Returns false if they have no such token.
+     */
+    async revokeToken(userId, id) {
+        const result = await db.table('api_tokens')
+            .whereField('id', id)
+            .whereField('user_id', userId)
+            .delete();
+        return result.affectedRows === 1;
+    },
+
+    async revokeAllForUser(userId) {
+        return db.table('api_tokens')
+            .whereField('user_id', userId)
+            .delete();
+    }
+};
+
+module.exports = apiTokenService;
@@ -1,14 +1,35 @@
 const bcrypt = require('bcrypt');
 const db = require('../utils/queryBuilder');
 
+// What sign-in needs to know about an account
+const CREDENTIALS = [
+    'id', 'username', 'email', 'password_hash', 'role', 'email_verified_at', 'totp_enabled_at', 'suspended_at',
+    'session_version'
+];
+
 const authService = {
     async getUserByEmail(email) {
         return db.table('users')
-            .select(['id', 'username', 'email', 'password_hash'])
+            .select(CREDENTIALS)
             .whereField('email', email)
             .first();
     },
 
+    async getUserById(userId) {
+        return db.table('users')
+            .select(CREDENTIALS)
+            .whereField('id', userId)
+            .first();
+    },
+
+    // Role, suspension and session version, checked on every signed-in request (utils/sessions.js)
+    async getAccountById(userId) {
+        return db.table('users')
+            .select(['id', 'role', 'suspended_at', 'session_version'])
+            .whereField('id', userId)
+            .first();
+    },
+
     async emailExists(email) {
         const user = await db.table('users')
             .select('id')
@@ -23,11 +44,33 @@ const authService = {
                 username: userData.username,
                 email: userData.email,
                 password_hash: userData.password_hash,
+                email_verified_at: userData.email_verified_at || null,
+                role: userData.role || 'reader',
                 created_at: new Date()
             }).insertAndGet();
         return result;
     },
 
+    async updatePassword(userId, passwordHash) {
+        return db.table('users')
+            .whereField('id', userId)
+            .update({ password_hash: passwordHash });
+    },
+
+    // Sign the user out of every session, on each one's next request
+    async revokeSessions(userId) {
+        return db.table('users')
+            .whereField('id', userId)
+            .update({ session_version: db.raw('session_version + 1') });
+    },
+
+    // Stories, collections, ratings and comments go with the user (ON DELETE CASCADE)
+    async deleteUser(userId) {
+        return db.table('users')
+            .whereField('id', userId)
+            .delete();
+    },
+
     async comparePasswords(plainPassword, hashedPassword) {
         return bcrypt.compare(plainPassword, hashedPassword);
     },
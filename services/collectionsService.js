@@ -1,11 +1,18 @@
 const db = require('../utils/queryBuilder');
 
 const collectionsService = {
-    async getAllCollections() {
+    async getAllCollections(pageOpts = {}) {
         return db.table('collection_summary')
-            .select(['id', 'title', 'description', 'user_id', 'username', 'story_count', 'avg_rating', 'rating_count'])
+            .select(['id', 'title', 'description', 'user_id', 'username', 'story_count', 'avg_rating', 'rating_count', 'created_at'])
             .orderBy('created_at', 'DESC')
-            .get();
+            .orderBy('id', 'DESC')
+            .paginate({ ...pageOpts, cursor: { column: ['created_at', 'id'] } });
+    },
+
+    async getCollectionById(collectionId) {
+        return db.table('collection_summary')
+            .whereField('id', collectionId)
+            .first();
     },
 
     async getCollectionByIdAndUserId(collectionId, userId) {
@@ -20,13 +27,14 @@ const collectionsService = {
             .select(['stories.*', 'users.username as author_username', 'stories.vanity as story_vanity'])
             .join('story_collections as sc', 'stories.id=sc.story_id')
             .join('users', 'stories.user_id=users.id')
-            .whereRaw('sc.collection_id=?', [collectionId])
+            .where('sc.collection_id', collectionId)
+            .whereNull('stories.unpublished_at')
             .orderBy('stories.created_at', 'DESC')
             .get();
     },
 
-    async createCollection(userId, title, description) {
-        const result = await db.table('collections')
+    async createCollection(userId, title, description, trx = db) {
+        const result = await trx.table('collections')
             .insertAsync({
                 user_id: userId,
                 title: title.trim(),
@@ -35,16 +43,12 @@ const collectionsService = {
         return result.insertId || result[0];
     },
 
-    async addStoriesToCollection(collectionId, storyIds) {
-        if (storyIds.length === 0) return;
-
-        for (const id of storyIds) {
-            await db.table('story_collections')
-                .insertAsync({
-                    collection_id: Number(collectionId),
-                    story_id: Number(id)
-                });
-        }
+    async addStoriesToCollection(collectionId, storyIds, trx = db) {
+        return trx.table('story_collections')
+            .insertMany(storyIds.map(id => ({
+                collection_id: Number(collectionId),
+                story_id: Number(id)
+            })));
     },
 
     async getStoriesForUser(userId) {
@@ -63,8 +67,8 @@ const collectionsService = {
         return records.map(r => Number(r.story_id));
     },
 
-    async updateCollection(collectionId, data) {
-        return db.table('collections')
+    async updateCollection(collectionId, data, trx = db) {
+        return trx.table('collections')
             .whereField('id', collectionId)
             .update({
                 title: data.title.trim(),
@@ -73,16 +77,42 @@ const collectionsService = {
             });
     },
 
-    async deleteCollectionLinks(collectionId) {
-        return db.table('story_collections')
+    async deleteCollectionLinks(collectionId, trx = db) {
+        return trx.table('story_collections')
             .whereField('collection_id', collectionId)
             .delete();
     },
 
-    async deleteCollection(collectionId) {
-        return db.table('collections')
+    async deleteCollection(collectionId, trx = db) {
+        return trx.table('collections')
             .whereField('id', collectionId)
             .delete();
+    },
+
+    // Create a collection and link its stories as one unit of work
+    async createCollectionWithStories(userId, title, description, storyIds = []) {
+        return db.transaction(async trx => {
+            const collectionId = await collectionsService.createCollection(userId, title, description, trx);
+            await collectionsService.addStoriesToCollection(collectionId, storyIds, trx);
+            return collectionId;
+        });
+    },
+
+    // Update a collection and replace its story links as one unit of work
+    async updateCollectionWithStories(collectionId, data, storyIds = []) {
+        return db.transaction(async trx => {
+            await collectionsService.updateCollection(collectionId, data, trx);
+            await collectionsService.deleteCollectionLinks(collectionId, trx);
+            await collectionsService.addStoriesToCollection(collectionId, storyIds, trx);
+        });
+    },
+
+    // Remove a collection together with its story links
+    async deleteCollectionWithLinks(collectionId) {
+        return db.transaction(async trx => {
+            await collectionsService.deleteCollectionLinks(collectionId, trx);
+            await collectionsService.deleteCollection(collectionId, trx);
+        });
     }
 };
 
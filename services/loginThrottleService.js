@@ -0,0 +1,89 @@
+const db = require('../utils/queryBuilder');
+const settings = require('../config/loginThrottle');
+
+// Failures are counted under both keys; see config/loginThrottle.js
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Add a failure to a key's count, locking it once the count reaches max.
+// The store counts atomically, so parallel failures each count and each
+// gets its own delay.
+const bump = (key, max) => settings.store.increment(key, {
+    now: new Date(),
+    windowMs: settings.windowMs,
+    max,
+    lockoutMs: settings.lockoutMs
+});
+
+const toLockout = (scope, until, now = new Date()) => ({
+    scope,
+    until,
+    retryAfter: Math.ceil((until - now) / 1000)
+});
+
+const loginThrottleService = {
+    /**
+     * The lockout in force for this email or IP, or null.
+     * @returns {Promise<{scope: 'account'|'ip', until: Date, retryAfter: number}|null>}
+     */
+    async getLockout({ email, ip }) {
+        const now = new Date();
+        for (const [scope, key] of [['account', accountKey(email)], ['ip', ipKey(ip)]]) {
+            const record = await settings.store.get(key);
+            if (record?.lockedUntil && record.lockedUntil > now) {
+                return toLockout(scope, record.lockedUntil, now);
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Count a failed attempt against the account and the IP, add it to the
+     * audit log and wait out the progressive delay. Returns the lockout the
+     * attempt triggered, or null.
+     */
+    async recordFailure({ email, ip, userId = null, reason }) {
+        await db.table('login_attempts').insertAsync({
+            email: String(email).slice(0, 100),
+            user_id: userId,
+            ip,
+            reason,
+            created_at: new Date()
+        });
+
+        const account = await bump(accountKey(email), settings.maxAccountFailures);
+        const client = await bump(ipKey(ip), settings.maxIpFailures);
+        await sleep(loginThrottleService.delayFor(Math.max(account.failures, client.failures)));
+
+        if (account.lockedUntil) return toLockout('account', account.lockedUntil);
+        if (client.lockedUntil) return toLockout('ip', client.lockedUntil);
+        return null;
+    },
+
+    // Signing in clears the account's count; the IP's keeps running so one
+    // good password doesn't reset a credential-stuffing run
+    async recordSuccess({ email }) {
+        await settings.store.remove(accountKey(email));
+    },
+
+    async unlockAccount(email) {
+        await settings.store.remove(accountKey(email));
+    },
+
+    // Milliseconds to hold back the answer to the nth failure in a row
+    delayFor(failures) {
+        if (failures < 1 || !settings.delayBaseMs) return 0;
+        return Math.min(settings.delayBaseMs * 2 ** Math.min(failures - 1, 20), settings.delayMaxMs);
+    },
+
+    async getRecentFailures({ email, userId, limit = 20 } = {}) {
+        const query = db.table('login_attempts').select(['id', 'email', 'user_id', 'ip', 'reason', 'created_at']);
+        if (email) query.whereField('email', email);
+        if (userId) query.whereField('user_id', userId);
+        return query.orderBy('id', 'DESC').limit(limit).get();
+    }
+};
+
+module.exports = loginThrottleService;
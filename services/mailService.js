@@ -0,0 +1,49 @@
+const transport = require('../config/mail');
+const logger = require('../logger');
+
+const from = () => process.env.MAIL_FROM || 'no-reply@localhost';
+const appName = () => process.env.APP_NAME || 'Unnamed App';
+
+const mailService = {
+    async send({ to, subject, text }) {
+        const result = await transport.send({ from: from(), to, subject, text });
+        logger.info('[MAIL] Sent', { transport: transport.name, to, subject });
+        return result;
+    },
+
+    async sendPasswordReset(user, resetUrl, ttlMinutes) {
+        return mailService.send({
+            to: user.email,
+            subject: `Reset your ${appName()} password`,
+            text: [
+                `Hi ${user.username},`,
+                '',
+                `Someone asked to reset the password for your ${appName()} account.`,
+                `Choose a new password here within ${ttlMinutes} minutes:`,
+                '',
+                resetUrl,
+                '',
+                "If it wasn't you, ignore this email; your password stays the same."
+            ].join('\n')
+        });
+    },
+
+    async sendEmailVerification(user, verifyUrl, ttlHours) {
+        return mailService.send({
+            to: user.email,
+            subject: `Confirm your email address for ${appName()}`,
+            text: [
+                `Hi ${user.username},`,
+                '',
+                `Thanks for joining ${appName()}. Confirm that this is your email address`,
+                `within ${ttlHours} hours by opening this link:`,
+                '',
+                verifyUrl,
+                '',
+                "If you didn't create an account, ignore this email."
+            ].join('\n')
+        });
+    }
+};
+
+module.exports = mailService;
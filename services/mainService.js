@@ -1,7 +1,7 @@
 const db = require('../utils/queryBuilder');
 
 const mainService = {
-    async getStoriesWithMetadata() {
+    async getStoriesWithMetadata(pageOpts = {}) {
         return db.table('stories as s')
             .select([
                 's.id',
@@ -9,20 +9,23 @@ const mainService = {
                 's.synopsis',
                 's.user_id',
                 's.vanity as story_vanity',
+                's.created_at',
                 'u.username AS author',
                 'u.username AS author_username',
-                'COUNT(ch.id) AS chapterCount',
-                `SUM(
+                db.raw('COUNT(ch.id) AS chapterCount'),
+                db.raw(`SUM(
                     CHAR_LENGTH(ch.content)
                     - CHAR_LENGTH(REPLACE(ch.content, ' ', ''))
                     + 1
-                ) AS totalWords`
+                ) AS totalWords`)
             ])
             .join('users as u', 'u.id = s.user_id')
             .leftJoin('chapters as ch', 'ch.story_id = s.id')
-            .groupBy(['s.id', 's.title', 's.synopsis', 's.vanity', 'u.username'])
+            .whereNull('s.unpublished_at')
+            .groupBy(['s.id', 's.title', 's.synopsis', 's.vanity', 's.created_at', 'u.username'])
             .orderBy('s.created_at', 'DESC')
-            .get();
+            .orderBy('s.id', 'DESC')
+            .paginate({ ...pageOpts, cursor: { column: ['s.created_at', 's.id'] } });
     }
 };
 
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const db = require('../utils/queryBuilder');
+
+// Tokens are random, so a fast hash is enough to keep them useless if the
+// table leaks; it also lets us look a token up by its hash
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const passwordResetService = {
+    /**
+     * Issue a token for the user, replacing any earlier unused one.
+     * Returns the plain token; only its hash is stored.
+     */
+    async createToken(userId, ttlMinutes) {
+        const now = new Date();
+        await db.table('password_resets')
+            .whereField('user_id', userId)
+            .whereNull('used_at')
+            .update({ used_at: now });
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        await db.table('password_resets').insertAsync({
+            user_id: userId,
+            token_hash: hashToken(token),
+            expires_at: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+            created_at: now
+        });
+        return token;
+    },
+
+    async countRequestsSince(userId, since) {
+        return db.table('password_resets')
+            .whereField('user_id', userId)
+            .where('created_at', '>=', since)
+            .count();
+    },
+
+    // The unused, unexpired token row for a plain token, or null
+    async findValidToken(token) {
+        return db.table('password_resets')
+            .whereField('token_hash', hashToken(token))
+            .whereNull('used_at')
+            .where('expires_at', '>', new Date())
+            .first();
+    },
+
+    /**
+     * Mark the token used. Returns false if another request got there first.
+     */
+    async consumeToken(id) {
+        const result = await db.table('password_resets')
+            .whereField('id', id)
+            .whereNull('used_at')
+            .update({ used_at: new Date() });
+        return result.affectedRows === 1;
+    }
+};
+
+module.exports = passwordResetService;
@@ -3,17 +3,20 @@ const db = require('../utils/queryBuilder');
 // Escape % and _ for safe LIKE queries
 const escapeLike = (str) => str.replace(/[%_\\]/g, (ch) => `\\${ch}`);
 
+// Stories an admin has unpublished, and their chapters and comments, are
+// left out of every search
 const searchService = {
     escapeLike,
 
-    async searchUsers(likeQ) {
+    async searchUsers(likeQ, pageOpts = {}) {
         return db.table('users')
             .select(['id', 'username'])
-            .whereRaw('username LIKE ?', [likeQ])
-            .get();
+            .where('username', 'LIKE', likeQ)
+            .orderBy('id', 'ASC')
+            .paginate({ ...pageOpts, cursor: { column: 'id', direction: 'ASC' } });
     },
 
-    async searchStories(likeQ) {
+    async searchStories(likeQ, pageOpts = {}) {
         return db.table('stories as s')
             .select([
                 's.id',
@@ -23,11 +26,13 @@ const searchService = {
                 'u.username as author_username'
             ])
             .join('users as u', 's.user_id = u.id')
-            .whereRaw('(s.title LIKE ? OR s.synopsis LIKE ?)', [likeQ, likeQ])
-            .get();
+            .where(q => q.where('s.title', 'LIKE', likeQ).orWhere('s.synopsis', 'LIKE', likeQ))
+            .whereNull('s.unpublished_at')
+            .orderBy('s.id', 'ASC')
+            .paginate({ ...pageOpts, cursor: { column: 's.id', direction: 'ASC' } });
     },
 
-    async searchCollections(likeQ) {
+    async searchCollections(likeQ, pageOpts = {}) {
         return db.table('collections as col')
             .select([
                 'col.id',
@@ -36,11 +41,12 @@ const searchService = {
                 'u.username as owner_username'
             ])
             .join('users as u', 'col.user_id = u.id')
-            .whereRaw('col.title LIKE ?', [likeQ])
-            .get();
+            .where('col.title', 'LIKE', likeQ)
+            .orderBy('col.id', 'ASC')
+            .paginate({ ...pageOpts, cursor: { column: 'col.id', direction: 'ASC' } });
     },
 
-    async searchComments(likeQ) {
+    async searchComments(likeQ, pageOpts = {}) {
         return db.table('comments as c')
             .select([
                 'c.id',
@@ -55,11 +61,13 @@ const searchService = {
             .join('chapters as ch', 'c.chapter_id = ch.id')
             .join('stories as s', 'ch.story_id = s.id')
             .join('users as u', 'c.user_id = u.id')
-            .whereRaw('c.content LIKE ?', [likeQ])
-            .get();
+            .where('c.content', 'LIKE', likeQ)
+            .whereNull('s.unpublished_at')
+            .orderBy('c.id', 'ASC')
+            .paginate({ ...pageOpts, cursor: { column: 'c.id', direction: 'ASC' } });
     },
 
-    async searchChapters(likeQ) {
+    async searchChapters(likeQ, pageOpts = {}) {
         return db.table('chapters as ch')
             .select([
                 'ch.id',
@@ -72,8 +80,10 @@ const searchService = {
             ])
             .join('stories as s', 'ch.story_id = s.id')
             .join('users as u', 's.user_id = u.id')
-            .whereRaw('(ch.title LIKE ? OR ch.content LIKE ?)', [likeQ, likeQ])
-            .get();
+            .where(q => q.where('ch.title', 'LIKE', likeQ).orWhere('ch.content', 'LIKE', likeQ))
+            .whereNull('s.unpublished_at')
+            .orderBy('ch.id', 'ASC')
+            .paginate({ ...pageOpts, cursor: { column: 'ch.id', direction: 'ASC' } });
     }
 };
 
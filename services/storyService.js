@@ -1,10 +1,12 @@
 const db = require('../utils/queryBuilder');
 
 const storyService = {
-    async getAllStories() {
+    async getAllStories(pageOpts = {}) {
         return db.table('story_summary')
+            .whereNull('unpublished_at')
             .orderBy('updated_at', 'DESC')
-            .get();
+            .orderBy('id', 'DESC')
+            .paginate({ ...pageOpts, cursor: { column: ['updated_at', 'id'] } });
     },
 
     async getStoryByUsernameAndVanity(username, vanity) {
@@ -42,9 +44,8 @@ const storyService = {
     async getChapterNavigation(storyId, chapterNum) {
         const nav = await db.table('chapters')
             .select(['chapter_num', 'title'])
-            .whereRaw('story_id = ? AND chapter_num IN (?, ?)', [
-                storyId, chapterNum - 1, chapterNum + 1
-            ])
+            .where('story_id', storyId)
+            .whereIn('chapter_num', [chapterNum - 1, chapterNum + 1])
             .orderBy('chapter_num', 'ASC')
             .get();
 
@@ -68,18 +69,26 @@ const storyService = {
             synopsis: synopsis.trim()
         };
 
-        const result = await db.table('stories').insertAsync(storyData);
-        const storyId = result.insertId || result[0];
+        // Insert and re-select on one connection so a failure leaves no orphan story
+        return db.transaction(async trx => {
+            const result = await trx.table('stories').insertAsync(storyData);
+            const storyId = result.insertId || result[0];
+
+            if (!storyId) throw new Error('Failed to create story');
 
-        if (!storyId) throw new Error('Failed to create story');
+            const createdStory = await trx.table('stories').whereField('id', storyId).first();
+            if (!createdStory) throw new Error('Failed to retrieve created story');
 
-        const createdStory = await db.table('stories').whereField('id', storyId).first();
-        if (!createdStory) throw new Error('Failed to retrieve created story');
+            const user = await trx.table('users').whereField('id', userId).first();
+            if (!user) throw new Error('User not found');
 
-        const user = await db.table('users').whereField('id', userId).first();
-        if (!user) throw new Error('User not found');
+            // A reader's first story makes them an author (utils/permissions.js)
+            if (user.role === 'reader') {
+                await trx.table('users').whereField('id', userId).update({ role: 'author' });
+            }
 
-        return { createdStory, username: user.username };
+            return { createdStory, username: user.username };
+        });
     },
 
     async getStoryByUsernameAndVanity(username, vanity) {
@@ -111,6 +120,13 @@ const storyService = {
             .first();
     },
 
+    // Take a story out of listings, search and public view, or put it back
+    async setUnpublished(id, unpublished) {
+        return db.table('stories')
+            .whereField('id', id)
+            .update({ unpublished_at: unpublished ? new Date() : null });
+    },
+
     async deleteStoryById(id) {
         return db.table('stories')
             .whereField('id', id)
@@ -151,6 +167,12 @@ const storyService = {
             .first();
     },
 
+    async getCommentById(commentId) {
+        return db.table('comments')
+            .whereField('id', commentId)
+            .first();
+    },
+
     async updateCommentByIdAndUser(commentId, userId, content) {
         return db.table('comments')
             .whereField('id', commentId)
@@ -184,11 +206,13 @@ const storyService = {
     },
 
     async hardDeleteComment(commentId, userId) {
-        this.cleanupOrphanSoftDeletedComments();
-        return db.table('comments')
+        const result = await db.table('comments')
             .whereField('id', commentId)
             .whereField('user_id', userId)
             .delete();
+        // Removing a reply can leave a soft-deleted parent with nothing under it
+        await storyService.cleanupOrphanSoftDeletedComments();
+        return result;
     },
 
     async cleanupOrphanSoftDeletedComments() {
@@ -251,26 +275,42 @@ const storyService = {
             .first();
     },
 
-    async updateRating(userId, storyId, ratingValue) {
+    // Insert or replace the user's rating in one statement, so concurrent submits can't collide
+    async upsertRating(userId, storyId, ratingValue) {
+        return db.table('ratings').upsert({
+            user_id: userId,
+            story_id: storyId,
+            rating: ratingValue,
+            rated_at: new Date()
+        }, { conflictKeys: ['user_id', 'story_id'] });
+    },
+
+    async deleteRating(userId, storyId) {
         return db.table('ratings')
             .whereField('user_id', userId)
             .whereField('story_id', storyId)
-            .update({
-                rating: ratingValue,
-                rated_at: new Date()
-            });
+            .delete();
     },
 
-    async insertRating(userId, storyId, ratingValue) {
-        return db.table('ratings').insert({
+    async isFavorited(userId, storyId) {
+        const row = await db.table('favorites')
+            .select('story_id')
+            .whereField('user_id', userId)
+            .whereField('story_id', storyId)
+            .first();
+        return !!row;
+    },
+
+    // Favoriting twice is harmless: the existing row is kept
+    async addFavorite(userId, storyId) {
+        return db.table('favorites').upsert({
             user_id: userId,
-            story_id: storyId,
-            rating: ratingValue
-        }).insertAndGet();
+            story_id: storyId
+        }, { conflictKeys: ['user_id', 'story_id'] });
     },
 
-    async deleteRating(userId, storyId) {
-        return db.table('ratings')
+    async removeFavorite(userId, storyId) {
+        return db.table('favorites')
             .whereField('user_id', userId)
             .whereField('story_id', storyId)
             .delete();
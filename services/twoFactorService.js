@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const db = require('../utils/queryBuilder');
+const authService = require('./authService');
+const totp = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are random, so a lower cost than passwords is still slow
+// enough, and checking one against all ten stays quick
+const RECOVERY_CODE_ROUNDS = 10;
+
+// Ten hex characters in two groups, e.g. 3f9a0-c27d1
+const formatRecoveryCode = (hex) => hex.replace(/^(.{5})/, '$1-');
+const newRecoveryCode = () => formatRecoveryCode(crypto.randomBytes(5).toString('hex'));
+
+const twoFactorService = {
+    async getState(userId) {
+        const user = await db.table('users')
+            .select(['totp_secret', 'totp_enabled_at'])
+            .whereField('id', userId)
+            .first();
+        const remaining = await db.table('recovery_codes')
+            .whereField('user_id', userId)
+            .whereNull('used_at')
+            .count();
+        return {
+            enabled: Boolean(user?.totp_enabled_at),
+            pendingSecret: user?.totp_enabled_at ? null : user?.totp_secret || null,
+            recoveryCodesRemaining: remaining
+        };
+    },
+
+    // Start (or restart) enrolment with a new secret; 2FA stays off until enable()
+    async startEnrolment(userId) {
+        const secret = totp.generateSecret();
+        await db.table('users')
+            .whereField('id', userId)
+            .whereNull('totp_enabled_at')
+            .update({ totp_secret: secret, totp_last_step: null });
+        return secret;
+    },
+
+    /**
+     * Turn 2FA on and issue recovery codes. Returns the plain codes, which
+     * are shown once; only their hashes are stored.
+     */
+    async enable(userId, step) {
+        await db.table('users')
+            .whereField('id', userId)
+            .update({ totp_enabled_at: new Date(), totp_last_step: step });
+        return twoFactorService.replaceRecoveryCodes(userId);
+    },
+
+    async disable(userId) {
+        await db.table('recovery_codes').whereField('user_id', userId).delete();
+        return db.table('users')
+            .whereField('id', userId)
+            .update({ totp_secret: null, totp_enabled_at: null, totp_last_step: null });
+    },
+
+    async replaceRecoveryCodes(userId) {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+        await db.table('recovery_codes').whereField('user_id', userId).delete();
+        for (const code of codes) {
+            await db.table('recovery_codes').insertAsync({
+                user_id: userId,
+                code_hash: await authService.hashPassword(code, RECOVERY_CODE_ROUNDS),
+                created_at: new Date()
+            });
+        }
+        return codes;
+    },
+
+    /**
+     * Check an authenticator code against the user's secret. A code is
+     * accepted once: later codes from the same or an earlier step fail.
+     */
+    async verifyTotp(userId, code) {
+        const user = await db.table('users')
+            .select(['totp_secret', 'totp_last_step'])
+            .whereField('id', userId)
+            .first();
+        if (!user?.totp_secret) {
+            return false;
+        }
+
+        const step = totp.verifyCode(user.totp_secret, code);
+        if (step === null || (user.totp_last_step !== null && step <= Number(user.totp_last_step))) {
+            return false;
+        }
+
+        const result = await db.table('users')
+            .whereField('id', userId)
+            .whereRaw('(totp_last_step IS NULL OR totp_last_step < ?)', [step])
+            .update({ totp_last_step: step });
+        return result.affectedRows === 1;
+    },
+
+    // The step a code for the pending secret belongs to, or null
+    async checkEnrolmentCode(userId, code) {
+        const { pendingSecret } = await twoFactorService.getState(userId);
+        return pendingSecret ? totp.verifyCode(pendingSecret, code) : null;
+    },
+
+    /**
+     * Spend one of the user's recovery codes. Returns false if none match.
+     * Case, spaces and the dash don't matter, so 3F9A0 C27D1 and 3f9a0c27d1
+     * both match 3f9a0-c27d1.
+     */
+    async useRecoveryCode(userId, code) {
+        const hex = String(code).replace(/[\s-]/g, '').toLowerCase();
+        if (!/^[0-9a-f]{10}$/.test(hex)) {
+            return false;
+        }
+
+        const rows = await db.table('recovery_codes')
+            .select(['id', 'code_hash'])
+            .whereField('user_id', userId)
+            .whereNull('used_at')
+            .get();
+
+        for (const row of rows) {
+            if (await authService.comparePasswords(formatRecoveryCode(hex), row.code_hash)) {
+                const result = await db.table('recovery_codes')
+                    .whereField('id', row.id)
+                    .whereNull('used_at')
+                    .update({ used_at: new Date() });
+                return result.affectedRows === 1;
+            }
+        }
+        return false;
+    }
+};
+
+module.exports = twoFactorService;
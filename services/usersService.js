@@ -3,20 +3,21 @@ const db = require('../utils/queryBuilder');
 const usersService = {
     async getUserById(userId) {
         return db.table('users')
-            .select(['id', 'username', 'email', 'created_at'])
+            .select(['id', 'username', 'email', 'role', 'suspended_at', 'created_at'])
             .whereField('id', userId)
             .first();
     },
 
     async getUserByUsername(username) {
         return db.table('users')
-            .select(['id', 'username', 'email', 'created_at'])
+            .select(['id', 'username', 'email', 'role', 'suspended_at', 'suspended_reason', 'created_at'])
             .whereField('username', username)
             .first();
     },
 
-    async getUserStories(userId) {
-        return db.table('stories as s')
+    // Stories an admin has unpublished are left out unless asked for
+    async getUserStories(userId, { includeUnpublished = false } = {}) {
+        const query = db.table('stories as s')
             .select([
                 's.id',
                 's.title',
@@ -24,22 +25,28 @@ const usersService = {
                 's.vanity',
                 's.created_at',
                 's.updated_at',
-                'COUNT(DISTINCT ch.id) as chapter_count',
-                'AVG(r.rating) as avg_rating',
-                'COUNT(DISTINCT r.user_id) as rating_count',
-                'COUNT(DISTINCT f.user_id) as favorite_count'
+                's.unpublished_at',
+                db.raw('COUNT(DISTINCT ch.id) as chapter_count'),
+                db.raw('AVG(r.rating) as avg_rating'),
+                db.raw('COUNT(DISTINCT r.user_id) as rating_count'),
+                db.raw('COUNT(DISTINCT f.user_id) as favorite_count')
             ])
             .leftJoin('chapters as ch', 's.id = ch.story_id')
             .leftJoin('ratings as r', 's.id = r.story_id')
             .leftJoin('favorites as f', 's.id = f.story_id')
-            .whereField('s.user_id', userId)
+            .whereField('s.user_id', userId);
+        if (!includeUnpublished) {
+            query.whereNull('s.unpublished_at');
+        }
+        return query
             .groupBy([
-                's.id', 's.title', 's.synopsis', 's.vanity', 's.created_at', 's.updated_at'
+                's.id', 's.title', 's.synopsis', 's.vanity', 's.created_at', 's.updated_at', 's.unpublished_at'
             ])
             .orderBy('s.updated_at', 'DESC')
             .get();
     },
 
+    // Like collection_summary, only published stories are counted
     async getUserCollections(userId) {
         return db.table('collections as c')
             .select([
@@ -47,13 +54,33 @@ const usersService = {
                 'c.title',
                 'c.description',
                 'c.created_at',
-                'COUNT(DISTINCT sc.story_id) as story_count'
+                db.raw('COUNT(DISTINCT s.id) as story_count')
             ])
             .leftJoin('story_collections as sc', 'c.id = sc.collection_id')
+            .leftJoin('stories as s', db.raw('s.id = sc.story_id AND s.unpublished_at IS NULL'))
             .whereField('c.user_id', userId)
             .groupBy(['c.id', 'c.title', 'c.description', 'c.created_at'])
             .orderBy('c.created_at', 'DESC')
             .get();
+    },
+
+    async setRole(userId, role) {
+        return db.table('users')
+            .whereField('id', userId)
+            .update({ role });
+    },
+
+    // Suspended accounts can't sign in or use their API tokens (utils/permissions.js)
+    async suspendUser(userId, reason = null) {
+        return db.table('users')
+            .whereField('id', userId)
+            .update({ suspended_at: new Date(), suspended_reason: reason });
+    },
+
+    async unsuspendUser(userId) {
+        return db.table('users')
+            .whereField('id', userId)
+            .update({ suspended_at: null, suspended_reason: null });
     }
 };
 
@@ -0,0 +1,199 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Two wrong passwords lock an account, so the reset test can check the
+// lockout is lifted
+process.env.LOGIN_MAX_ATTEMPTS = '2';
+process.env.LOGIN_DELAY_BASE_MS = '0';
+
+const { startApp, users, PASSWORD } = require('../helpers/app');
+
+const CHAPTER = '/api/story/alice/The-Quantum-Maze/chapter/1';
+
+describe('Admin console', () => {
+    let app;
+    let alice;
+    let carol;
+    let outbox;
+
+    before(async () => {
+        app = await startApp();
+        outbox = require('../../config/mailers/memory').sent;
+        await app.db.table('users').whereField('id', users.carol.id).update({ role: 'admin' });
+        alice = app.client();
+        carol = app.client();
+        await alice.login(users.alice);
+        await carol.login(users.carol);
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('is only open to admins', async () => {
+        assert.equal((await alice.get('/api/admin/users')).status, 403);
+        assert.equal((await alice.post('/api/admin/users/bob/suspend')).status, 403);
+        assert.equal((await app.client().get('/api/admin')).status, 401);
+        assert.equal((await alice.get('/admin')).status, 403);
+    });
+
+    it('lists and searches users with pagination', async () => {
+        const page = await carol.get('/api/admin/users?perPage=2');
+        assert.equal(page.status, 200);
+        assert.deepEqual(page.body.users.map(u => u.username), ['test', 'carol']);
+        assert.equal(page.body.pagination.total, 4);
+        assert.equal(page.body.users[1].email, users.carol.email);
+
+        const search = await carol.get('/api/admin/users?q=alice%40');
+        assert.deepEqual(search.body.users.map(u => u.username), ['alice']);
+
+        const next = await carol.get('/api/admin/users?perPage=2&page=2');
+        assert.deepEqual(next.body.users.map(u => u.username), ['bob', 'alice']);
+        assert.equal((await carol.get('/api/admin/users?after=not-a-cursor')).status, 400);
+    });
+
+    it('lists unpublished stories, collections and comments', async () => {
+        await carol.post('/api/story/bob/Sunfall/unpublish');
+
+        const stories = (await carol.get('/api/admin/stories?q=Sunfall')).body.stories;
+        assert.equal(stories.length, 1);
+        assert.ok(stories[0].unpublished_at);
+
+        const collections = (await carol.get('/api/admin/collections?q=alice')).body.collections;
+        assert.deepEqual(collections.map(c => c.title), ['Sci-Fi Vault']);
+
+        await alice.post(`${CHAPTER}/comments`, { content: 'Needle in a haystack' });
+        const comments = (await carol.get('/api/admin/comments?q=haystack')).body.comments;
+        assert.equal(comments.length, 1);
+        assert.equal(comments[0].story_title, 'The Quantum Maze');
+
+        await carol.post('/api/story/bob/Sunfall/republish');
+    });
+
+    it('reports totals and recent activity', async () => {
+        await app.client().post('/api/auth/login', { email: 'nobody@example.com', password: 'wrong-password' });
+
+        const res = await carol.get('/api/admin');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.report.users.total, 4);
+        assert.equal(res.body.report.users.byRole.admin, 1);
+        assert.equal(res.body.report.stories.total, 3);
+        assert.ok(res.body.report.failedLogins24h >= 1);
+
+        const types = new Set(res.body.activity.map(a => a.type));
+        for (const type of ['signup', 'story', 'comment', 'failed_login']) {
+            assert.ok(types.has(type), type);
+        }
+    });
+
+    it('edits story metadata and keeps titles unique per author', async () => {
+        await carol.post('/api/story/create', { title: 'Second Light', synopsis: 'Another one.' });
+        const [story] = (await carol.get('/api/admin/stories?q=Echoes')).body.stories;
+
+        const taken = await carol.post(`/api/admin/stories/${story.id}/edit`, { title: 'Second Light', synopsis: 'A clashing title.' });
+        assert.equal(taken.status, 409);
+
+        const res = await carol.post(`/api/admin/stories/${story.id}/edit`, { title: 'Echoes', synopsis: 'Tidied by an admin.' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.story.title, 'Echoes');
+        assert.equal(res.body.story.synopsis, 'Tidied by an admin.');
+
+        assert.equal((await carol.post(`/api/admin/stories/${story.id}/edit`, { title: '' })).status, 400);
+        assert.equal((await carol.post('/api/admin/stories/9999/edit', { title: 'X', synopsis: 'Y' })).status, 404);
+    });
+
+    it('deletes any story, collection or comment', async () => {
+        const comment = (await alice.post(`${CHAPTER}/comments`, { content: 'Off topic' })).body.comment;
+        assert.equal((await carol.post(`/api/admin/comments/${comment.id}/delete`)).status, 200);
+        assert.equal(await app.db.table('comments').whereField('id', comment.id).count(), 0);
+
+        const [collection] = (await carol.get('/api/admin/collections?q=Vault')).body.collections;
+        assert.equal((await carol.post(`/api/admin/collections/${collection.id}/delete`)).status, 200);
+        assert.equal((await app.client().get(`/api/collections/${collection.user_id}/${collection.id}`)).status, 404);
+
+        const [story] = (await carol.get('/api/admin/stories?q=Sunfall')).body.stories;
+        assert.equal((await carol.post(`/api/admin/stories/${story.id}/delete`)).status, 200);
+        assert.equal((await app.client().get('/api/story/bob/Sunfall')).status, 404);
+
+        assert.equal((await carol.post(`/api/admin/stories/${story.id}/delete`)).status, 404);
+    });
+
+    it('resets a password and emails a link to choose a new one', async () => {
+        const bob = app.client();
+        await bob.login(users.bob);
+        const { token } = (await bob.post('/api/tokens', { name: 'Script' })).body;
+        const wrong = () => app.client().post('/api/auth/login', { email: users.bob.email, password: 'wrong-password' });
+        await wrong();
+        assert.equal((await wrong()).status, 429);
+
+        const sent = outbox.length;
+        const res = await carol.post('/api/admin/users/bob/password');
+        assert.equal(res.status, 200);
+
+        assert.equal((await bob.get('/api/v2/users')).status, 401);
+        assert.equal((await app.client().get('/api/v2/users', { Authorization: `Bearer ${token}` })).status, 401);
+
+        assert.equal(outbox.length, sent + 1);
+        assert.equal(outbox.at(-1).to, users.bob.email);
+        assert.match(outbox.at(-1).text, /\/auth\/reset\/[\w-]+/);
+
+        // No longer locked out, but the old password is gone
+        const login = await app.client().post('/api/auth/login', { email: users.bob.email, password: PASSWORD });
+        assert.equal(login.status, 401);
+        assert.equal((await carol.post('/api/admin/users/carol/password')).status, 403);
+    });
+
+    it('suspends and deletes accounts but not admins', async () => {
+        assert.equal((await carol.post('/api/admin/users/alice/suspend', { reason: 'Spam' })).status, 200);
+        assert.equal((await alice.get('/api/v2/users')).status, 401);
+        assert.ok((await carol.get('/api/admin/users?q=alice')).body.users[0].suspended_at);
+        assert.equal((await carol.post('/api/admin/users/alice/unsuspend')).status, 200);
+
+        assert.equal((await carol.post('/api/admin/users/alice/role', { role: 'admin' })).status, 200);
+        assert.equal((await carol.post('/api/admin/users/alice/delete')).status, 403);
+        await carol.post('/api/admin/users/alice/role', { role: 'author' });
+
+        assert.equal((await carol.post('/api/admin/users/bob/delete')).status, 200);
+        assert.equal((await app.client().get('/api/v2/users/bob')).status, 404);
+    });
+
+    it('renders the console pages', async () => {
+        const overview = await carol.get('/admin');
+        assert.equal(overview.status, 200);
+        assert.match(overview.text, /Recent activity/);
+        assert.match(overview.text, /href="\/admin"/);
+
+        const list = await carol.get('/admin/users?q=ali');
+        assert.match(list.text, /Reset password/);
+        assert.doesNotMatch(list.text, /carol@example\.com/);
+        for (const page of ['stories', 'collections', 'comments']) {
+            assert.equal((await carol.get(`/admin/${page}`)).status, 200, page);
+        }
+
+        const [story] = (await carol.get('/api/admin/stories?q=Quantum')).body.stories;
+        const form = await carol.get(`/admin/stories/${story.id}/edit`);
+        assert.match(form.text, /The Quantum Maze/);
+
+        const failed = await carol.post(`/admin/stories/${story.id}/edit`, { title: '', synopsis: 'x' });
+        assert.equal(failed.status, 400);
+        assert.match(failed.text, /Title/);
+
+        const saved = await carol.post('/admin/users/alice/suspend', {}, { Referer: '/admin/users' });
+        assert.equal(saved.status, 302);
+        assert.equal(saved.headers.get('location'), '/admin/users');
+        await carol.post('/api/admin/users/alice/unsuspend');
+    });
+
+    it('keeps usernames out of the confirm scripts', async () => {
+        const username = "x');alert(1);//";
+        await app.db.table('users').insertAsync({ username, email: 'quote@example.com', password_hash: 'x' });
+
+        const list = await carol.get('/admin/users?q=quote');
+        const handlers = [...list.text.matchAll(/onsubmit="([^"]*)"/g)].map(m => m[1]);
+        assert.ok(handlers.length > 0);
+        for (const handler of handlers) {
+            assert.doesNotMatch(handler, /alert|&#39;/);
+        }
+        assert.match(list.text, /data-username="x&#39;\);alert\(1\);\/\/"/);
+    });
+});
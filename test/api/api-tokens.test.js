@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, users } = require('../helpers/app');
+
+const STORY = { title: 'Written by a Script', synopsis: 'A story posted with an API token.' };
+const COMMENTS = '/api/story/alice/The-Quantum-Maze/chapter/1/comments';
+
+describe('API tokens', () => {
+    let app;
+    let alice;
+
+    before(async () => {
+        app = await startApp();
+        alice = app.client();
+        await alice.login(users.alice);
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+    async function createToken(name, scopes = []) {
+        const res = await alice.post('/api/tokens', { name, scopes });
+        assert.equal(res.status, 201);
+        return res.body;
+    }
+
+    it('creates a token that is shown once and stored hashed', async () => {
+        const { token, apiToken } = await createToken('Backup script');
+
+        assert.match(token, /^pat_[\w-]{40,}$/);
+        assert.deepEqual(apiToken.scopes, ['read']);
+        assert.ok(token.startsWith(apiToken.token_prefix));
+
+        const row = await app.db.table('api_tokens').whereField('id', apiToken.id).first();
+        assert.notEqual(row.token_hash, token);
+
+        const list = await alice.get('/api/tokens');
+        assert.deepEqual(list.body.tokens.map(t => t.name), ['Backup script']);
+        assert.equal(list.body.tokens[0].token_hash, undefined);
+    });
+
+    it('authenticates API requests without a session cookie', async () => {
+        const { token, apiToken } = await createToken('Reader');
+        const res = await app.client().get('/api/users', bearer(token));
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.user.username, 'alice');
+        assert.equal(res.headers.get('set-cookie'), null);
+
+        const row = await app.db.table('api_tokens').whereField('id', apiToken.id).first();
+        assert.ok(row.last_used_at);
+    });
+
+    it('limits writes to the token scopes', async () => {
+        const reader = (await createToken('Read only')).token;
+        const writer = (await createToken('Publisher', ['write:stories'])).token;
+        const commenter = (await createToken('Commenter', 'write:comments')).token;
+
+        const denied = await app.client().post('/api/story/create', STORY, bearer(reader));
+        assert.equal(denied.status, 403);
+        assert.match(denied.body.error, /write:stories/);
+
+        assert.equal((await app.client().post('/api/story/create', STORY, bearer(writer))).status, 201);
+        assert.equal((await app.client().post(COMMENTS, { content: 'Hi' }, bearer(writer))).status, 403);
+        assert.equal((await app.client().post(COMMENTS, { content: 'Hi' }, bearer(commenter))).status, 201);
+    });
+
+    it('keeps token management to signed-in sessions', async () => {
+        const { token } = await createToken('Sneaky', ['write:stories', 'write:comments']);
+        const res = await app.client().post('/api/tokens', { name: 'Another' }, bearer(token));
+
+        assert.equal(res.status, 403);
+    });
+
+    it('rejects unknown tokens and scopes', async () => {
+        const res = await app.client().get('/api/users', bearer('pat_not-a-real-token'));
+        assert.equal(res.status, 401);
+        assert.equal(res.body.code, 'UNAUTHORIZED');
+
+        const scope = await alice.post('/api/tokens', { name: 'Admin', scopes: ['admin'] });
+        assert.equal(scope.status, 400);
+        assert.equal(scope.body.code, 'VALIDATION_FAILED');
+    });
+
+    it('revokes tokens for their owner only', async () => {
+        const { token, apiToken } = await createToken('Temporary');
+
+        const bob = app.client();
+        await bob.login(users.bob);
+        assert.equal((await bob.delete(`/api/tokens/${apiToken.id}`)).status, 404);
+
+        assert.equal((await alice.delete(`/api/tokens/${apiToken.id}`)).status, 200);
+        assert.equal((await app.client().get('/api/users', bearer(token))).status, 401);
+    });
+
+    it('manages tokens from the dashboard', async () => {
+        const page = await alice.get('/users/tokens');
+        assert.equal(page.status, 200);
+        assert.match(page.text, /Backup script/);
+
+        const invalid = await alice.post('/users/tokens', { name: '' });
+        assert.equal(invalid.status, 400);
+        assert.match(invalid.text, /Token name is required/);
+
+        const created = await alice.post('/users/tokens', { name: 'From the page', scopes: 'write:comments' });
+        assert.equal(created.status, 201);
+        assert.match(created.text, /pat_[\w-]{40,}/);
+        assert.match(created.text, /read, write:comments/);
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, users, PASSWORD } = require('../helpers/app');
+
+describe('API auth', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('POST /api/auth/register', () => {
+        const newUser = {
+            username: 'dave',
+            email: 'dave@example.com',
+            password: 'secret123',
+            confirmPassword: 'secret123'
+        };
+
+        it('creates the account and signs the user in', async () => {
+            const client = app.client();
+            const res = await client.post('/api/auth/register', newUser);
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.success, true);
+            assert.equal(res.body.user.username, 'dave');
+
+            const me = await client.get('/api/users');
+            assert.equal(me.status, 200);
+            assert.equal(me.body.user.email, 'dave@example.com');
+        });
+
+        it('rejects invalid input', async () => {
+            const res = await app.client().post('/api/auth/register', {
+                username: '',
+                email: 'not-an-email',
+                password: '123',
+                confirmPassword: '456'
+            });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_FAILED');
+            assert.deepEqual(res.body.details.map(d => d.field), ['username', 'email', 'password', 'confirmPassword']);
+            assert.match(res.body.details[3].message, /Passwords do not match/);
+        });
+
+        it('rejects an email that is already registered', async () => {
+            const res = await app.client().post('/api/auth/register', {
+                ...newUser,
+                username: 'someone-else',
+                email: users.alice.email
+            });
+
+            assert.equal(res.status, 409);
+            assert.equal(res.body.code, 'CONFLICT');
+            assert.equal(res.body.error, 'Email already in use.');
+        });
+
+        it('rejects a username that is already taken', async () => {
+            const res = await app.client().post('/api/auth/register', {
+                ...newUser,
+                username: users.bob.username,
+                email: 'another@example.com'
+            });
+
+            assert.equal(res.status, 409);
+            assert.equal(res.body.error, 'Email or username already in use.');
+        });
+    });
+
+    describe('POST /api/auth/login', () => {
+        it('signs in with valid credentials', async () => {
+            const res = await app.client().post('/api/auth/login', {
+                email: users.alice.email,
+                password: PASSWORD
+            });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.user, { id: users.alice.id, username: 'alice', role: 'author', email_verified: true });
+        });
+
+        it('rejects a wrong password', async () => {
+            const res = await app.client().post('/api/auth/login', {
+                email: users.alice.email,
+                password: 'wrong-password'
+            });
+
+            assert.equal(res.status, 401);
+            assert.equal(res.body.error, 'Invalid email or password.');
+        });
+
+        it('rejects an unknown email with the same message', async () => {
+            const res = await app.client().post('/api/auth/login', {
+                email: 'nobody@example.com',
+                password: PASSWORD
+            });
+
+            assert.equal(res.status, 401);
+            assert.equal(res.body.error, 'Invalid email or password.');
+        });
+
+        it('validates the payload', async () => {
+            const res = await app.client().post('/api/auth/login', { email: 'nope' });
+
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.details.map(d => d.message), ['A valid email is required.', 'Password is required.']);
+        });
+    });
+
+    describe('POST /api/auth/logout', () => {
+        it('ends the session', async () => {
+            const client = app.client();
+            await client.login(users.bob);
+            assert.equal((await client.get('/api/users')).status, 200);
+
+            const res = await client.post('/api/auth/logout');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.success, true);
+
+            assert.equal((await client.get('/api/users')).status, 401);
+        });
+    });
+});
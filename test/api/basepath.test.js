@@ -0,0 +1,69 @@
+process.env.BASE_PATH = '/usr/326';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, users } = require('../helpers/app');
+
+describe('BASE_PATH', () => {
+    let app;
+    let origin;
+
+    before(async () => {
+        app = await startApp();
+        origin = app.baseUrl.replace(/\/usr\/326$/, '');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('mounts routes and static files under the base path', async () => {
+        const api = await app.client().get('/api/story');
+        assert.equal(api.status, 200);
+
+        const css = await fetch(`${app.baseUrl}/main.css`);
+        assert.equal(css.status, 200);
+
+        const outside = await fetch(`${origin}/api/story`);
+        assert.equal(outside.status, 404);
+    });
+
+    it('answers unknown API paths under the base path with JSON', async () => {
+        const res = await app.client().get('/api/nope');
+
+        assert.equal(res.status, 404);
+        assert.equal(res.body.code, 'NOT_FOUND');
+    });
+
+    it('prefixes redirects', async () => {
+        const res = await app.client().get('/story/create');
+
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.get('location'), '/usr/326/auth/login');
+    });
+
+    it('prefixes links in views', async () => {
+        const res = await app.client().get('/story');
+
+        assert.match(res.text, /href="\/usr\/326\/story\/alice\/The-Quantum-Maze"/);
+        assert.match(res.text, /href="\/usr\/326\/main.css"/);
+    });
+
+    it('prefixes url fields in API responses', async () => {
+        const client = app.client();
+        await client.login(users.alice);
+        const res = await client.post('/api/story/create', {
+            title: 'Under A Prefix', synopsis: 'A story created behind the proxy.'
+        });
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.url, '/usr/326/story/alice/Under-A-Prefix');
+    });
+
+    it('keeps OpenAPI paths relative to the server URL', async () => {
+        const spec = (await app.client().get('/api/openapi.json')).body;
+
+        assert.match(spec.servers[0].url, /\/usr\/326$/);
+        assert.ok(spec.paths['/api/story']);
+    });
+});
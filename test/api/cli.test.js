@@ -0,0 +1,80 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, users } = require('../helpers/app');
+
+describe('Management CLI', () => {
+    let app;
+    let cli;
+
+    before(async () => {
+        app = await startApp();
+        cli = require('../../cli');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    // Run a command and collect what it printed
+    async function run(...argv) {
+        const lines = [];
+        const log = mock.method(console, 'log', (...args) => lines.push(args.join(' ')));
+        const table = mock.method(console, 'table', (rows) => lines.push(JSON.stringify(rows)));
+        try {
+            await cli.run(argv);
+        } finally {
+            log.mock.restore();
+            table.mock.restore();
+        }
+        return lines.join('\n');
+    }
+
+    it('lists the mounted routes', async () => {
+        const out = JSON.parse(await run('routes', '--json', '/story/create'));
+
+        assert.deepEqual(out.map(r => `${r.method} ${r.path}`).sort(), [
+            'GET /story/create',
+            'POST /api/story/create',
+            'POST /api/v1/story/create',
+            'POST /api/v2/story/create',
+            'POST /story/create'
+        ]);
+        assert.equal(out.find(r => r.path === '/story/create' && r.method === 'GET').name, 'story.create');
+    });
+
+    it('creates a user who can sign in', async () => {
+        const out = await run('user:create', 'dave', 'dave@example.com', '--password', 'secret-pass');
+        assert.match(out, /Created user dave/);
+
+        await app.client().login({ email: 'dave@example.com' }, 'secret-pass');
+    });
+
+    it('rejects a taken username', async () => {
+        await assert.rejects(run('user:create', 'alice', 'other@example.com'), /already taken/);
+    });
+
+    it('resets a password, generating one when none is given', async () => {
+        const out = await run('user:password', 'bob');
+        const [, password] = out.match(/Password: (\S+)/);
+
+        await app.client().login(users.bob, password);
+    });
+
+    it('deletes a user and their work', async () => {
+        await run('user:delete', 'carol');
+
+        assert.equal(await app.db.table('users').whereField('username', 'carol').first(), null);
+        assert.equal(await app.db.table('stories').whereField('user_id', users.carol.id).count(), 0);
+    });
+
+    it('removes orphaned soft-deleted comments', async () => {
+        await app.db.table('comments').insertAsync({ user_id: users.alice.id, chapter_id: 1, content: '[deleted]', is_deleted: true });
+
+        assert.match(await run('comments:cleanup'), /Removed 1 orphaned comment/);
+    });
+
+    it('reports unknown commands and options as usage errors', async () => {
+        await assert.rejects(cli.run(['nope']), cli.UsageError);
+        await assert.rejects(cli.run(['user:delete', '--force']), cli.UsageError);
+    });
+});
@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, users } = require('../helpers/app');
+
+describe('API collections', () => {
+    let app;
+    let alice;
+    let bob;
+    let created;
+
+    before(async () => {
+        app = await startApp();
+        alice = app.client();
+        bob = app.client();
+        await alice.login(users.alice);
+        await bob.login(users.bob);
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('GET /api/collections', () => {
+        it('lists collections with pagination', async () => {
+            const res = await app.client().get('/api/collections');
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.collections.length, 2);
+            assert.equal(res.body.pagination.total, 2);
+        });
+
+        it('pages with cursors in the same order', async () => {
+            const client = app.client();
+            const first = await client.get('/api/collections?perPage=1&after=');
+            const next = await client.get(`/api/collections?perPage=1&after=${first.body.pagination.nextCursor}`);
+            assert.equal(next.body.pagination.hasNext, false);
+
+            const paged = await client.get('/api/collections');
+            assert.deepEqual(
+                [...first.body.collections, ...next.body.collections].map(c => c.id),
+                paged.body.collections.map(c => c.id)
+            );
+        });
+
+        it('rejects conflicting cursors', async () => {
+            const res = await app.client().get('/api/collections?after=MQ&before=MQ');
+            assert.equal(res.status, 400);
+            assert.equal(res.body.success, false);
+        });
+    });
+
+    describe('GET /api/collections/:userId/:collectionId', () => {
+        it('returns the collection with its stories', async () => {
+            const res = await app.client().get(`/api/collections/${users.alice.id}/1`);
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.collection.title, 'Sci-Fi Vault');
+            assert.equal(res.body.collection.story_count, 2);
+            assert.equal(res.body.collection.stories.length, 2);
+        });
+
+        it('returns 404 when the collection belongs to someone else', async () => {
+            const res = await app.client().get(`/api/collections/${users.bob.id}/1`);
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('POST /api/collections', () => {
+        const collection = { title: 'Weekend Reads', description: 'Stories for a lazy weekend.', stories: [2, 3] };
+
+        it('requires authentication', async () => {
+            const res = await app.client().post('/api/collections', collection);
+            assert.equal(res.status, 401);
+        });
+
+        it('validates the collection', async () => {
+            const res = await alice.post('/api/collections', { title: 'X', description: 'short', stories: 'nope' });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_FAILED');
+            assert.deepEqual(res.body.details.map(d => d.field).sort(), ['description', 'stories', 'title']);
+        });
+
+        it('creates a collection with its stories', async () => {
+            const res = await alice.post('/api/collections', collection);
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.collection.title, 'Weekend Reads');
+            assert.equal(res.body.collection.user_id, users.alice.id);
+            assert.deepEqual(res.body.collection.stories.map(s => s.id).sort(), [2, 3]);
+            created = res.body.collection;
+        });
+
+        it('rolls back when a story does not exist', async () => {
+            const res = await alice.post('/api/collections', { ...collection, title: 'Broken Links', stories: [999] });
+            assert.equal(res.status, 500);
+
+            const list = await app.client().get('/api/collections');
+            assert.ok(!list.body.collections.some(c => c.title === 'Broken Links'));
+        });
+    });
+
+    describe('PUT /api/collections/:userId/:collectionId', () => {
+        it('requires authentication', async () => {
+            const res = await app.client().put(`/api/collections/${users.alice.id}/${created.id}`, { title: 'Nope' });
+            assert.equal(res.status, 401);
+        });
+
+        it('does not let another user update it', async () => {
+            const res = await bob.put(`/api/collections/${users.alice.id}/${created.id}`, { title: 'Stolen' });
+            assert.equal(res.status, 403);
+        });
+
+        it('returns 404 for a missing collection', async () => {
+            const res = await alice.put(`/api/collections/${users.alice.id}/999`, { title: 'Missing' });
+            assert.equal(res.status, 404);
+        });
+
+        it('updates the collection and replaces its stories', async () => {
+            const res = await alice.put(`/api/collections/${users.alice.id}/${created.id}`, {
+                title: 'Weekday Reads',
+                description: 'Stories for a busy week.',
+                stories: [1]
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.collection.title, 'Weekday Reads');
+            assert.deepEqual(res.body.collection.stories.map(s => s.id), [1]);
+        });
+    });
+
+    describe('DELETE /api/collections/:userId/:collectionId', () => {
+        it('requires authentication', async () => {
+            const res = await app.client().delete(`/api/collections/${users.alice.id}/${created.id}`);
+            assert.equal(res.status, 401);
+        });
+
+        it('does not let another user delete it', async () => {
+            const res = await bob.delete(`/api/collections/${users.alice.id}/${created.id}`);
+            assert.equal(res.status, 403);
+        });
+
+        it('deletes the collection', async () => {
+            const res = await alice.delete(`/api/collections/${users.alice.id}/${created.id}`);
+            assert.equal(res.status, 200);
+
+            const gone = await app.client().get(`/api/collections/${users.alice.id}/${created.id}`);
+            assert.equal(gone.status, 404);
+        });
+    });
+});
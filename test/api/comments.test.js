@@ -0,0 +1,130 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, users } = require('../helpers/app');
+
+const CHAPTER = '/api/story/alice/The-Quantum-Maze/chapter/1';
+const COMMENTS = `${CHAPTER}/comments`;
+
+describe('API comments', () => {
+    let app;
+    let alice;
+    let bob;
+    let carol;
+
+    const commentsOnChapter = async () => (await app.client().get(CHAPTER)).body.comments;
+
+    before(async () => {
+        app = await startApp();
+        alice = app.client();
+        bob = app.client();
+        carol = app.client();
+        await alice.login(users.alice);
+        await bob.login(users.bob);
+        await carol.login(users.carol);
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('POST comments', () => {
+        it('requires authentication', async () => {
+            const res = await app.client().post(COMMENTS, { content: 'Hello' });
+            assert.equal(res.status, 401);
+        });
+
+        it('requires content', async () => {
+            const res = await bob.post(COMMENTS, { content: '' });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Invalid comment data');
+        });
+
+        it('returns 404 for a missing chapter', async () => {
+            const res = await bob.post('/api/story/alice/The-Quantum-Maze/chapter/99/comments', { content: 'Hello' });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.error, 'Chapter not found');
+        });
+
+        it('returns 404 for a missing story', async () => {
+            const res = await bob.post('/api/story/alice/Nope/chapter/1/comments', { content: 'Hello' });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.error, 'Story not found');
+        });
+
+        it('adds a comment and a reply', async () => {
+            const res = await carol.post(COMMENTS, { content: 'Loved the ending.' });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.comment.content, 'Loved the ending.');
+            assert.equal(res.body.comment.user_id, users.carol.id);
+
+            const reply = await alice.post(COMMENTS, {
+                content: 'Thank you!',
+                parent_id: res.body.comment.id
+            });
+            assert.equal(reply.status, 201);
+            assert.equal(reply.body.comment.parent_id, res.body.comment.id);
+
+            assert.equal((await commentsOnChapter()).length, 4);
+        });
+    });
+
+    describe('POST comments/:commentId/edit', () => {
+        it('only lets the author edit', async () => {
+            // comment 1 belongs to alice
+            const res = await bob.post(`${COMMENTS}/1/edit`, { content: 'Edited by bob' });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.error, 'Forbidden');
+        });
+
+        it('validates the edit', async () => {
+            const res = await alice.post(`${COMMENTS}/1/edit`, { content: '' });
+            assert.equal(res.status, 400);
+        });
+
+        it('edits a comment', async () => {
+            const res = await alice.post(`${COMMENTS}/1/edit`, { content: 'This is truly amazing.' });
+            assert.equal(res.status, 200);
+
+            const comment = (await commentsOnChapter()).find(c => c.id === 1);
+            assert.equal(comment.content, 'This is truly amazing.');
+        });
+    });
+
+    describe('POST comments/:commentId/delete', () => {
+        it('requires authentication', async () => {
+            const res = await app.client().post(`${COMMENTS}/1/delete`);
+            assert.equal(res.status, 401);
+        });
+
+        it('returns 404 for an invalid id', async () => {
+            const res = await alice.post(`${COMMENTS}/abc/delete`);
+            assert.equal(res.status, 404);
+        });
+
+        it('only lets the author delete', async () => {
+            const res = await carol.post(`${COMMENTS}/1/delete`);
+            assert.equal(res.status, 403);
+        });
+
+        it('soft deletes a comment that has replies', async () => {
+            // comment 3 (bob) replies to comment 1 (alice)
+            const res = await alice.post(`${COMMENTS}/1/delete`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.deleteMethod, 'soft');
+
+            const comment = (await commentsOnChapter()).find(c => c.id === 1);
+            assert.equal(comment.content, '[deleted]');
+            assert.equal(comment.is_deleted, 1);
+        });
+
+        it('hard deletes the last reply and cleans up the soft-deleted parent', async () => {
+            const res = await bob.post(`${COMMENTS}/3/delete`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.deleteMethod, 'hard');
+
+            const ids = (await commentsOnChapter()).map(c => c.id);
+            assert.ok(!ids.includes(3));
+            assert.ok(!ids.includes(1));
+        });
+    });
+});
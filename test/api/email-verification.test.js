@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('../helpers/app');
+
+const STORY = { title: 'A Fresh Start', synopsis: 'Someone new tries to publish a story.' };
+const COMMENTS = '/api/story/alice/The-Quantum-Maze/chapter/1/comments';
+
+describe('Email verification', () => {
+    let app;
+    let outbox;
+    let service;
+
+    before(async () => {
+        app = await startApp();
+        outbox = require('../../config/mailers/memory').sent;
+        service = require('../../services/emailVerificationService');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    const tokenFrom = (mail) => mail.text.match(/\/auth\/verify\/([\w.-]+)/)[1];
+
+    // Register a new account and return its signed-in client
+    async function register(username) {
+        const client = app.client();
+        const res = await client.post('/api/auth/register', {
+            username,
+            email: `${username}@example.com`,
+            password: 'secret123',
+            confirmPassword: 'secret123'
+        });
+        assert.equal(res.status, 201);
+        return { client, user: res.body.user };
+    }
+
+    it('starts new accounts unverified and emails them a link', async () => {
+        const { user } = await register('erin');
+
+        assert.equal(user.email_verified, false);
+        const mail = outbox.at(-1);
+        assert.equal(mail.to, 'erin@example.com');
+        assert.match(mail.text, /^https?:\/\/\S+\/auth\/verify\/[\w.-]+$/m);
+    });
+
+    it('holds back publishing and commenting until the address is verified', async () => {
+        const { client } = await register('frank');
+
+        const story = await client.post('/api/story/create', STORY);
+        assert.equal(story.status, 403);
+        assert.equal(story.body.code, 'EMAIL_NOT_VERIFIED');
+
+        const comment = await client.post(COMMENTS, { content: 'First!' });
+        assert.equal(comment.status, 403);
+        assert.equal(comment.body.code, 'EMAIL_NOT_VERIFIED');
+
+        const verify = await client.post(`/api/auth/verify/${tokenFrom(outbox.at(-1))}`, {});
+        assert.equal(verify.status, 200);
+
+        assert.equal((await client.post('/api/story/create', STORY)).status, 201);
+        assert.equal((await client.post(COMMENTS, { content: 'First!' })).status, 201);
+    });
+
+    it('rejects tampered and expired links', async () => {
+        const { user } = await register('gina');
+        const token = tokenFrom(outbox.at(-1));
+
+        const tampered = await app.client().post(`/api/auth/verify/${token.replace(/^\d+/, '1')}`, {});
+        assert.equal(tampered.status, 400);
+
+        const expired = service.createToken({ id: user.id, email: 'gina@example.com' }, -1);
+        const res = await app.client().post(`/api/auth/verify/${expired}`, {});
+        assert.equal(res.status, 400);
+        assert.equal(await service.isVerified(user.id), false);
+    });
+
+    it('resends the link on request', async () => {
+        const { client } = await register('hank');
+        const count = outbox.length;
+
+        const res = await client.post('/api/auth/verify/resend', {});
+        assert.equal(res.status, 200);
+        assert.equal(outbox.length, count + 1);
+
+        await client.post(`/api/auth/verify/${tokenFrom(outbox.at(-1))}`, {});
+        const again = await client.post('/api/auth/verify/resend', {});
+        assert.equal(again.body.message, 'Your email address is already verified.');
+        assert.equal(outbox.length, count + 1);
+    });
+
+    it('reminds unverified users on every page and verifies from the emailed link', async () => {
+        const { client } = await register('ivy');
+
+        const page = await client.get('/story');
+        assert.match(page.text, /Please confirm your email address/);
+
+        const verified = await client.get(`/auth/verify/${tokenFrom(outbox.at(-1))}`);
+        assert.equal(verified.status, 200);
+        assert.match(verified.text, /your email address is verified/);
+        assert.doesNotMatch(verified.text, /Please confirm your email address/);
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, users } = require('../helpers/app');
+
+describe('Error handling', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('API envelope', () => {
+        it('answers unknown endpoints with a JSON 404', async () => {
+            const res = await app.client().get('/api/nope');
+
+            assert.equal(res.status, 404);
+            assert.deepEqual(res.body, { success: false, error: 'Endpoint not found', code: 'NOT_FOUND' });
+        });
+
+        it('reports field-level validation details', async () => {
+            const client = app.client();
+            await client.login(users.alice);
+            const res = await client.post('/api/story/create', { title: 'Hi', synopsis: 'A long enough synopsis.' });
+
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body, {
+                success: false,
+                error: 'Validation failed',
+                code: 'VALIDATION_FAILED',
+                details: [{ field: 'title', location: 'body', message: 'Title must be at least 3 characters' }]
+            });
+        });
+
+        it('reports conflicts', async () => {
+            const client = app.client();
+            await client.login(users.alice);
+            const res = await client.post('/api/story/create', {
+                title: 'The Quantum Maze', synopsis: 'A second story with the same title.'
+            });
+
+            assert.equal(res.status, 409);
+            assert.equal(res.body.code, 'CONFLICT');
+        });
+
+        it('rejects malformed JSON bodies', async () => {
+            const res = await fetch(`${app.baseUrl}/api/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: '{"email":'
+            });
+
+            assert.equal(res.status, 400);
+            assert.equal((await res.json()).code, 'BAD_REQUEST');
+        });
+
+        it('hides the cause of unexpected errors', async () => {
+            const storyService = require('../../services/storyService');
+            const original = storyService.getAllStories;
+            storyService.getAllStories = async () => { throw new Error('connection lost'); };
+
+            try {
+                const res = await app.client().get('/api/story');
+
+                assert.equal(res.status, 500);
+                assert.deepEqual(res.body, { success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+            } finally {
+                storyService.getAllStories = original;
+            }
+        });
+    });
+
+    describe('HTML pages', () => {
+        it('render the error page for unknown pages', async () => {
+            const res = await app.client().get('/no-such-page');
+
+            assert.equal(res.status, 404);
+            assert.match(res.text, /Page not found/);
+        });
+
+        it('render the error page for missing records', async () => {
+            const res = await app.client().get('/story/alice/No-Such-Story');
+
+            assert.equal(res.status, 404);
+            assert.match(res.text, /Story not found/);
+        });
+    });
+});
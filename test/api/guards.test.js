@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, users } = require('../helpers/app');
+
+describe('Route guards', () => {
+    let app;
+    let alice;
+    let bob;
+
+    before(async () => {
+        app = await startApp();
+        alice = app.client();
+        bob = app.client();
+        await alice.login(users.alice);
+        await bob.login(users.bob);
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('API controllers', () => {
+        it('answer 401 JSON when signed out', async () => {
+            const res = await app.client().post('/api/story/alice/The-Quantum-Maze/favorite');
+
+            assert.equal(res.status, 401);
+            assert.deepEqual(res.body, { success: false, error: 'Authentication required', code: 'UNAUTHORIZED' });
+        });
+
+        it('answer 404 JSON when the owned resource is missing', async () => {
+            const res = await alice.post('/api/story/alice/No-Such-Story/delete');
+
+            assert.equal(res.status, 404);
+            assert.deepEqual(res.body, { success: false, error: 'Story not found', code: 'NOT_FOUND' });
+        });
+
+        it('answer 403 JSON for another user\'s resource', async () => {
+            const res = await bob.delete(`/api/collections/${users.alice.id}/1`);
+
+            assert.equal(res.status, 403);
+            assert.deepEqual(res.body, { success: false, error: 'Forbidden', code: 'FORBIDDEN' });
+        });
+    });
+
+    describe('HTML controllers', () => {
+        it('redirect to the login page when signed out', async () => {
+            const res = await app.client().get('/story/create');
+
+            assert.equal(res.status, 302);
+            assert.match(res.headers.get('location'), /\/auth\/login$/);
+        });
+
+        it('render the error page for another user\'s resource', async () => {
+            const res = await bob.get('/story/alice/The-Quantum-Maze/edit');
+
+            assert.equal(res.status, 403);
+            assert.match(res.text, /Forbidden/);
+        });
+
+        it('protect collection updates', async () => {
+            const res = await bob.post(`/collections/${users.alice.id}/1/edit`, { title: 'Taken over by bob' });
+            assert.equal(res.status, 403);
+
+            const collection = await app.client().get(`/api/collections/${users.alice.id}/1`);
+            assert.equal(collection.body.collection.title, 'Sci-Fi Vault');
+        });
+
+        it('let the owner through', async () => {
+            const res = await alice.get('/story/alice/The-Quantum-Maze/edit');
+            assert.equal(res.status, 200);
+        });
+    });
+
+    describe('route table', () => {
+        it('records the guards on every route', () => {
+            const routeTable = require('../../index').get('routeTable');
+            const find = (method, path) => routeTable.find(r => r.method === method && r.path === path);
+
+            const { method, path, controller, action, requireAuth, requireOwner, roles } = find('POST', '/api/story/:username/:vanity/edit');
+            assert.deepEqual({ method, path, controller, action, requireAuth, requireOwner, roles }, {
+                method: 'POST',
+                path: '/api/story/:username/:vanity/edit',
+                controller: 'api-story',
+                action: 'updateStory',
+                requireAuth: true,
+                requireOwner: 'story',
+                roles: []
+            });
+            assert.equal(find('GET', '/story').requireAuth, false);
+            assert.equal(find('POST', '/collections/create').requireAuth, true);
+        });
+    });
+});
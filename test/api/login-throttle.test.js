@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Small limits and short delays so the tests can reach them quickly. The
+// per-IP limit is shared by every test here, so the last test spends it.
+process.env.LOGIN_MAX_ATTEMPTS = '3';
+process.env.LOGIN_MAX_ATTEMPTS_PER_IP = '12';
+process.env.LOGIN_DELAY_BASE_MS = '5';
+process.env.LOGIN_DELAY_MAX_MS = '20';
+
+const { startApp, users, PASSWORD } = require('../helpers/app');
+
+describe('Sign-in throttling', () => {
+    let app;
+    let loginThrottleService;
+
+    before(async () => {
+        app = await startApp();
+        loginThrottleService = require('../../services/loginThrottleService');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    const attempt = (user, password = 'wrong-password') =>
+        app.client().post('/api/auth/login', { email: user.email, password });
+
+    it('locks an account after repeated wrong passwords', async () => {
+        assert.equal((await attempt(users.alice)).status, 401);
+        assert.equal((await attempt(users.alice)).status, 401);
+
+        const res = await attempt(users.alice);
+        assert.equal(res.status, 429);
+        assert.equal(res.body.code, 'TOO_MANY_REQUESTS');
+        assert.match(res.body.error, /for this account/);
+        assert.ok(Number(res.headers.get('retry-after')) > 0);
+
+        // The right password doesn't get through until the lockout ends
+        assert.equal((await attempt(users.alice, PASSWORD)).status, 429);
+
+        await loginThrottleService.unlockAccount(users.alice.email);
+        await app.client().login(users.alice);
+    });
+
+    it('records failed attempts for auditing', async () => {
+        const rows = await loginThrottleService.getRecentFailures({ email: users.alice.email });
+
+        assert.equal(rows.length, 3);
+        assert.deepEqual(new Set(rows.map(r => r.reason)), new Set(['wrong_password']));
+        assert.equal(rows[0].user_id, users.alice.id);
+        assert.ok(rows[0].ip);
+    });
+
+    it('starts counting again after a successful sign-in', async () => {
+        await attempt(users.bob);
+        await attempt(users.bob);
+        await app.client().login(users.bob);
+
+        assert.equal((await attempt(users.bob)).status, 401);
+        assert.equal((await attempt(users.bob)).status, 401);
+    });
+
+    it('shows the lockout on the login page', async () => {
+        const client = app.client();
+        const post = () => client.post('/auth/login', { email: users.carol.email, password: 'wrong-password' });
+
+        assert.equal((await post()).status, 401);
+        assert.equal((await post()).status, 401);
+
+        const res = await post();
+        assert.equal(res.status, 429);
+        assert.ok(res.headers.get('retry-after'));
+        assert.match(res.text, /Too many failed sign-in attempts for this account/);
+    });
+
+    it('delays each failure a little longer, up to a cap', () => {
+        const delays = [0, 1, 2, 3, 4, 10].map(n => loginThrottleService.delayFor(n));
+        assert.deepEqual(delays, [0, 5, 10, 20, 20, 20]);
+    });
+
+    for (const name of ['memory', 'db']) {
+        it(`counts parallel failures in the ${name} store`, async () => {
+            const store = require(`../../config/loginThrottleStores/${name}`);
+            const key = `account:${name}@example.com`;
+            const opts = () => ({ now: new Date(), windowMs: 60 * 1000, max: 3, lockoutMs: 60 * 1000 });
+
+            const counts = await Promise.all([1, 2].map(() => store.increment(key, opts())));
+            assert.deepEqual(counts.map(c => c.failures).sort(), [1, 2]);
+
+            const locked = await store.increment(key, opts());
+            assert.equal(locked.failures, 3);
+            assert.ok(locked.lockedUntil > new Date());
+            assert.ok(Math.abs((await store.get(key)).lockedUntil - locked.lockedUntil) < 1000);
+
+            // A failure after the window starts a new count
+            const later = { ...opts(), now: new Date(Date.now() + 2 * 60 * 1000) };
+            assert.deepEqual(await store.increment(key, later), { failures: 1, lockedUntil: null });
+
+            await store.remove(key);
+            assert.equal(await store.get(key), null);
+        });
+    }
+
+    it('locks out an IP that tries many accounts', async () => {
+        // 10 failures so far; unknown emails count against the IP too
+        assert.equal((await attempt({ email: 'nobody1@example.com' })).status, 401);
+
+        const res = await attempt({ email: 'nobody2@example.com' });
+        assert.equal(res.status, 429);
+        assert.match(res.body.error, /from your network/);
+
+        // Every account is refused from this IP now
+        const other = await attempt(users.bob, PASSWORD);
+        assert.equal(other.status, 429);
+    });
+});
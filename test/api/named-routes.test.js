@@ -0,0 +1,53 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('../helpers/app');
+const { route } = require('../../utils/urls');
+
+describe('Named routes', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('builds paths from route names', () => {
+        assert.equal(route('story.index'), '/story');
+        assert.equal(route('main.index'), '/');
+        assert.equal(
+            route('story.chapter', { username: 'alice', vanity: 'The-Quantum-Maze', chapternum: 2 }),
+            '/story/alice/The-Quantum-Maze/chapter/2'
+        );
+        assert.equal(route('api.story.createStory'), '/api/story/create');
+        assert.equal(route('api.v2.users.profile', { username: 'bob' }), '/api/v2/users/bob');
+    });
+
+    it('encodes parameters and ignores extra properties', () => {
+        const story = { id: 7, username: 'a b', vanity: 'x/y', title: 'ignored' };
+        assert.equal(route('story.show', story), '/story/a%20b/x%2Fy');
+    });
+
+    it('throws on a missing parameter', () => {
+        assert.throws(() => route('story.chapter', { username: 'alice', vanity: 'The-Quantum-Maze' }), /needs the "chapternum" parameter/);
+    });
+
+    it('throws on an unknown name', () => {
+        assert.throws(() => route('story.nope'), /Unknown route "story.nope"/);
+    });
+
+    it('records names in the route table', () => {
+        const routeTable = require('../../index').get('routeTable');
+        const entry = routeTable.find(r => r.name === 'story.chapter');
+
+        assert.equal(entry.method, 'GET');
+        assert.equal(entry.path, '/story/:username/:vanity/chapter/:chapternum');
+    });
+
+    it('links views through the named routes', async () => {
+        const res = await app.client().get('/story/alice/The-Quantum-Maze');
+        assert.match(res.text, /href="\/story\/alice\/The-Quantum-Maze\/chapter\/1"/);
+    });
+});
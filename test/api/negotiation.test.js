@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, users } = require('../helpers/app');
+
+const JSON_ACCEPT = { Accept: 'application/json' };
+
+describe('Content negotiation', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('renders pages for browsers', async () => {
+        const res = await app.client().get('/story/alice/The-Quantum-Maze');
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /text\/html/);
+        assert.match(res.text, /The Quantum Maze/);
+    });
+
+    it('answers the same route with the API payload when JSON is preferred', async () => {
+        const page = await app.client().get('/story/alice/The-Quantum-Maze/chapter/1', JSON_ACCEPT);
+        const api = await app.client().get('/api/story/alice/The-Quantum-Maze/chapter/1');
+
+        assert.equal(page.status, 200);
+        assert.deepEqual(page.body, api.body);
+    });
+
+    it('redirects forms after a successful submit', async () => {
+        const client = app.client();
+        await client.login(users.bob);
+        const res = await client.post('/story/alice/The-Quantum-Maze/favorite', {});
+
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.get('location'), '/story/alice/The-Quantum-Maze');
+    });
+
+    it('shows the form again with the validation messages', async () => {
+        const client = app.client();
+        await client.login(users.alice);
+        const res = await client.post('/story/create', { title: 'Hi', synopsis: 'A long enough synopsis.' });
+
+        assert.equal(res.status, 400);
+        assert.match(res.text, /Title must be at least 3 characters/);
+        assert.match(res.text, /A long enough synopsis\./);
+    });
+
+    it('sends the JSON error envelope to clients that prefer JSON', async () => {
+        const client = app.client();
+        await client.login(users.alice);
+        const res = await client.post('/story/create', { title: 'Hi', synopsis: 'A long enough synopsis.' }, JSON_ACCEPT);
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+        assert.equal(res.body.details[0].field, 'title');
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('../helpers/app');
+
+describe('API docs', () => {
+    let app;
+    let spec;
+
+    before(async () => {
+        app = await startApp();
+        spec = (await app.client().get('/api/openapi.json')).body;
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('serves an OpenAPI 3 document for the api routes only', () => {
+        assert.match(spec.openapi, /^3\./);
+        assert.ok(spec.paths['/api/story/{username}/{vanity}']);
+        assert.ok(spec.paths['/api/collections']);
+        assert.ok(Object.keys(spec.paths).every(p => p.startsWith('/api/')));
+    });
+
+    it('describes request bodies from the validators', () => {
+        const schema = spec.paths['/api/story/create'].post.requestBody.content['application/json'].schema;
+
+        assert.deepEqual(schema.required, ['title', 'synopsis']);
+        assert.equal(schema.properties.title.minLength, 3);
+        assert.equal(schema.properties.title.maxLength, 150);
+
+        const rating = spec.paths['/api/story/{username}/{vanity}/rate'].post.requestBody.content['application/json'].schema;
+        assert.deepEqual(rating.properties.rating, {
+            type: 'integer',
+            minimum: 1,
+            maximum: 5,
+            description: 'Rating must be between 1 and 5'
+        });
+        assert.equal(rating.required, undefined);
+
+        const collection = spec.paths['/api/collections'].post.requestBody.content['application/json'].schema;
+        assert.deepEqual(collection.properties.stories.items, { type: 'integer' });
+    });
+
+    it('documents the guards', () => {
+        const edit = spec.paths['/api/story/{username}/{vanity}/edit'].post;
+
+        assert.deepEqual(edit.security, [{ sessionCookie: [] }, { bearerToken: [] }]);
+        assert.deepEqual(Object.keys(edit.responses).sort(), ['200', '400', '401', '403', '404']);
+        assert.equal(spec.paths['/api/story'].get.security, undefined);
+    });
+
+    it('documents path and query parameters', () => {
+        const chapter = spec.paths['/api/story/{username}/{vanity}/chapter/{chapternum}'].get;
+        assert.deepEqual(chapter.parameters.map(p => [p.name, p.in, p.schema.type]), [
+            ['username', 'path', 'string'],
+            ['vanity', 'path', 'string'],
+            ['chapternum', 'path', 'integer']
+        ]);
+
+        const list = spec.paths['/api/story'].get;
+        assert.deepEqual(list.parameters.map(p => p.name), ['page', 'perPage', 'after', 'before']);
+    });
+
+    it('gives every operation a unique id and resolvable schema references', () => {
+        const operations = Object.values(spec.paths).flatMap(methods => Object.values(methods));
+        const ids = operations.map(op => op.operationId);
+        assert.equal(new Set(ids).size, ids.length);
+
+        const refs = JSON.stringify(spec).match(/"#\/components\/schemas\/\w+"/g);
+        refs.forEach(ref => {
+            assert.ok(spec.components.schemas[JSON.parse(ref).split('/').pop()], ref);
+        });
+    });
+
+    it('serves the docs page', async () => {
+        const res = await app.client().get('/api/docs');
+
+        assert.equal(res.status, 200);
+        assert.match(res.text, /api\/openapi\.json/);
+    });
+});
@@ -0,0 +1,152 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keep the per-IP limit small so the last test can reach it
+process.env.PASSWORD_RESET_RATE_LIMIT = '8';
+// Fail sign-ins without waiting, to reach a lockout quickly
+process.env.LOGIN_MAX_ATTEMPTS = '3';
+process.env.LOGIN_DELAY_BASE_MS = '0';
+
+const { startApp, users, PASSWORD } = require('../helpers/app');
+
+const NEW_PASSWORD = 'brand-new-pass';
+
+describe('Password reset', () => {
+    let app;
+    let outbox;
+
+    before(async () => {
+        app = await startApp();
+        outbox = require('../../config/mailers/memory').sent;
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    // Ask for a reset link for `email` and return the token mailed to it
+    async function requestToken(email) {
+        const before = outbox.length;
+        const res = await app.client().post('/api/auth/forgot', { email });
+        assert.equal(res.status, 200);
+        assert.equal(outbox.length, before + 1);
+
+        const [, token] = outbox.at(-1).text.match(/\/auth\/reset\/([\w-]+)/);
+        return token;
+    }
+
+    it('emails a reset link to a known address', async () => {
+        await requestToken(users.alice.email);
+
+        const mail = outbox.at(-1);
+        assert.equal(mail.to, users.alice.email);
+        assert.match(mail.text, /^https?:\/\/\S+\/auth\/reset\/[\w-]+$/m);
+    });
+
+    it('answers an unknown address the same way without sending mail', async () => {
+        const known = await app.client().post('/api/auth/forgot', { email: users.bob.email });
+        const count = outbox.length;
+        const unknown = await app.client().post('/api/auth/forgot', { email: 'nobody@example.com' });
+
+        assert.equal(unknown.status, 200);
+        assert.equal(unknown.body.message, known.body.message);
+        assert.equal(outbox.length, count);
+    });
+
+    it('sets the new password once per token', async () => {
+        const token = await requestToken(users.carol.email);
+        const body = { password: NEW_PASSWORD, confirmPassword: NEW_PASSWORD };
+
+        const res = await app.client().post(`/api/auth/reset/${token}`, body);
+        assert.equal(res.status, 200);
+        await app.client().login(users.carol, NEW_PASSWORD);
+
+        const again = await app.client().post(`/api/auth/reset/${token}`, body);
+        assert.equal(again.status, 400);
+        assert.equal(again.body.code, 'BAD_REQUEST');
+    });
+
+    it('rejects an expired token', async () => {
+        const token = await requestToken(users.alice.email);
+        await app.db.table('password_resets').whereField('user_id', users.alice.id).update({ expires_at: new Date(Date.now() - 1000) });
+
+        const res = await app.client().post(`/api/auth/reset/${token}`, {
+            password: NEW_PASSWORD,
+            confirmPassword: NEW_PASSWORD
+        });
+        assert.equal(res.status, 400);
+    });
+
+    it('signs out every session and lifts a lockout', async () => {
+        const signedIn = app.client();
+        await signedIn.login(users.alice);
+        assert.equal((await signedIn.get('/api/v2/users')).status, 200);
+        for (let i = 0; i < 3; i++) {
+            await app.client().post('/api/auth/login', { email: users.alice.email, password: 'wrong-password' });
+        }
+        const locked = await app.client().post('/api/auth/login', { email: users.alice.email, password: PASSWORD });
+        assert.equal(locked.status, 429);
+
+        const token = await requestToken(users.alice.email);
+        const res = await app.client().post(`/api/auth/reset/${token}`, {
+            password: NEW_PASSWORD,
+            confirmPassword: NEW_PASSWORD
+        });
+        assert.equal(res.status, 200);
+
+        assert.equal((await signedIn.get('/api/v2/users')).status, 401);
+        await app.client().login(users.alice, NEW_PASSWORD);
+    });
+
+    it('validates the new password', async () => {
+        const res = await app.client().post('/api/auth/reset/whatever', {
+            password: NEW_PASSWORD,
+            confirmPassword: 'something-else'
+        });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+    });
+
+    it('serves the forgot and reset pages', async () => {
+        const login = await app.client().get('/auth/login');
+        assert.match(login.text, /href="\/auth\/forgot"/);
+
+        const forgot = await app.client().get('/auth/forgot');
+        assert.equal(forgot.status, 200);
+        assert.match(forgot.text, /action="\/auth\/forgot"/);
+
+        const sent = await app.client().post('/auth/forgot', { email: 'nobody@example.com' });
+        assert.equal(sent.status, 200);
+        assert.match(sent.text, /If an account exists for that email/);
+
+        const reset = await app.client().get('/auth/reset/not-a-token');
+        assert.equal(reset.status, 200);
+        assert.match(reset.text, /invalid or has expired/);
+    });
+
+    it('resets through the HTML form and sends the user to log in', async () => {
+        const token = await requestToken(users.bob.email);
+
+        const form = await app.client().get(`/auth/reset/${token}`);
+        assert.match(form.text, new RegExp(`action="/auth/reset/${token}"`));
+
+        const res = await app.client().post(`/auth/reset/${token}`, {
+            password: NEW_PASSWORD,
+            confirmPassword: NEW_PASSWORD
+        });
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.get('location'), '/auth/login?reset=done');
+    });
+
+    it('limits reset requests per client', async () => {
+        let res;
+        do {
+            res = await app.client().post('/api/auth/forgot', { email: 'nobody@example.com' });
+        } while (res.status === 200);
+
+        assert.equal(res.status, 429);
+        assert.equal(res.body.code, 'TOO_MANY_REQUESTS');
+        assert.ok(Number(res.headers.get('retry-after')) > 0);
+    });
+});
@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, users, PASSWORD } = require('../helpers/app');
+const { parseRouteSpec } = require('../../utils/routeGuards');
+const { hasPermission } = require('../../utils/permissions');
+
+const CHAPTER = '/api/story/alice/The-Quantum-Maze/chapter/1';
+const SUNFALL = '/api/story/bob/Sunfall';
+
+describe('Roles and permissions', () => {
+    let app;
+    let alice;
+    let bob;
+    let carol;
+
+    const setRole = (user, role) => app.db.table('users').whereField('id', user.id).update({ role });
+
+    // A new comment by alice on her own first chapter; returns its URL
+    async function aliceComment() {
+        const res = await alice.post(`${CHAPTER}/comments`, { content: 'Worth a look' });
+        assert.equal(res.status, 201);
+        return `${CHAPTER}/comments/${res.body.comment.id}`;
+    }
+
+    before(async () => {
+        app = await startApp();
+        // Everyone in the seed data has a story, so starts as an author
+        await setRole(users.bob, 'moderator');
+        alice = app.client();
+        bob = app.client();
+        carol = app.client();
+        await alice.login(users.alice);
+        await bob.login(users.bob);
+        await carol.login(users.carol);
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('gives each role the permissions of the roles below it', () => {
+        assert.equal(hasPermission('reader', 'comments.moderate'), false);
+        assert.equal(hasPermission('moderator', 'comments.moderate'), true);
+        assert.equal(hasPermission('moderator', 'users.suspend'), false);
+        assert.equal(hasPermission('admin', 'comments.moderate'), true);
+        assert.equal(hasPermission(undefined, 'comments.moderate'), false);
+    });
+
+    it('makes a reader an author when they publish', async () => {
+        await setRole(users.alice, 'reader');
+        assert.equal((await alice.get('/api/v2/users')).body.user.role, 'reader');
+
+        const res = await alice.post('/api/story/create', { title: 'First Steps', synopsis: 'Where it all began.' });
+        assert.equal(res.status, 201);
+        assert.equal((await alice.get('/api/v2/users')).body.user.role, 'author');
+    });
+
+    it('lets moderators delete other people\'s comments but not edit them', async () => {
+        const comment = await aliceComment();
+
+        assert.equal((await carol.post(`${comment}/delete`)).status, 403);
+        assert.equal((await bob.post(`${comment}/edit`, { content: 'Edited' })).status, 403);
+
+        const res = await bob.post(`${comment}/delete`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.deleteMethod, 'hard');
+        assert.equal(await app.db.table('comments').whereField('content', 'Worth a look').count(), 0);
+    });
+
+    it('limits admin actions to admins', async () => {
+        assert.equal((await bob.post('/api/v2/users/alice/suspend')).status, 403);
+        assert.equal((await bob.post('/api/v2/users/alice/role', { role: 'admin' })).status, 403);
+        assert.equal((await bob.post(`${SUNFALL}/unpublish`)).status, 403);
+    });
+
+    it('applies role changes on the user\'s next request', async () => {
+        await setRole(users.carol, 'admin');
+
+        const res = await carol.post('/api/v2/users/alice/role', { role: 'moderator' });
+        assert.equal(res.status, 200);
+        assert.equal((await alice.get('/api/v2/users')).body.user.role, 'moderator');
+
+        assert.equal((await carol.post('/api/v2/users/alice/role', { role: 'owner' })).status, 400);
+        assert.equal((await carol.post('/api/v2/users/carol/role', { role: 'reader' })).status, 403);
+        await carol.post('/api/v2/users/alice/role', { role: 'author' });
+    });
+
+    it('signs out suspended users and refuses their sign-ins and tokens', async () => {
+        const { token } = (await alice.post('/api/tokens', { name: 'Script' })).body;
+
+        const res = await carol.post('/api/v2/users/alice/suspend', { reason: 'Spam' });
+        assert.equal(res.status, 200);
+
+        assert.equal((await alice.get('/api/v2/users')).status, 401);
+        const login = await app.client().post('/api/auth/login', { email: users.alice.email, password: PASSWORD });
+        assert.equal(login.status, 403);
+        assert.equal(login.body.code, 'ACCOUNT_SUSPENDED');
+        const withToken = await app.client().get('/api/v2/users', { Authorization: `Bearer ${token}` });
+        assert.equal(withToken.status, 403);
+
+        // Only admins see the suspension on the profile
+        assert.equal((await carol.get('/api/v2/users/alice')).body.user.suspended_reason, 'Spam');
+        assert.equal((await bob.get('/api/v2/users/alice')).body.user.suspended_at, undefined);
+
+        assert.equal((await carol.post('/api/v2/users/alice/unsuspend')).status, 200);
+        await alice.login(users.alice);
+    });
+
+    it('hides unpublished stories from everyone but their author and moderators', async () => {
+        assert.equal((await carol.post(`${SUNFALL}/unpublish`)).status, 200);
+
+        const listed = (await app.client().get('/api/story')).body.stories.map(s => s.title);
+        assert.ok(!listed.includes('Sunfall'));
+        const search = await app.client().get('/api/search?q=Sunfall&types[]=stories');
+        assert.deepEqual(search.body.results.stories, []);
+        assert.equal((await app.client().get(SUNFALL)).status, 404);
+        assert.equal((await alice.get(SUNFALL)).status, 404);
+        const profile = (await app.client().get('/api/v2/users/bob')).body;
+        assert.equal(profile.meta.story_count, 0);
+        assert.equal(profile.collections[0].story_count, 0);
+        const picks = (await app.client().get('/api/collections')).body.collections.find(c => c.user_id === users.bob.id);
+        assert.equal(picks.story_count, 0);
+        assert.equal(picks.rating_count, 0);
+
+        const own = await bob.get(SUNFALL);
+        assert.equal(own.status, 200);
+        assert.ok(own.body.story.unpublished_at);
+
+        assert.equal((await carol.post(`${SUNFALL}/republish`)).status, 200);
+        assert.equal((await app.client().get(SUNFALL)).status, 200);
+    });
+
+    it('shows staff their roles and tools in the pages', async () => {
+        await aliceComment();
+
+        const chapter = await bob.get('/story/alice/The-Quantum-Maze/chapter/1');
+        assert.match(chapter.text, /role-badge role-moderator/);
+        assert.match(chapter.text, /Remove as a moderator/);
+
+        const profile = await carol.get('/users/alice');
+        assert.match(profile.text, /Change role/);
+        assert.match(profile.text, /Suspend/);
+        assert.match(profile.text, /data-username="alice" onsubmit="return confirm\('Suspend ' \+ this\.dataset\.username/);
+        assert.doesNotMatch((await bob.get('/users/alice')).text, /Change role/);
+
+        const story = await carol.get('/story/bob/Sunfall');
+        assert.match(story.text, /Unpublish/);
+    });
+
+    it('rejects unknown roles and stray owner overrides in route maps', () => {
+        assert.throws(() => parseRouteSpec({ handler: 'x', roles: 'owner' }, 'GET /x'), /unknown roles: owner/);
+        assert.throws(() => parseRouteSpec({ handler: 'x', overrideOwner: 'comments.moderate' }, 'GET /x'), /overrideOwner/);
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('../helpers/app');
+
+describe('API search', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('searches every category by default', async () => {
+        const res = await app.client().get('/api/search?q=quantum');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.types, ['users', 'stories', 'collections', 'comments', 'chapters']);
+        assert.deepEqual(res.body.results.stories.map(s => s.title), ['The Quantum Maze']);
+        assert.equal(res.body.pagination.stories.total, 1);
+    });
+
+    it('matches case-insensitively', async () => {
+        const res = await app.client().get('/api/search?q=ALICE&types[]=users');
+        assert.deepEqual(res.body.results.users.map(u => u.username), ['alice']);
+    });
+
+    it('limits the search to the requested types', async () => {
+        const res = await app.client().get('/api/search?q=vault&types[]=collections');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.types, ['collections']);
+        assert.deepEqual(res.body.results.collections.map(c => c.title), ['Sci-Fi Vault']);
+        assert.deepEqual(res.body.results.stories, []);
+        assert.deepEqual(Object.keys(res.body.pagination), ['collections']);
+    });
+
+    it('treats LIKE wildcards in the query literally', async () => {
+        const percent = await app.client().get('/api/search?q=%25&types[]=stories');
+        assert.deepEqual(percent.body.results.stories, []);
+
+        const underscore = await app.client().get('/api/search?q=Sun_all&types[]=stories');
+        assert.deepEqual(underscore.body.results.stories, []);
+
+        const literal = await app.client().get('/api/search?q=Post-apocalyptic&types[]=stories');
+        assert.deepEqual(literal.body.results.stories.map(s => s.title), ['Sunfall']);
+    });
+
+    it('pages one category with cursors', async () => {
+        const client = app.client();
+        const first = await client.get('/api/search?q=a&types[]=stories&perPage=2&after=');
+        assert.equal(first.status, 200);
+        assert.equal(first.body.results.stories.length, 2);
+        assert.equal(first.body.pagination.stories.hasNext, true);
+
+        const next = await client.get(`/api/search?q=a&types[]=stories&perPage=2&after=${first.body.pagination.stories.nextCursor}`);
+        assert.deepEqual(next.body.results.stories.map(s => s.id), [3]);
+    });
+
+    it('rejects cursor pagination across several types', async () => {
+        const res = await app.client().get('/api/search?q=e&after=');
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Cursor pagination requires exactly one type');
+    });
+});
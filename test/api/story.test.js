@@ -0,0 +1,341 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, users } = require('../helpers/app');
+
+const QUANTUM = '/api/story/alice/The-Quantum-Maze';
+const SUNFALL = '/api/story/bob/Sunfall';
+
+describe('API stories', () => {
+    let app;
+    let alice;
+    let bob;
+
+    before(async () => {
+        app = await startApp();
+        alice = app.client();
+        bob = app.client();
+        await alice.login(users.alice);
+        await bob.login(users.bob);
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('GET /api/story', () => {
+        it('lists stories with page pagination', async () => {
+            const res = await app.client().get('/api/story?perPage=2');
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.count, 2);
+            assert.equal(res.body.pagination.mode, 'page');
+            assert.equal(res.body.pagination.total, 3);
+            assert.equal(res.body.pagination.hasNext, true);
+        });
+
+        it('pages through stories with cursors', async () => {
+            const client = app.client();
+            const first = await client.get('/api/story?perPage=2&after=');
+            assert.equal(first.status, 200);
+            assert.equal(first.body.pagination.mode, 'cursor');
+            assert.equal(first.body.stories.length, 2);
+
+            const next = await client.get(`/api/story?perPage=2&after=${first.body.pagination.nextCursor}`);
+            assert.equal(next.body.stories.length, 1);
+            assert.equal(next.body.pagination.hasNext, false);
+
+            const seen = [...first.body.stories, ...next.body.stories].map(s => s.id);
+            assert.equal(new Set(seen).size, 3);
+
+            // Same order as the numbered pages, even where updated_at ties
+            const paged = await client.get('/api/story?perPage=3');
+            assert.deepEqual(seen, paged.body.stories.map(s => s.id));
+        });
+
+        it('rejects an invalid cursor', async () => {
+            const res = await app.client().get('/api/story?after=%%%');
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Invalid pagination cursor');
+        });
+    });
+
+    describe('GET /api/main', () => {
+        it('lists stories with their metadata', async () => {
+            const res = await app.client().get('/api/main');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.success, true);
+            assert.equal(res.body.stories.length, 3);
+        });
+    });
+
+    describe('GET /api/story/:username/:vanity', () => {
+        it('returns the story with its chapters', async () => {
+            const res = await app.client().get(QUANTUM);
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.story.title, 'The Quantum Maze');
+            assert.equal(res.body.story.chapter_count, 2);
+            assert.deepEqual(res.body.chapters.map(c => c.chapter_num), [1, 2]);
+            assert.equal(res.body.userRating, null);
+        });
+
+        it('includes the signed-in reader rating', async () => {
+            const res = await bob.get(QUANTUM);
+            assert.equal(res.body.userRating, 4);
+        });
+
+        it('returns 404 for an unknown story', async () => {
+            const res = await app.client().get('/api/story/alice/No-Such-Story');
+            assert.equal(res.status, 404);
+            assert.equal(res.body.error, 'Story not found');
+        });
+    });
+
+    describe('GET /api/story/:username/:vanity/chapter/:chapternum', () => {
+        it('returns the chapter, navigation and comments', async () => {
+            const res = await app.client().get(`${QUANTUM}/chapter/1`);
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.chapter.title, 'Awakening');
+            assert.equal(res.body.navigation.prevChapter, null);
+            assert.ok(res.body.navigation.nextChapter);
+            assert.equal(res.body.comments.length, 2);
+        });
+
+        it('returns 404 for a missing chapter', async () => {
+            const res = await app.client().get(`${QUANTUM}/chapter/99`);
+            assert.equal(res.status, 404);
+            assert.equal(res.body.error, 'Chapter not found');
+        });
+
+        it('returns 400 for a non-numeric chapter', async () => {
+            const res = await app.client().get(`${QUANTUM}/chapter/abc`);
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('story lifecycle', () => {
+        it('requires authentication to create', async () => {
+            const res = await app.client().post('/api/story/create', {
+                title: 'Anonymous', synopsis: 'Should never be stored.'
+            });
+            assert.equal(res.status, 401);
+        });
+
+        it('validates new stories', async () => {
+            const res = await alice.post('/api/story/create', { title: 'Hi', synopsis: 'short' });
+
+            assert.equal(res.status, 400);
+            const messages = res.body.details.map(d => d.message);
+            assert.ok(messages.includes('Title must be at least 3 characters'));
+            assert.ok(messages.includes('Synopsis must be at least 10 characters'));
+        });
+
+        it('creates a story with a generated vanity', async () => {
+            const res = await alice.post('/api/story/create', {
+                title: 'the  lost  "city"',
+                synopsis: 'An expedition into the unknown.'
+            });
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.story.vanity, 'The-Lost-City');
+            assert.equal(res.body.url, '/story/alice/The-Lost-City');
+        });
+
+        it('rejects a duplicate title for the same author', async () => {
+            const res = await alice.post('/api/story/create', {
+                title: 'the  lost  "city"',
+                synopsis: 'An expedition into the unknown.'
+            });
+            assert.equal(res.status, 409);
+        });
+
+        it('updates the story and regenerates its vanity', async () => {
+            const res = await alice.post('/api/story/alice/The-Lost-City/edit', {
+                title: 'The Found City',
+                synopsis: 'The expedition comes home.'
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.story.vanity, 'The-Found-City');
+            assert.equal((await app.client().get('/api/story/alice/The-Found-City')).status, 200);
+        });
+
+        it('does not let another user update the story', async () => {
+            const res = await bob.post('/api/story/alice/The-Found-City/edit', {
+                title: 'Hijacked',
+                synopsis: 'This should not be saved.'
+            });
+            assert.equal(res.status, 403);
+        });
+
+        it('does not let another user delete the story', async () => {
+            const res = await bob.post('/api/story/alice/The-Found-City/delete');
+            assert.equal(res.status, 403);
+        });
+
+        it('deletes the story', async () => {
+            const res = await alice.post('/api/story/alice/The-Found-City/delete');
+            assert.equal(res.status, 200);
+            assert.equal((await app.client().get('/api/story/alice/The-Found-City')).status, 404);
+        });
+    });
+
+    describe('chapters', () => {
+        const chapter = { chapter_num: 3, title: 'Ascent', content: 'The maze folds in on itself once more.' };
+
+        it('requires authentication', async () => {
+            const res = await app.client().post(`${QUANTUM}/chapter/add`, chapter);
+            assert.equal(res.status, 401);
+        });
+
+        it('only lets the author add chapters', async () => {
+            const res = await bob.post(`${QUANTUM}/chapter/add`, chapter);
+            assert.equal(res.status, 403);
+        });
+
+        it('validates the chapter', async () => {
+            const res = await alice.post(`${QUANTUM}/chapter/add`, { title: '', content: 'short' });
+
+            assert.equal(res.status, 400);
+            const messages = res.body.details.map(d => d.message);
+            assert.ok(messages.includes('Chapter title is required'));
+            assert.ok(messages.includes('Invalid chapter number'));
+        });
+
+        it('adds a chapter', async () => {
+            const res = await alice.post(`${QUANTUM}/chapter/add`, chapter);
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.url, '/story/alice/The-Quantum-Maze/chapter/3');
+            assert.equal((await app.client().get(`${QUANTUM}/chapter/3`)).body.chapter.title, 'Ascent');
+        });
+
+        it('rejects a duplicate chapter number', async () => {
+            const res = await alice.post(`${QUANTUM}/chapter/add`, chapter);
+            assert.equal(res.status, 409);
+        });
+
+        it('updates a chapter', async () => {
+            const res = await alice.post(`${QUANTUM}/chapter/3/edit`, {
+                title: 'Ascension',
+                content: 'The maze folds in on itself one final time.'
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal((await app.client().get(`${QUANTUM}/chapter/3`)).body.chapter.title, 'Ascension');
+        });
+
+        it('returns 404 when updating a missing chapter', async () => {
+            const res = await alice.post(`${QUANTUM}/chapter/42/edit`, {
+                title: 'Nowhere',
+                content: 'This chapter does not exist.'
+            });
+            assert.equal(res.status, 404);
+        });
+
+        it('only lets the author delete chapters', async () => {
+            const res = await bob.post(`${QUANTUM}/chapter/3/delete`);
+            assert.equal(res.status, 403);
+        });
+
+        it('deletes a chapter', async () => {
+            const res = await alice.post(`${QUANTUM}/chapter/3/delete`);
+            assert.equal(res.status, 200);
+            assert.equal((await app.client().get(`${QUANTUM}/chapter/3`)).status, 404);
+        });
+
+        it('returns 404 when deleting a missing chapter', async () => {
+            const res = await alice.post(`${QUANTUM}/chapter/3/delete`);
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('ratings', () => {
+        it('requires authentication', async () => {
+            const res = await app.client().post(`${SUNFALL}/rate`, { rating: 4 });
+            assert.equal(res.status, 401);
+        });
+
+        it('does not let authors rate their own story', async () => {
+            const res = await bob.post(`${SUNFALL}/rate`, { rating: 5 });
+            assert.equal(res.status, 403);
+        });
+
+        it('validates the rating', async () => {
+            const res = await alice.post(`${SUNFALL}/rate`, { rating: 6 });
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.details, [{ field: 'rating', location: 'body', message: 'Rating must be between 1 and 5' }]);
+        });
+
+        it('returns 404 for an unknown story', async () => {
+            const res = await alice.post('/api/story/bob/Nope/rate', { rating: 3 });
+            assert.equal(res.status, 404);
+        });
+
+        it('replaces an existing rating', async () => {
+            const res = await alice.post(`${SUNFALL}/rate`, { rating: 2 });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Rating updated successfully');
+            assert.equal(res.body.rating, 2);
+
+            const story = await alice.get(SUNFALL);
+            assert.equal(story.body.userRating, 2);
+            assert.equal(Number(story.body.story.avg_rating), 2);
+            assert.equal(story.body.story.rating_count, 1);
+        });
+
+        it('adds a new rating', async () => {
+            const carol = app.client();
+            await carol.login(users.carol);
+            const rated = await carol.post(`${SUNFALL}/rate`, { rating: 4 });
+            assert.equal(rated.status, 200);
+            assert.equal(rated.body.message, 'Rating created successfully');
+
+            const story = await app.client().get(SUNFALL);
+            assert.equal(Number(story.body.story.avg_rating), 3);
+            assert.equal(story.body.story.rating_count, 2);
+        });
+
+        it('clears a rating', async () => {
+            const res = await alice.post(`${SUNFALL}/rate`, { rating: '' });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Rating cleared successfully');
+            assert.equal((await alice.get(SUNFALL)).body.userRating, null);
+        });
+
+        it('reports when there is no rating to clear', async () => {
+            const res = await alice.post(`${SUNFALL}/rate`, { rating: '' });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'No rating to clear');
+        });
+    });
+
+    describe('favorites', () => {
+        it('requires authentication', async () => {
+            const res = await app.client().post(`${SUNFALL}/favorite`);
+            assert.equal(res.status, 401);
+        });
+
+        it('returns 404 for an unknown story', async () => {
+            const res = await alice.post('/api/story/bob/Nope/favorite');
+            assert.equal(res.status, 404);
+        });
+
+        it('favorites a story idempotently', async () => {
+            // alice already favorites Sunfall in the fixtures
+            const res = await alice.post(`${SUNFALL}/favorite`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.favorite, true);
+            assert.equal((await alice.get(SUNFALL)).body.isFavorited, true);
+        });
+
+        it('removes a favorite', async () => {
+            const res = await alice.post(`${SUNFALL}/favorite`, { favorite: false });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.favorite, false);
+            assert.equal((await alice.get(SUNFALL)).body.isFavorited, false);
+        });
+    });
+});
@@ -0,0 +1,166 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The wrong-code tests would otherwise lock bob out of the later ones
+process.env.LOGIN_MAX_ATTEMPTS = '20';
+process.env.LOGIN_DELAY_BASE_MS = '0';
+
+const { startApp, users, PASSWORD } = require('../helpers/app');
+const { codeForStep, stepAt } = require('../../utils/totp');
+
+describe('Two-factor authentication', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    // Turn 2FA on for a user; returns the secret and recovery codes
+    async function enrol(user) {
+        const client = app.client();
+        await client.login(user);
+
+        const setup = await client.post('/api/auth/2fa/setup', {});
+        assert.equal(setup.status, 200);
+        assert.match(setup.body.otpauthUri, /^otpauth:\/\/totp\/.+\?secret=[A-Z2-7]+&/);
+
+        const { secret } = setup.body;
+        const enable = await client.post('/api/auth/2fa/enable', { code: codeForStep(secret, stepAt()) });
+        assert.equal(enable.status, 200);
+        return { secret, recoveryCodes: enable.body.recoveryCodes };
+    }
+
+    // Password step only; the returned client is waiting for the code
+    async function passwordStep(user) {
+        const client = app.client();
+        const res = await client.post('/api/auth/login', { email: user.email, password: PASSWORD });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.twoFactorRequired, true);
+        assert.equal(res.body.user, undefined);
+        return client;
+    }
+
+    it('only turns on with a valid code from the app', async () => {
+        const client = app.client();
+        await client.login(users.alice);
+        await client.post('/api/auth/2fa/setup', {});
+
+        const res = await client.post('/api/auth/2fa/enable', { code: '000000' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+        assert.equal((await client.get('/api/auth/2fa')).body.enabled, false);
+    });
+
+    it('asks for a code after the password and accepts each code once', async () => {
+        const { secret, recoveryCodes } = await enrol(users.bob);
+        assert.equal(recoveryCodes.length, 10);
+
+        const client = await passwordStep(users.bob);
+        assert.equal((await client.get('/api/users')).status, 401);
+
+        // The enrolment used the current step, so the next one is the first that works
+        const code = codeForStep(secret, stepAt() + 1);
+        const res = await client.post('/api/auth/login/2fa', { code });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.user.username, 'bob');
+        assert.equal((await client.get('/api/users')).status, 200);
+
+        const replay = await passwordStep(users.bob);
+        assert.equal((await replay.post('/api/auth/login/2fa', { code })).status, 401);
+    });
+
+    it('accepts each recovery code once', async () => {
+        const { recoveryCodes } = await enrol(users.carol);
+
+        const first = await passwordStep(users.carol);
+        assert.equal((await first.post('/api/auth/login/2fa', { code: recoveryCodes[0] })).status, 200);
+
+        const again = await passwordStep(users.carol);
+        assert.equal((await again.post('/api/auth/login/2fa', { code: recoveryCodes[0] })).status, 401);
+
+        // Typed without the dash, or in capitals with a space
+        const undashed = recoveryCodes[1].replace('-', '');
+        assert.equal((await again.post('/api/auth/login/2fa', { code: undashed })).status, 200);
+        const spaced = await passwordStep(users.carol);
+        const code = recoveryCodes[2].toUpperCase().replace('-', ' ');
+        assert.equal((await spaced.post('/api/auth/login/2fa', { code })).status, 200);
+
+        const status = await first.get('/api/auth/2fa');
+        assert.deepEqual(status.body, { success: true, enabled: true, recoveryCodesRemaining: 7 });
+    });
+
+    it('rejects a code that is not a string', async () => {
+        const client = await passwordStep(users.carol);
+        const res = await client.post('/api/auth/login/2fa', { code: ['3f9a0-c27d1'] });
+        assert.equal(res.status, 400);
+    });
+
+    it('needs the password step first and gives up after repeated wrong codes', async () => {
+        const noPassword = await app.client().post('/api/auth/login/2fa', { code: '123456' });
+        assert.equal(noPassword.status, 401);
+        assert.equal(noPassword.body.error, 'Sign in with your password first.');
+
+        const client = await passwordStep(users.bob);
+        let res;
+        for (let i = 0; i < 5; i++) {
+            res = await client.post('/api/auth/login/2fa', { code: 'wrong-code' });
+        }
+        assert.equal(res.body.error, 'Too many invalid codes. Sign in again.');
+        assert.equal((await client.post('/api/auth/login/2fa', { code: 'wrong-code' })).body.error, 'Sign in with your password first.');
+    });
+
+    it('turns off only with the password', async () => {
+        const client = await passwordStep(users.carol);
+        const row = await app.db.table('users').whereField('id', users.carol.id).first();
+        await client.post('/api/auth/login/2fa', { code: codeForStep(row.totp_secret, stepAt() + 1) });
+
+        const wrong = await client.post('/api/auth/2fa/disable', { password: 'not-my-password' });
+        assert.equal(wrong.status, 400);
+        assert.equal(wrong.body.details[0].message, 'Password is incorrect.');
+
+        assert.equal((await client.post('/api/auth/2fa/disable', { password: PASSWORD })).status, 200);
+        await app.client().login(users.carol);
+    });
+
+    it('sets up from the settings pages', async () => {
+        const client = app.client();
+        await client.login(users.alice);
+
+        const page = await client.get('/auth/2fa');
+        assert.equal(page.status, 200);
+        assert.match(page.text, /Set Up/);
+
+        const setup = await client.post('/auth/2fa/setup', {});
+        assert.equal(setup.status, 200);
+        assert.match(setup.text, /data-uri="otpauth:\/\/totp\//);
+
+        const wrong = await client.post('/auth/2fa/enable', { code: '000000' });
+        assert.equal(wrong.status, 400);
+        assert.match(wrong.text, /That code is not valid/);
+    });
+
+    it('adds the code step to the sign-in pages', async () => {
+        const client = app.client();
+        const login = await client.post('/auth/login', { email: users.bob.email, password: PASSWORD });
+        assert.equal(login.status, 302);
+        assert.equal(login.headers.get('location'), '/auth/login/2fa');
+
+        const form = await client.get('/auth/login/2fa');
+        assert.match(form.text, /authenticator app/);
+
+        const wrong = await client.post('/auth/login/2fa', { code: '000000' });
+        assert.equal(wrong.status, 401);
+        assert.match(wrong.text, /Invalid authentication code/);
+
+        // Forget the codes used so far so the current one is accepted
+        await app.db.table('users').whereField('id', users.bob.id).update({ totp_last_step: null });
+        const row = await app.db.table('users').whereField('id', users.bob.id).first();
+        const res = await client.post('/auth/login/2fa', { code: codeForStep(row.totp_secret, stepAt()) });
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.get('location'), '/users/bob');
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, users } = require('../helpers/app');
+
+describe('API users', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('GET /api/users', () => {
+        it('requires authentication', async () => {
+            const res = await app.client().get('/api/users');
+            assert.equal(res.status, 401);
+            assert.equal(res.body.error, 'Unauthorized');
+        });
+
+        it('returns the signed-in user with their stories and collections', async () => {
+            const client = app.client();
+            await client.login(users.alice);
+            const res = await client.get('/api/users');
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.user.username, 'alice');
+            assert.equal(res.body.user.email, users.alice.email);
+            assert.deepEqual(res.body.stories.map(s => s.title), ['The Quantum Maze']);
+            assert.equal(res.body.collections.length, 1);
+        });
+    });
+
+    describe('GET /api/users/profile/:username', () => {
+        it('returns the public profile', async () => {
+            const res = await app.client().get('/api/users/profile/bob');
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.user.username, 'bob');
+            assert.equal(res.body.user.email, undefined);
+            assert.deepEqual(res.body.meta, { storyCount: 1, collectionCount: 1 });
+        });
+
+        it('returns 404 for an unknown user', async () => {
+            const res = await app.client().get('/api/users/profile/nobody');
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('GET /api/users/:username', () => {
+        it('is an alias for the profile', async () => {
+            const res = await app.client().get('/api/users/carol');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.user.username, 'carol');
+        });
+    });
+});
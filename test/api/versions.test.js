@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, users } = require('../helpers/app');
+
+describe('API versions', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('namespaces', () => {
+        it('serves v1 under /api/v1 and as the unversioned default', async () => {
+            const versioned = await app.client().get('/api/v1/story');
+            const unversioned = await app.client().get('/api/story');
+
+            assert.equal(versioned.status, 200);
+            assert.deepEqual(versioned.body, unversioned.body);
+        });
+
+        it('carries unchanged controllers over to v2', async () => {
+            const res = await app.client().get('/api/v2/story/alice/The-Quantum-Maze');
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.story.title, 'The Quantum Maze');
+        });
+
+        it('serves the v2 users payload', async () => {
+            const res = await app.client().get('/api/v2/users/bob');
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.success, true);
+            assert.equal(res.body.user.username, 'bob');
+            assert.ok(res.body.user.created_at);
+            assert.deepEqual(res.body.meta, { story_count: 1, collection_count: 1 });
+            assert.equal(typeof res.body.collections[0].title, 'string');
+        });
+
+        it('guards v2 routes like v1', async () => {
+            const anonymous = await app.client().get('/api/v2/users');
+            assert.equal(anonymous.status, 401);
+
+            const client = app.client();
+            await client.login(users.carol);
+            const res = await client.get('/api/v2/users');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.user.email, users.carol.email);
+        });
+    });
+
+    describe('deprecation', () => {
+        it('marks deprecated v1 routes with Deprecation, Sunset and successor headers', async () => {
+            const res = await app.client().get('/api/v1/users/profile/bob');
+
+            assert.equal(res.status, 200);
+            assert.equal(res.headers.get('deprecation'), `@${Date.UTC(2026, 9, 19) / 1000}`);
+            assert.equal(res.headers.get('sunset'), new Date(Date.UTC(2027, 3, 19)).toUTCString());
+            assert.equal(res.headers.get('link'), '</api/v2/users/bob>; rel="successor-version"');
+        });
+
+        it('marks the unversioned alias while it points at v1', async () => {
+            const res = await app.client().get('/api/users/bob');
+            assert.ok(res.headers.get('deprecation'));
+        });
+
+        it('leaves current routes unmarked', async () => {
+            const v2 = await app.client().get('/api/v2/users/bob');
+            const story = await app.client().get('/api/story');
+
+            assert.equal(v2.headers.get('deprecation'), null);
+            assert.equal(story.headers.get('deprecation'), null);
+        });
+    });
+
+    describe('docs', () => {
+        it('publishes a document per version', async () => {
+            const v2 = (await app.client().get('/api/v2/openapi.json')).body;
+
+            assert.equal(v2.info.version, 'v2');
+            assert.ok(v2.paths['/api/v2/users/{username}']);
+            assert.equal(v2.paths['/api/v2/users/profile/{username}'], undefined);
+            assert.ok(v2.paths['/api/v2/story']);
+        });
+
+        it('flags deprecated operations', async () => {
+            const spec = (await app.client().get('/api/openapi.json')).body;
+            const profile = spec.paths['/api/users/profile/{username}'].get;
+
+            assert.equal(profile.deprecated, true);
+            assert.match(profile.description, /\/api\/v2\/users\/\{username\}/);
+        });
+
+        it('returns 404 for an unknown version', async () => {
+            const res = await app.client().get('/api/v9/openapi.json');
+            assert.equal(res.status, 404);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+// Boots the Express app against a fresh in-memory database seeded from
+// insert_test_data.sql. Each test file runs in its own process, so each
+// gets its own database.
+
+process.env.DB_DRIVER = 'memory';
+process.env.LOG_SILENT = process.env.LOG_SILENT || 'true';
+process.env.MAIL_TRANSPORT = 'memory';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const PASSWORD = 'password123';
+
+// Seeded accounts (insert_test_data.sql); all get PASSWORD
+const users = {
+    alice: { id: 1, username: 'alice', email: 'alice@example.com' },
+    bob: { id: 2, username: 'bob', email: 'bob@example.com' },
+    carol: { id: 3, username: 'carol', email: 'carol@example.com' }
+};
+
+/**
+ * Minimal HTTP client that keeps the session cookie between requests. It
+ * asks for JSON from /api/* and for HTML elsewhere, like a browser would;
+ * pass `headers` to override.
+ */
+function createClient(baseUrl) {
+    let cookie = null;
+
+    async function request(method, url, body, extraHeaders = {}) {
+        const headers = { Accept: url.startsWith('/api') ? 'application/json' : 'text/html', ...extraHeaders };
+        if (cookie) headers.Cookie = cookie;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        const res = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+            redirect: 'manual'
+        });
+
+        const setCookie = res.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+
+        const text = await res.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            // HTML or empty body
+        }
+        return { status: res.status, headers: res.headers, body: json, text };
+    }
+
+    return {
+        get: (url, headers) => request('GET', url, undefined, headers),
+        post: (url, body = {}, headers) => request('POST', url, body, headers),
+        put: (url, body = {}, headers) => request('PUT', url, body, headers),
+        delete: (url, headers) => request('DELETE', url, undefined, headers),
+        async login(user, password = PASSWORD) {
+            const res = await request('POST', '/api/auth/login', { email: user.email, password });
+            if (res.status !== 200) {
+                throw new Error(`Login as ${user.email} failed: ${res.status} ${res.text}`);
+            }
+            return res;
+        }
+    };
+}
+
+async function startApp() {
+    const { exec, destroy } = require('../../config/db');
+    const migrator = require('../../utils/migrator');
+    const db = require('../../utils/queryBuilder');
+    const authService = require('../../services/authService');
+    const app = require('../../index');
+
+    await migrator.migrate();
+    await exec(fs.readFileSync(path.join(ROOT, 'insert_test_data.sql'), 'utf8'));
+
+    // Low cost factor keeps the suite fast; bcrypt.compare reads it from the
+    // hash. The seed accounts count as verified, like existing accounts do,
+    // and those with stories are authors.
+    const hash = await authService.hashPassword(PASSWORD, 4);
+    await db.table('users').whereNotNull('id').update({ password_hash: hash, email_verified_at: new Date() });
+    await db.table('users').whereRaw('id IN (SELECT user_id FROM stories)').update({ role: 'author' });
+
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    // Requests go through BASE_PATH, so tests use app-relative paths either way
+    const { basePath } = require('../../config/appSettings');
+    const baseUrl = `http://127.0.0.1:${server.address().port}${basePath}`;
+
+    return {
+        baseUrl,
+        db,
+        client: () => createClient(baseUrl),
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await destroy();
+        }
+    };
+}
+
+module.exports = { startApp, users, PASSWORD };
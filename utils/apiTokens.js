@@ -0,0 +1,55 @@
+// Personal access tokens let scripts and apps call /api/* without the
+// session cookie:
+//
+//   Authorization: Bearer pat_...
+//
+// bearerAuth runs ahead of the session middleware. A valid token gives the
+// request the same identity a login would (req.session.userId, username,
+// role, emailVerified), and index.js skips the cookie session for it. What the
+// token may do is limited by its scopes, which the route guards check
+// (see requireScope in utils/routeGuards.js).
+
+const apiTokenService = require('../services/apiTokenService');
+const { UnauthorizedError, AccountSuspendedError } = require('./errors');
+const { isApiRequest } = require('./respond');
+
+// Every token can read; the write scopes are opt-in
+const SCOPES = {
+    read: 'Read everything the account can see',
+    'write:stories': 'Create, edit and delete stories and chapters',
+    'write:comments': 'Post, edit and delete comments'
+};
+
+// Record use at most this often, rather than writing on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+async function bearerAuth(req, res, next) {
+    const header = req.get('Authorization');
+    if (!header || !isApiRequest(req)) {
+        return next();
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    const apiToken = match && await apiTokenService.findByToken(match[1]);
+    if (!apiToken) {
+        throw new UnauthorizedError('Invalid or revoked API token');
+    }
+    if (apiToken.suspended_at) {
+        throw new AccountSuspendedError();
+    }
+
+    if (!apiToken.last_used_at || Date.now() - new Date(apiToken.last_used_at).getTime() > TOUCH_INTERVAL_MS) {
+        await apiTokenService.touch(apiToken.id);
+    }
+
+    req.apiToken = apiToken;
+    req.session = {
+        userId: apiToken.user_id,
+        username: apiToken.username,
+        role: apiToken.role,
+        emailVerified: Boolean(apiToken.email_verified_at)
+    };
+    next();
+}
+
+module.exports = { SCOPES, bearerAuth };
@@ -0,0 +1,61 @@
+// Deprecation notices for routes marked `deprecated` in a controller's
+// routes map:
+//
+//   'GET /': {
+//       handler: 'index',
+//       deprecated: { since: '2026-10-19', sunset: '2027-04-19', successor: '/api/v2/users' }
+//   }
+//
+// Responses carry Deprecation (RFC 9745), Sunset (RFC 8594) and a
+// successor-version Link, and every call is logged so we can see who still
+// depends on the route before it is removed. `deprecated: true` marks a
+// route without dates.
+
+const logger = require('../logger');
+const { url } = require('./urls');
+
+const loggingPrefix = '[API-DEPRECATED]';
+
+function parseDate(value, field, route) {
+    const date = new Date(value);
+    if (isNaN(date)) {
+        throw new Error(`Route "${route}" has an invalid deprecated.${field} date: ${value}`);
+    }
+    return date;
+}
+
+// Fill :params in the successor path from the current request
+const fillParams = (successor, params) => successor.replace(/:(\w+)/g, (match, name) =>
+    (params[name] !== undefined ? encodeURIComponent(params[name]) : match));
+
+/**
+ * Middleware that marks the response as deprecated and logs the call.
+ * Dates are checked when the routes load.
+ */
+function deprecationNotice(deprecated, route) {
+    const { since, sunset, successor } = deprecated === true ? {} : deprecated;
+    const sinceDate = since ? parseDate(since, 'since', route) : null;
+    const sunsetDate = sunset ? parseDate(sunset, 'sunset', route) : null;
+
+    return (req, res, next) => {
+        res.set('Deprecation', sinceDate ? `@${Math.floor(sinceDate.getTime() / 1000)}` : 'true');
+        if (sunsetDate) {
+            res.set('Sunset', sunsetDate.toUTCString());
+        }
+        if (successor) {
+            res.append('Link', `<${url(fillParams(successor, req.params))}>; rel="successor-version"`);
+        }
+
+        logger.warn(`${loggingPrefix} ${req.method} ${req.originalUrl}`, {
+            route,
+            sunset: sunsetDate ? sunsetDate.toISOString().slice(0, 10) : null,
+            pastSunset: sunsetDate ? sunsetDate <= new Date() : false,
+            userId: req.session?.userId || null,
+            userAgent: req.get('User-Agent') || null
+        });
+
+        next();
+    };
+}
+
+module.exports = { deprecationNotice };
@@ -0,0 +1,46 @@
+// The few places where QueryBuilder's SQL differs between database drivers
+
+const dialects = {
+    mysql: {
+        beginTransaction: 'START TRANSACTION',
+
+        schemaQuery: 'SELECT TABLE_NAME AS table_name, COLUMN_NAME AS column_name FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE()',
+
+        // MySQL picks the conflicting unique key itself, so conflictKeys are not named
+        upsertClause(conflictColumns, assignments) {
+            return `ON DUPLICATE KEY UPDATE ${assignments.length ? assignments.join(', ') : `${conflictColumns[0]} = ${conflictColumns[0]}`}`;
+        },
+
+        insertedValue: (column) => `VALUES(${column})`,
+
+        // Backslash is already MySQL's LIKE escape character
+        likeEscape: ''
+    },
+
+    sqlite: {
+        beginTransaction: 'BEGIN IMMEDIATE',
+
+        schemaQuery: `SELECT m.name AS table_name, p.name AS column_name
+            FROM sqlite_master AS m JOIN pragma_table_info(m.name) AS p
+            WHERE m.type IN ('table', 'view')`,
+
+        upsertClause(conflictColumns, assignments) {
+            const target = `ON CONFLICT (${conflictColumns.join(', ')})`;
+            return assignments.length ? `${target} DO UPDATE SET ${assignments.join(', ')}` : `${target} DO NOTHING`;
+        },
+
+        insertedValue: (column) => `excluded.${column}`,
+
+        likeEscape: " ESCAPE '\\'"
+    }
+};
+
+function getDialect(name) {
+    const dialect = dialects[name];
+    if (!dialect) {
+        throw new Error(`Unsupported SQL dialect: ${name}`);
+    }
+    return dialect;
+}
+
+module.exports = { getDialect };
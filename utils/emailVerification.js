@@ -0,0 +1,44 @@
+// What accounts may not do until their email address is verified, set with
+// UNVERIFIED_RESTRICTIONS as a comma-separated list of actions ("none" lifts
+// them all). Handlers check before acting:
+//
+//   await assertVerified(req, 'publish');
+//
+//   publish - create stories and add chapters
+//   comment - post and edit comments
+
+const emailVerificationService = require('../services/emailVerificationService');
+const { EmailNotVerifiedError } = require('./errors');
+
+const messages = {
+    publish: 'Verify your email address before publishing stories',
+    comment: 'Verify your email address before commenting'
+};
+
+function parseRestrictions(value = 'publish,comment') {
+    const actions = value.split(',').map(a => a.trim().toLowerCase()).filter(a => a && a !== 'none');
+    const unknown = actions.filter(a => !messages[a]);
+    if (unknown.length) {
+        throw new Error(`Unknown UNVERIFIED_RESTRICTIONS action "${unknown[0]}"; expected one of: ${Object.keys(messages).join(', ')}, none`);
+    }
+    return new Set(actions);
+}
+
+const restrictions = parseRestrictions(process.env.UNVERIFIED_RESTRICTIONS);
+
+/**
+ * Throw EmailNotVerifiedError if the signed-in user's address is unverified
+ * and `action` is restricted. A verified result is remembered in the session.
+ */
+async function assertVerified(req, action) {
+    if (!restrictions.has(action) || req.session.emailVerified) {
+        return;
+    }
+    if (await emailVerificationService.isVerified(req.session.userId)) {
+        req.session.emailVerified = true;
+        return;
+    }
+    throw new EmailNotVerifiedError(messages[action]);
+}
+
+module.exports = { assertVerified, restrictions };
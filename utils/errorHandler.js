@@ -0,0 +1,90 @@
+// Central error handling: every route handler is wrapped by asyncHandler
+// (routeLoader does this), so thrown errors and rejected promises end up in
+// errorHandler, which answers /api/* and requests that prefer JSON (see
+// utils/respond.js) with the JSON error envelope
+//
+//   { "success": false, "error": "Story not found", "code": "NOT_FOUND",
+//     "details": [{ "field": "title", "location": "body", "message": "..." }] }
+//
+// and renders views/error.ejs for everything else. `details` is only present
+// for validation errors.
+
+const logger = require('../logger');
+const { AppError, BadRequestError, NotFoundError, UnauthorizedError } = require('./errors');
+const { route } = require('./urls');
+const { wantsJson, isApiRequest } = require('./respond');
+
+const loggingPrefix = '[ERROR]';
+
+/**
+ * Forward a rejected promise or a thrown error from a handler to next().
+ */
+function asyncHandler(fn) {
+    return function (req, res, next) {
+        try {
+            const result = fn(req, res, next);
+            if (result && typeof result.catch === 'function') {
+                result.catch(next);
+            }
+        } catch (err) {
+            next(err);
+        }
+    };
+}
+
+// Body parser and similar errors carry a client-safe status of their own
+function toAppError(err) {
+    if (err instanceof AppError) return err;
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return new BadRequestError(err.message);
+    }
+    return null;
+}
+
+// Last route: nothing matched
+function notFoundHandler(req, res, next) {
+    next(new NotFoundError(isApiRequest(req) ? 'Endpoint not found' : 'Page not found'));
+}
+
+// Express only treats four-argument middleware as an error handler
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const appError = toAppError(err);
+    const status = appError ? appError.status : 500;
+    const message = appError ? appError.message : 'Internal server error';
+    const code = appError ? appError.code : 'INTERNAL_ERROR';
+
+    if (appError) {
+        logger.warn(`${loggingPrefix} ${status} ${req.method} ${req.originalUrl}`, {
+            code,
+            message,
+            userId: req.session?.userId || null
+        });
+    } else {
+        logger.error(`${loggingPrefix} ${req.method} ${req.originalUrl}`, { error: err.message, stack: err.stack });
+    }
+
+    if (appError?.retryAfter) {
+        res.set('Retry-After', String(appError.retryAfter));
+    }
+
+    if (wantsJson(req)) {
+        return res.status(status).json({
+            success: false,
+            error: message,
+            code,
+            ...(appError?.details && { details: appError.details }),
+            ...(!appError && process.env.NODE_ENV === 'development' && { debug: err.message })
+        });
+    }
+
+    if (appError instanceof UnauthorizedError) {
+        return res.redirect(route('auth.loginForm'));
+    }
+    return res.status(status).render('error', { message, status });
+}
+
+module.exports = { asyncHandler, notFoundHandler, errorHandler };
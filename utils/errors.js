@@ -0,0 +1,107 @@
+// Application errors. Throw these from controllers, guards and services;
+// the error middleware (utils/errorHandler.js) turns them into the JSON
+// envelope for /api/* or the error page for everything else.
+
+const { validationResult } = require('express-validator');
+
+class AppError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(message = 'Bad request', details = null) {
+        super(message, { status: 400, code: 'BAD_REQUEST', details });
+    }
+}
+
+class ValidationError extends AppError {
+    /**
+     * @param {Array<{field: string, message: string, location?: string}>} details
+     */
+    constructor(details = [], message = 'Validation failed') {
+        super(message, { status: 400, code: 'VALIDATION_FAILED', details });
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message = 'Authentication required') {
+        super(message, { status: 401, code: 'UNAUTHORIZED' });
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = 'Forbidden') {
+        super(message, { status: 403, code: 'FORBIDDEN' });
+    }
+}
+
+// Signed in, but the action is held back until the email address is verified
+class EmailNotVerifiedError extends AppError {
+    constructor(message = 'Verify your email address first') {
+        super(message, { status: 403, code: 'EMAIL_NOT_VERIFIED' });
+    }
+}
+
+// The account has been suspended by an admin (utils/permissions.js)
+class AccountSuspendedError extends AppError {
+    constructor(message = 'This account has been suspended') {
+        super(message, { status: 403, code: 'ACCOUNT_SUSPENDED' });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = 'Not found') {
+        super(message, { status: 404, code: 'NOT_FOUND' });
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message = 'Conflict') {
+        super(message, { status: 409, code: 'CONFLICT' });
+    }
+}
+
+class TooManyRequestsError extends AppError {
+    /**
+     * @param {number} [retryAfter] seconds until the client may try again (Retry-After)
+     */
+    constructor(message = 'Too many requests, please try again later', retryAfter = null) {
+        super(message, { status: 429, code: 'TOO_MANY_REQUESTS' });
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Throw a ValidationError if express-validator recorded any failures
+ * for this request.
+ */
+function assertValid(req) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new ValidationError(errors.array().map(e => ({
+            field: e.path,
+            location: e.location,
+            message: e.msg
+        })));
+    }
+}
+
+module.exports = {
+    AppError,
+    BadRequestError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    EmailNotVerifiedError,
+    AccountSuspendedError,
+    NotFoundError,
+    ConflictError,
+    TooManyRequestsError,
+    assertValid
+};
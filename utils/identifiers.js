@@ -0,0 +1,142 @@
+// SQL identifier validation/quoting and the raw() escape hatch used by QueryBuilder
+
+const IDENT = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ALIASED = /^(.+?)\s+as\s+([A-Za-z_][A-Za-z0-9_]*)$/i;
+const JOIN_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>='];
+
+/**
+ * A trusted SQL fragment that QueryBuilder inserts verbatim.
+ * Only ever build these from constants, never from request data.
+ */
+class Raw {
+    constructor(sql, params = []) {
+        if (typeof sql !== 'string' || !sql.trim()) {
+            throw new Error('raw() requires a SQL string');
+        }
+        this.sql = sql;
+        this.params = params;
+    }
+
+    toString() {
+        return this.sql;
+    }
+}
+
+const raw = (sql, params = []) => new Raw(sql, params);
+const isRaw = (value) => value instanceof Raw;
+
+const invalid = (name) => new Error(`Invalid SQL identifier: ${JSON.stringify(name)}`);
+
+// Split "table.column" (or "column", "table.*", "*") into validated parts
+function parseColumn(name) {
+    if (typeof name !== 'string') throw invalid(name);
+    const str = name.trim();
+    if (str === '*') return { qualifier: null, column: '*' };
+
+    const parts = str.split('.');
+    if (parts.length > 2) throw invalid(name);
+
+    const column = parts.pop();
+    const qualifier = parts.length ? parts[0] : null;
+    if (qualifier !== null && !IDENT.test(qualifier)) throw invalid(name);
+    if (column !== '*' && !IDENT.test(column)) throw invalid(name);
+    if (column === '*' && qualifier === null) throw invalid(name);
+
+    return { qualifier, column };
+}
+
+const quote = (ident) => `\`${ident}\``;
+
+const quoteParsed = ({ qualifier, column }) =>
+    [qualifier && quote(qualifier), column === '*' ? '*' : quote(column)].filter(Boolean).join('.');
+
+/**
+ * Quote a column reference, optionally aliased ("s.vanity as story_vanity").
+ * Returns the SQL plus what was referenced so strict mode can check it.
+ */
+function quoteColumn(name) {
+    const aliased = typeof name === 'string' && name.trim().match(ALIASED);
+    const ref = parseColumn(aliased ? aliased[1] : name);
+    const alias = aliased ? aliased[2] : null;
+
+    return {
+        sql: alias ? `${quoteParsed(ref)} AS ${quote(alias)}` : quoteParsed(ref),
+        ref,
+        alias
+    };
+}
+
+// "stories" or "stories as s"
+function parseTable(name) {
+    if (typeof name !== 'string') throw invalid(name);
+    const aliased = name.trim().match(ALIASED);
+    const table = aliased ? aliased[1].trim() : name.trim();
+    const alias = aliased ? aliased[2] : null;
+    if (!IDENT.test(table)) throw invalid(name);
+
+    return {
+        name: table,
+        alias,
+        sql: alias ? `${quote(table)} AS ${quote(alias)}` : quote(table)
+    };
+}
+
+// "a.id = b.a_id" style conditions; anything more complex must be raw()
+function parseJoinCondition(left, op, right) {
+    if (op === undefined) {
+        const match = String(left).match(/^\s*([\w.]+)\s*(<>|!=|<=|>=|=|<|>)\s*([\w.]+)\s*$/);
+        if (!match) {
+            throw new Error(`Unsupported join condition ${JSON.stringify(left)}; use raw() for complex joins`);
+        }
+        [, left, op, right] = match;
+    }
+    if (!JOIN_OPERATORS.includes(op)) {
+        throw new Error(`Unsupported join operator: ${op}`);
+    }
+
+    const a = parseColumn(left);
+    const b = parseColumn(right);
+    return { sql: `${quoteParsed(a)} ${op} ${quoteParsed(b)}`, refs: [a, b] };
+}
+
+// ---- Schema introspection (strict mode) ----
+let schemaPromise = null;
+
+/**
+ * Map of table/view name -> Set of column names for the current database,
+ * loaded once and cached. `execute` is any (sql, params) => Promise<rows>;
+ * `sql` is the dialect's query returning table_name/column_name rows.
+ */
+function loadSchema(execute, sql) {
+    if (!schemaPromise) {
+        schemaPromise = execute(sql, []).then(rows => {
+            const schema = new Map();
+            rows.forEach(({ table_name, column_name }) => {
+                if (!schema.has(table_name)) schema.set(table_name, new Set());
+                schema.get(table_name).add(column_name);
+            });
+            return schema;
+        }).catch(err => {
+            schemaPromise = null;
+            throw err;
+        });
+    }
+    return schemaPromise;
+}
+
+// Forget the cached schema, e.g. after running migrations
+const clearSchemaCache = () => {
+    schemaPromise = null;
+};
+
+module.exports = {
+    Raw,
+    raw,
+    isRaw,
+    quoteColumn,
+    parseColumn,
+    parseTable,
+    parseJoinCondition,
+    loadSchema,
+    clearSchemaCache
+};
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { getConnection, dialect } = require('../config/db');
+const logger = require('../logger');
+const { clearSchemaCache } = require('./identifiers');
+
+const logPrefix = '[MIGRATE]';
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const TABLE = 'schema_migrations';
+const LOCK_NAME = 'continuum_schema_migrations';
+
+// Migration files are named NNN_description.js and run in name order.
+// up(db)/down(db) receive a connection with query() and `dialect` ('mysql' or 'sqlite').
+function listMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(f => /^\d+_[\w-]+\.js$/.test(f))
+        .sort()
+        .map(file => ({ name: path.basename(file, '.js'), file: path.join(MIGRATIONS_DIR, file) }));
+}
+
+function loadMigration(migration) {
+    const mod = require(migration.file);
+    if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+        throw new Error(`Migration ${migration.name} must export up() and down()`);
+    }
+    return mod;
+}
+
+async function ensureTable(conn) {
+    await conn.query(`
+        CREATE TABLE IF NOT EXISTS ${TABLE} (
+          name       VARCHAR(255) NOT NULL PRIMARY KEY,
+          batch      INT NOT NULL,
+          applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )${dialect === 'mysql' ? ' ENGINE=InnoDB' : ''}
+    `);
+}
+
+async function appliedMigrations(conn) {
+    return conn.query(`SELECT name, batch, applied_at FROM ${TABLE} ORDER BY name ASC`);
+}
+
+/**
+ * Run fn(conn) on one dedicated connection holding a named lock, so two
+ * deploys can never apply the same migrations at once. SQLite has a single
+ * connection, so holding it is already exclusive.
+ */
+async function withLock(fn) {
+    const conn = await getConnection();
+    const locking = dialect === 'mysql';
+    try {
+        if (locking) {
+            const [lock] = await conn.query('SELECT GET_LOCK(?, 10) AS acquired', [LOCK_NAME]);
+            if (!lock || Number(lock.acquired) !== 1) {
+                throw new Error('Another migration run is in progress');
+            }
+        }
+        try {
+            await ensureTable(conn);
+            return await fn(conn);
+        } finally {
+            clearSchemaCache();
+            if (locking) await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+        }
+    } finally {
+        conn.release();
+    }
+}
+
+const migrator = {
+    // Apply every pending migration as one batch; returns the names applied
+    async migrate() {
+        return withLock(async conn => {
+            const applied = new Set((await appliedMigrations(conn)).map(m => m.name));
+            const pending = listMigrations().filter(m => !applied.has(m.name));
+
+            if (!pending.length) {
+                logger.info(`${logPrefix} Nothing to migrate`);
+                return [];
+            }
+
+            const [{ batch }] = await conn.query(`SELECT COALESCE(MAX(batch), 0) + 1 AS batch FROM ${TABLE}`);
+            const done = [];
+
+            for (const migration of pending) {
+                logger.info(`${logPrefix} Applying ${migration.name}`);
+                await loadMigration(migration).up(conn);
+                await conn.query(`INSERT INTO ${TABLE} (name, batch) VALUES (?, ?)`, [migration.name, batch]);
+                done.push(migration.name);
+            }
+
+            logger.info(`${logPrefix} Applied ${done.length} migration(s) in batch ${batch}`);
+            return done;
+        });
+    },
+
+    // Revert the most recent batch, newest migration first; returns the names reverted
+    async rollback() {
+        return withLock(async conn => {
+            const [{ batch }] = await conn.query(`SELECT MAX(batch) AS batch FROM ${TABLE}`);
+            if (!batch) {
+                logger.info(`${logPrefix} Nothing to roll back`);
+                return [];
+            }
+
+            const files = new Map(listMigrations().map(m => [m.name, m]));
+            const rows = await conn.query(`SELECT name FROM ${TABLE} WHERE batch = ? ORDER BY name DESC`, [batch]);
+            const done = [];
+
+            for (const { name } of rows) {
+                const migration = files.get(name);
+                if (!migration) {
+                    throw new Error(`Cannot roll back ${name}: migration file is missing`);
+                }
+                logger.info(`${logPrefix} Reverting ${name}`);
+                await loadMigration(migration).down(conn);
+                await conn.query(`DELETE FROM ${TABLE} WHERE name = ?`, [name]);
+                done.push(name);
+            }
+
+            logger.info(`${logPrefix} Rolled back ${done.length} migration(s) from batch ${batch}`);
+            return done;
+        });
+    },
+
+    // Every known migration with its state: applied, pending, or missing (recorded but no file)
+    async status() {
+        return withLock(async conn => {
+            const applied = new Map((await appliedMigrations(conn)).map(m => [m.name, m]));
+            const files = listMigrations();
+
+            const rows = files.map(m => {
+                const record = applied.get(m.name);
+                return {
+                    name: m.name,
+                    status: record ? 'applied' : 'pending',
+                    batch: record?.batch ?? null,
+                    applied_at: record?.applied_at ?? null
+                };
+            });
+
+            applied.forEach((record, name) => {
+                if (!files.some(m => m.name === name)) {
+                    rows.push({ name, status: 'missing', batch: record.batch, applied_at: record.applied_at });
+                }
+            });
+
+            return rows;
+        });
+    }
+};
+
+module.exports = migrator;
@@ -0,0 +1,394 @@
+// Builds an OpenAPI 3 document for the api-* controllers from what
+// routeLoader already knows: each route's method and path, its guards,
+// its express-validator chains and the optional `docs` annotation in the
+// controller's routes map:
+//
+//   'GET /': {
+//       handler: 'index',
+//       docs: {
+//           summary: 'List stories',
+//           query: paginationParams,
+//           responses: { 200: { description: 'A page of stories', body: { stories: ['Story'], pagination: 'Pagination' } } }
+//       }
+//   }
+//
+// Body and query shapes are written in a short form: a type name
+// ('string', 'integer', ...), a schema name ('Story'), an array holding one
+// shape, or an object of field shapes.
+
+const { basePath, baseUrl } = require('../config/appSettings');
+const { description } = require('../package.json');
+const { ROLES } = require('./permissions');
+
+const PRIMITIVES = ['string', 'integer', 'number', 'boolean', 'object'];
+
+const timestamp = { type: 'string', format: 'date-time' };
+
+const schemas = {
+    // The envelope every API error is sent in (utils/errorHandler.js)
+    Error: {
+        type: 'object',
+        required: ['success', 'error', 'code'],
+        properties: {
+            success: { type: 'boolean', example: false },
+            error: { type: 'string', description: 'Human-readable message' },
+            code: {
+                type: 'string',
+                enum: ['BAD_REQUEST', 'VALIDATION_FAILED', 'UNAUTHORIZED', 'FORBIDDEN', 'EMAIL_NOT_VERIFIED', 'ACCOUNT_SUSPENDED', 'NOT_FOUND', 'CONFLICT', 'TOO_MANY_REQUESTS', 'INTERNAL_ERROR']
+            }
+        }
+    },
+    ValidationError: {
+        type: 'object',
+        required: ['success', 'error', 'code', 'details'],
+        properties: {
+            success: { type: 'boolean', example: false },
+            error: { type: 'string', example: 'Validation failed' },
+            code: { type: 'string', example: 'VALIDATION_FAILED' },
+            details: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        field: { type: 'string' },
+                        location: { type: 'string', enum: ['body', 'query', 'params'] },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    Pagination: {
+        type: 'object',
+        description: 'Page mode fills page/totalPages; cursor mode fills the cursors',
+        properties: {
+            mode: { type: 'string', enum: ['page', 'cursor'] },
+            page: { type: 'integer' },
+            perPage: { type: 'integer' },
+            total: { type: 'integer' },
+            totalPages: { type: 'integer' },
+            hasPrev: { type: 'boolean' },
+            hasNext: { type: 'boolean' },
+            prevCursor: { type: 'string', nullable: true },
+            nextCursor: { type: 'string', nullable: true }
+        }
+    },
+    User: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            username: { type: 'string' },
+            role: { type: 'string', enum: ROLES },
+            email_verified: { type: 'boolean' }
+        }
+    },
+    ApiToken: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            token_prefix: { type: 'string', description: 'The start of the token, to tell tokens apart' },
+            scopes: { type: 'array', items: { type: 'string', enum: ['read', 'write:stories', 'write:comments'] } },
+            last_used_at: { type: 'string', nullable: true },
+            created_at: { type: 'string' }
+        }
+    },
+    Story: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            title: { type: 'string' },
+            vanity: { type: 'string' },
+            synopsis: { type: 'string', nullable: true },
+            user_id: { type: 'integer' },
+            username: { type: 'string' },
+            chapter_count: { type: 'integer' },
+            avg_rating: { type: 'number', nullable: true },
+            rating_count: { type: 'integer' },
+            created_at: timestamp,
+            updated_at: timestamp,
+            unpublished_at: { ...timestamp, nullable: true }
+        }
+    },
+    Chapter: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            story_id: { type: 'integer' },
+            chapter_num: { type: 'integer' },
+            title: { type: 'string', nullable: true },
+            content: { type: 'string' },
+            created_at: timestamp
+        }
+    },
+    Comment: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            user_id: { type: 'integer' },
+            chapter_id: { type: 'integer' },
+            parent_id: { type: 'integer', nullable: true },
+            content: { type: 'string' },
+            username: { type: 'string' },
+            is_deleted: { type: 'integer', enum: [0, 1] },
+            created_at: timestamp
+        }
+    },
+    Collection: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            title: { type: 'string' },
+            description: { type: 'string', nullable: true },
+            user_id: { type: 'integer' },
+            username: { type: 'string' },
+            story_count: { type: 'integer' },
+            avg_rating: { type: 'number', nullable: true },
+            rating_count: { type: 'integer' },
+            stories: { type: 'array', items: { $ref: '#/components/schemas/Story' } },
+            created_at: timestamp,
+            updated_at: timestamp
+        }
+    }
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Expand the short shape notation into a JSON schema.
+ */
+function toSchema(shape) {
+    if (Array.isArray(shape)) {
+        return { type: 'array', items: toSchema(shape[0]) };
+    }
+    if (shape && typeof shape === 'object') {
+        // Already a JSON schema
+        if (shape.type || shape.$ref) return shape;
+        return {
+            type: 'object',
+            properties: Object.fromEntries(Object.entries(shape).map(([key, value]) => [key, toSchema(value)]))
+        };
+    }
+    if (PRIMITIVES.includes(shape)) {
+        return { type: shape };
+    }
+    if (schemas[shape]) {
+        return ref(shape);
+    }
+    throw new Error(`Unknown OpenAPI shape: ${shape}`);
+}
+
+// Schema keywords implied by express-validator's built-in validators
+const validatorKeywords = {
+    isLength: ([opts = {}]) => ({ type: 'string', minLength: opts.min, maxLength: opts.max }),
+    isEmail: () => ({ type: 'string', format: 'email' }),
+    isURL: () => ({ type: 'string', format: 'uri' }),
+    isISO8601: () => ({ type: 'string', format: 'date-time' }),
+    isInt: ([opts = {}]) => ({ type: 'integer', minimum: opts.min, maximum: opts.max }),
+    isFloat: ([opts = {}]) => ({ type: 'number', minimum: opts.min, maximum: opts.max }),
+    isBoolean: () => ({ type: 'boolean' }),
+    // notEmpty() is not().isEmpty()
+    isEmpty: (options, negated) => (negated ? { minLength: 1 } : { maxLength: 0 }),
+    isIn: ([values]) => ({ enum: values })
+};
+
+const dropUndefined = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+
+/**
+ * Describe the fields checked by a list of validation chains, grouped by
+ * request location.
+ */
+function describeValidators(chains) {
+    const locations = {};
+
+    chains.forEach(chain => {
+        const context = chain.builder.build();
+        let schema = {};
+        const messages = [];
+
+        context.stack.forEach(item => {
+            if (item.message && !messages.includes(item.message)) {
+                messages.push(item.message);
+            }
+            if (!item.validator) return;
+
+            const keywords = validatorKeywords[item.validator.name];
+            if (keywords) {
+                schema = { ...schema, ...dropUndefined(keywords(item.options || [], item.negated)) };
+            } else if (/Array\.isArray\(value\)/.test(item.validator.toString())) {
+                // express-validator implements isArray() as an anonymous custom validator
+                schema = { ...schema, type: 'array' };
+            }
+        });
+
+        if (!schema.type && !schema.enum) schema.type = 'string';
+        if (messages.length) schema.description = messages.join(' ');
+
+        context.locations.forEach(location => {
+            const fields = locations[location] || (locations[location] = {});
+            context.fields.forEach(field => {
+                fields[field] = { schema, required: context.optional === false };
+            });
+        });
+    });
+
+    return locations;
+}
+
+// Path parameters named like ids or numbers are integers
+const pathParamSchema = (name) => ({ type: /(Id|num)$/i.test(name) ? 'integer' : 'string' });
+
+function buildOperation(route) {
+    const docs = route.docs || {};
+    const validated = describeValidators(route.validators);
+    const parameters = [];
+
+    const openApiPath = route.path.replace(/:(\w+)/g, (match, name) => {
+        parameters.push({ name, in: 'path', required: true, schema: pathParamSchema(name) });
+        return `{${name}}`;
+    });
+
+    Object.entries(docs.query || {}).forEach(([name, shape]) => {
+        parameters.push({ name, in: 'query', required: false, schema: toSchema(shape) });
+    });
+    Object.entries(validated.query || {}).forEach(([name, field]) => {
+        parameters.push({ name, in: 'query', required: field.required, schema: field.schema });
+    });
+
+    const operation = {
+        tags: [route.controller.replace(/^api-/, '')],
+        summary: docs.summary,
+        description: docs.description,
+        operationId: route.action ? `${route.controller.replace(/^api-/, '')}.${route.action}` : undefined
+    };
+    if (parameters.length) operation.parameters = parameters;
+
+    const bodyFields = validated.body || {};
+    if (Object.keys(bodyFields).length || docs.body) {
+        const properties = {};
+        const required = [];
+        Object.entries(bodyFields).forEach(([name, field]) => {
+            properties[name] = field.schema;
+            if (field.required) required.push(name);
+        });
+        Object.entries(docs.body || {}).forEach(([name, shape]) => {
+            properties[name] = { ...properties[name], ...toSchema(shape) };
+        });
+
+        operation.requestBody = {
+            required: required.length > 0,
+            content: {
+                'application/json': {
+                    schema: dropUndefined({ type: 'object', properties, required: required.length ? required : undefined })
+                }
+            }
+        };
+    }
+
+    const responses = {};
+    Object.entries(docs.responses || { 200: 'Success' }).forEach(([status, response]) => {
+        const { description, body = status >= 400 ? 'Error' : null } = typeof response === 'string' ? { description: response } : response;
+        responses[status] = { description };
+        if (body) {
+            responses[status].content = { 'application/json': { schema: toSchema(body) } };
+        }
+    });
+
+    const errorResponse = (status, text, schema = 'Error') => {
+        if (!responses[status]) {
+            responses[status] = { description: text, content: { 'application/json': { schema: ref(schema) } } };
+        }
+    };
+    if (route.validators.length) errorResponse(400, 'Invalid request', 'ValidationError');
+    if (route.requireAuth) errorResponse(401, 'Not signed in');
+    if (route.roles.length) errorResponse(403, `Requires role: ${route.roles.join(', ')}`);
+    if (route.requireOwner) {
+        const override = route.overrideOwner ? ` and lacks the ${route.overrideOwner} permission` : '';
+        errorResponse(403, `Signed-in user does not own the ${route.requireOwner}${override}`);
+        errorResponse(404, `${route.requireOwner[0].toUpperCase()}${route.requireOwner.slice(1)} not found`);
+    }
+    operation.responses = responses;
+
+    if (route.requireAuth) {
+        operation.security = [{ sessionCookie: [] }, { bearerToken: [] }];
+    }
+
+    if (route.deprecated) {
+        const { since, sunset, successor } = route.deprecated === true ? {} : route.deprecated;
+        const notes = [
+            since && `Deprecated since ${since}.`,
+            sunset && `Will be removed after ${sunset}.`,
+            successor && `Use ${successor.replace(/:(\w+)/g, '{$1}')} instead.`
+        ].filter(Boolean);
+        operation.deprecated = true;
+        operation.description = [operation.description, ...notes].filter(Boolean).join(' ') || undefined;
+    }
+
+    return { path: openApiPath, operation: dropUndefined(operation) };
+}
+
+/**
+ * OpenAPI 3 document for one API version from routeLoader's route table.
+ * `alias` documents the unversioned /api/<name> paths instead of
+ * /api/<version>/<name>.
+ */
+function buildSpec(routeTable, { version, alias = false }) {
+    const paths = {};
+
+    routeTable
+        .filter(route => route.version === version && route.alias === alias)
+        .forEach(route => {
+            const { path: openApiPath, operation } = buildOperation(route);
+            paths[openApiPath] = paths[openApiPath] || {};
+            paths[openApiPath][route.method.toLowerCase()] = operation;
+        });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: `${process.env.APP_NAME || 'Unnamed App'} API`,
+            version,
+            description: description || undefined
+        },
+        servers: [{ url: baseUrl }],
+        paths,
+        components: {
+            schemas,
+            securitySchemes: {
+                sessionCookie: {
+                    type: 'apiKey',
+                    in: 'cookie',
+                    name: 'connect.sid',
+                    description: 'Session cookie set by POST /api/auth/login'
+                },
+                bearerToken: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'Personal API token from POST /api/tokens; its scopes limit what it can change'
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Serve /api/openapi.json (the default version, at its unversioned paths),
+ * /api/<version>/openapi.json and the /api/docs page that browses them.
+ * Call after loadRoutes().
+ */
+function serveApiDocs(app) {
+    const routeTable = app.get('routeTable');
+    const { versions, defaultVersion } = app.get('apiVersions');
+
+    const defaultSpec = buildSpec(routeTable, { version: defaultVersion, alias: true });
+    const specs = Object.fromEntries(versions.map(version => [version, buildSpec(routeTable, { version })]));
+
+    app.get(`${basePath}/api/openapi.json`, (req, res) => res.json(defaultSpec));
+    app.get(`${basePath}/api/:version/openapi.json`, (req, res, next) => {
+        const spec = specs[req.params.version];
+        return spec ? res.json(spec) : next();
+    });
+    app.get(`${basePath}/api/docs`, (req, res) => res.render('docs/api', { apiVersions: versions, defaultVersion }));
+}
+
+module.exports = { buildSpec, serveApiDocs, toSchema };
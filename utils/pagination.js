@@ -0,0 +1,96 @@
+// Shared helpers for page/cursor pagination used by services, routes and views
+
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 100;
+
+const toPositiveInt = (value, fallback) => {
+    const n = parseInt(value, 10);
+    return isNaN(n) || n < 1 ? fallback : n;
+};
+
+const clampPerPage = (perPage) => Math.min(toPositiveInt(perPage, DEFAULT_PER_PAGE), MAX_PER_PAGE);
+
+// Dates travel as { d: ISO string } so they come back as Dates, which the
+// driver binds as DATETIME values rather than strings
+const toCursorValue = (value) => (value instanceof Date ? { d: value.toISOString() } : value);
+
+const fromCursorValue = (value) => {
+    if (typeof value === 'number' || typeof value === 'string') return value;
+    if (value && typeof value.d === 'string') {
+        const date = new Date(value.d);
+        return isNaN(date) ? undefined : date;
+    }
+    return undefined;
+};
+
+// Cursors are opaque to clients: base64url-encoded JSON of the key value,
+// or of an array of values for a multi-column key
+const encodeCursor = (value) => Buffer.from(JSON.stringify(
+    Array.isArray(value) ? value.map(toCursorValue) : toCursorValue(value)
+)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!Array.isArray(value)) return fromCursorValue(value);
+        const values = value.map(fromCursorValue);
+        return values.length && !values.includes(undefined) ? values : undefined;
+    } catch {
+        return undefined;
+    }
+};
+
+/**
+ * Read pagination options from a request query string.
+ * The presence of `after` or `before` (even empty, meaning "from the start")
+ * switches to keyset mode; otherwise `page` based offset mode is used.
+ * Sets `error` when a cursor cannot be decoded.
+ */
+const parsePagination = (query = {}) => {
+    const perPage = clampPerPage(query.perPage ?? query.per_page);
+
+    if (query.after !== undefined || query.before !== undefined) {
+        const opts = { perPage, after: query.after || null, before: query.before || null };
+        if (opts.after && opts.before) {
+            opts.error = 'Use either after or before, not both';
+        } else if ((opts.after && decodeCursor(opts.after) === undefined) ||
+            (opts.before && decodeCursor(opts.before) === undefined)) {
+            opts.error = 'Invalid pagination cursor';
+        }
+        return opts;
+    }
+
+    return { page: toPositiveInt(query.page, 1), perPage };
+};
+
+/**
+ * Build a query string for another page, keeping the rest of the current query.
+ */
+const buildPageQuery = (query = {}, page) => {
+    const params = new URLSearchParams();
+    Object.entries(query)
+        .filter(([key]) => !['page', 'after', 'before'].includes(key))
+        .forEach(([key, value]) => {
+            if (Array.isArray(value)) {
+                value.forEach(v => params.append(`${key}[]`, v));
+            } else if (value !== undefined) {
+                params.append(key, value);
+            }
+        });
+    params.set('page', page);
+    return `?${params.toString()}`;
+};
+
+// The query parameters parsePagination reads, in utils/openapi.js shape notation
+const paginationParams = { page: 'integer', perPage: 'integer', after: 'string', before: 'string' };
+
+module.exports = {
+    DEFAULT_PER_PAGE,
+    MAX_PER_PAGE,
+    clampPerPage,
+    encodeCursor,
+    decodeCursor,
+    parsePagination,
+    buildPageQuery,
+    paginationParams
+};
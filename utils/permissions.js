@@ -0,0 +1,47 @@
+// Roles and what they allow. Every account starts as a reader and becomes an
+// author when it publishes its first story; moderators and admins are
+// appointed (`node cli.js user:role`). Each role may do everything the roles
+// before it may, plus its own grants:
+//
+//   if (!can(req, 'comments.moderate')) ...   // in a controller
+//   assertCan(req, 'stories.unpublish');      // throws ForbiddenError
+//   <% if (can('users.suspend')) { %>         // in a view
+//
+// Whole routes are limited to roles with the `roles` route option
+// (utils/routeGuards.js). A changed role reaches signed-in sessions on their
+// next request (utils/sessions.js).
+
+const { ForbiddenError } = require('./errors');
+
+const ROLES = ['reader', 'author', 'moderator', 'admin'];
+
+const GRANTS = {
+    reader: [],
+    author: [],
+    moderator: ['comments.moderate', 'stories.viewUnpublished'],
+    admin: ['users.suspend', 'users.assignRole', 'stories.unpublish']
+};
+
+// role -> every permission it holds, inherited ones included
+const PERMISSIONS = {};
+ROLES.reduce((inherited, role) => {
+    PERMISSIONS[role] = new Set([...inherited, ...GRANTS[role]]);
+    return PERMISSIONS[role];
+}, []);
+
+const ALL_PERMISSIONS = Object.values(GRANTS).flat();
+
+const isRole = (role) => ROLES.includes(role);
+
+const hasPermission = (role, permission) => Boolean(PERMISSIONS[role]?.has(permission));
+
+// Whether the signed-in user (or API token owner) may do this
+const can = (req, permission) => Boolean(req.session?.userId) && hasPermission(req.session.role, permission);
+
+function assertCan(req, permission) {
+    if (!can(req, permission)) {
+        throw new ForbiddenError();
+    }
+}
+
+module.exports = { ROLES, ALL_PERMISSIONS, isRole, hasPermission, can, assertCan };
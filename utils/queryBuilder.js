@@ -1,22 +1,98 @@
-const { query } = require('../config/db');
+const { query, getConnection, dialect } = require('../config/db');
 const logger = require('../logger');
+const { getDialect } = require('./dialects');
+const { clampPerPage, encodeCursor, decodeCursor } = require('./pagination');
+const {
+    raw, isRaw, quoteColumn, parseTable, parseJoinCondition, loadSchema
+} = require('./identifiers');
+
+// Rows past a keyset cursor: (a, b) > (x, y) spelled out as
+// a > x OR (a = x AND b > y), since not every dialect compares row values
+const keysetCondition = (columns, values, op) => (group) => {
+    columns.forEach((column, i) => group.orWhere((term) => {
+        columns.slice(0, i).forEach((prev, j) => term.where(prev, values[j]));
+        term.where(column, op, values[i]);
+    }));
+};
+
+const OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>=', 'LIKE', 'NOT LIKE'];
+const DIRECTIONS = ['ASC', 'DESC'];
+
+const SQL_DIALECT = getDialect(dialect);
+const STRICT_DEFAULT = process.env.DB_STRICT_COLUMNS === 'true';
+
+const assertField = (field, method) => {
+    if (isRaw(field)) return;
+    if (typeof field !== 'string' || !field.trim()) {
+        throw new Error(`${method}() requires a column name`);
+    }
+};
 
+/**
+ * Every table, column and alias passed to the builder is validated and
+ * backtick-quoted; anything that is not a plain identifier must be wrapped
+ * in `db.raw()` so unsafe fragments stand out in review.
+ */
 class QueryBuilder {
-    constructor(table) {
+    constructor(table, executor = query) {
         this.table = table;
+        this.from = parseTable(table);
+        this.execute = executor;
+        this.dialect = SQL_DIALECT;
+        this.strictMode = STRICT_DEFAULT;
         this.selectFields = '*';
-        this.whereConditions = [];
+        this.selectParams = [];
+        this.selectAliases = [];
+        this.columnRefs = [];        // { qualifier, column } checked in strict mode
+        this.whereConditions = [];   // { bool: 'AND' | 'OR', sql }
         this.whereParams = [];
-        this.orderByField = null;
-        this.orderDirection = 'ASC';
+        this.orderings = [];         // { sql, direction }
         this.limitCount = null;
+        this.offsetCount = null;
         this.joinClauses = [];
+        this.joinTables = [];
+        this.joinParams = [];
         this.groupByFields = [];
     }
 
-    // SELECT clause
-    select(fields) {
-        this.selectFields = Array.isArray(fields) ? fields.join(', ') : fields;
+    // Reject column names that don't exist in the introspected schema
+    strict(enabled = true) {
+        this.strictMode = enabled;
+        return this;
+    }
+
+    // Quote a column reference (no alias) and remember it for strict mode
+    columnSql(field, method) {
+        assertField(field, method);
+        if (isRaw(field)) {
+            if (field.params.length) throw new Error(`${method}() raw columns cannot take params; use whereRaw()`);
+            return field.sql;
+        }
+        const { sql, ref, alias } = quoteColumn(field);
+        if (alias) throw new Error(`${method}() does not accept an alias: ${field}`);
+        this.columnRefs.push(ref);
+        return sql;
+    }
+
+    // SELECT clause; accepts an array or a list of fields, raw() for expressions
+    select(...fields) {
+        const list = fields.flat();
+        this.selectParams = [];
+        this.selectAliases = [];
+        this.selectFields = list.length
+            ? list.map(field => {
+                if (isRaw(field)) {
+                    const alias = field.sql.match(/\s+as\s+([A-Za-z_][A-Za-z0-9_]*)\s*$/i);
+                    if (alias) this.selectAliases.push(alias[1]);
+                    this.selectParams.push(...field.params);
+                    return field.sql;
+                }
+                const { sql, ref, alias } = quoteColumn(field);
+                this.columnRefs.push(ref);
+                if (alias) this.selectAliases.push(alias);
+                return sql;
+            }).join(', ')
+            : '*';
         return this;
     }
 
@@ -26,46 +102,165 @@ class QueryBuilder {
         return this;
     }
 
+    addCondition(bool, sql, params = []) {
+        this.whereConditions.push({ bool, sql });
+        this.whereParams.push(...params);
+        return this;
+    }
+
     // New method for dynamic field equality
     whereField(field, value) {
-        this.whereConditions.push(`${field} = ?`);
-        this.whereParams.push(value);
-        return this;
+        return this.where(field, value);
+    }
+
+    /**
+     * Supported forms:
+     *   where('col', value)          equality (null becomes IS NULL)
+     *   where('col', '>=', value)    comparison, see OPERATORS
+     *   where(q => q.where(...))     parenthesised group
+     *   where(m => m.col === 'lit')  linq-style equality against a literal
+     */
+    where(...args) {
+        return this.addWhere('AND', 'where', args);
+    }
+
+    orWhere(...args) {
+        return this.addWhere('OR', 'orWhere', args);
+    }
+
+    addWhere(bool, method, args) {
+        const [first, second, third] = args;
+
+        if (typeof first === 'function') {
+            if (args.length !== 1) throw new Error(`${method}() with a callback takes no other arguments`);
+            const linq = this.parseLinq(first);
+            return linq
+                ? this.addCondition(bool, `${this.columnSql(linq.field, method)} = ?`, [linq.value])
+                : this.addGroup(bool, first, method);
+        }
+
+        const column = this.columnSql(first, method);
+
+        if (args.length === 2) {
+            if (second === undefined) throw new Error(`${method}('${first}') value is undefined`);
+            return second === null
+                ? this.addCondition(bool, `${column} IS NULL`)
+                : this.addCondition(bool, `${column} = ?`, [second]);
+        }
+
+        if (args.length === 3) {
+            const op = String(second).toUpperCase();
+            if (!OPERATORS.includes(op)) throw new Error(`${method}() unsupported operator: ${second}`);
+            if (third === undefined || third === null) {
+                throw new Error(`${method}('${first}', '${second}') needs a value; use whereNull() for NULL checks`);
+            }
+            const escape = op.endsWith('LIKE') ? this.dialect.likeEscape : '';
+            return this.addCondition(bool, `${column} ${op} ?${escape}`, [third]);
+        }
+
+        throw new Error(`${method}() expects (field, value), (field, operator, value) or a callback`);
     }
 
     // test trying to replicate c# linq syntax for personal convenience
-    where(conditionFn) {
+    parseLinq(conditionFn) {
         const fnStr = conditionFn.toString();
-        const match = fnStr.match(/m\s*=>\s*m\.([a-zA-Z_][a-zA-Z0-9_]*)\s*={2,3}\s*(.*)/);
-        if (match) {
-            const field = match[1];
-            let value = match[2].trim();
-
-            if ((value.startsWith('"') && value.endsWith('"')) ||
-                (value.startsWith("'") && value.endsWith("'"))) {
-                value = value.slice(1, -1);
-            } else if (!isNaN(value)) {
-                value = Number(value);
-            } else {
-                // skip variables or unsupported expressions
-                return this;
-            }
+        const match = fnStr.match(/^\s*\(?\s*m\s*\)?\s*=>\s*m\.([a-zA-Z_][a-zA-Z0-9_]*)\s*={2,3}\s*(.*)$/s);
+        if (!match) return null;
+
+        const field = match[1];
+        let value = match[2].trim();
 
-            this.whereConditions.push(`${field} = ?`);
-            this.whereParams.push(value);
+        if ((value.startsWith('"') && value.endsWith('"')) ||
+            (value.startsWith("'") && value.endsWith("'"))) {
+            value = value.slice(1, -1);
+        } else if (value !== '' && !isNaN(value)) {
+            value = Number(value);
+        } else {
+            // Closure variables can't be read from the source text
+            throw new Error(`where(${fnStr}) only supports literal values; use where('${field}', value)`);
         }
-        return this;
+
+        return { field, value };
+    }
+
+    addGroup(bool, fn, method) {
+        const group = new QueryBuilder(this.table, this.execute);
+        fn(group);
+        if (!group.whereConditions.length) {
+            throw new Error(`${method}() group added no conditions`);
+        }
+        this.columnRefs.push(...group.columnRefs);
+        return this.addCondition(bool, `(${group.buildWhere()})`, group.whereParams);
+    }
+
+    whereIn(field, values) {
+        return this.addIn('AND', 'whereIn', field, values, false);
+    }
+
+    whereNotIn(field, values) {
+        return this.addIn('AND', 'whereNotIn', field, values, true);
+    }
+
+    orWhereIn(field, values) {
+        return this.addIn('OR', 'orWhereIn', field, values, false);
+    }
+
+    addIn(bool, method, field, values, negate) {
+        const column = this.columnSql(field, method);
+        if (!Array.isArray(values)) throw new Error(`${method}('${field}') expects an array of values`);
+        if (values.some(v => v === undefined)) throw new Error(`${method}('${field}') values contain undefined`);
+
+        // An empty list matches nothing (IN) or everything (NOT IN)
+        if (!values.length) {
+            return this.addCondition(bool, negate ? '1 = 1' : '1 = 0');
+        }
+        const placeholders = values.map(() => '?').join(', ');
+        return this.addCondition(bool, `${column} ${negate ? 'NOT IN' : 'IN'} (${placeholders})`, values);
+    }
+
+    whereNull(field) {
+        return this.addCondition('AND', `${this.columnSql(field, 'whereNull')} IS NULL`);
+    }
+
+    whereNotNull(field) {
+        return this.addCondition('AND', `${this.columnSql(field, 'whereNotNull')} IS NOT NULL`);
+    }
+
+    orWhereNull(field) {
+        return this.addCondition('OR', `${this.columnSql(field, 'orWhereNull')} IS NULL`);
+    }
+
+    whereBetween(field, range) {
+        const column = this.columnSql(field, 'whereBetween');
+        if (!Array.isArray(range) || range.length !== 2 || range.some(v => v === undefined || v === null)) {
+            throw new Error(`whereBetween('${field}') expects [min, max]`);
+        }
+        return this.addCondition('AND', `${column} BETWEEN ? AND ?`, range);
     }
 
     whereRaw(sql, params = []) {
-        this.whereConditions.push(sql);
-        this.whereParams.push(...params);
+        return this.addCondition('AND', sql, params);
+    }
+
+    // Collapse the current conditions into one group so later ANDs bind to all of them
+    groupConditions() {
+        if (this.whereConditions.some(c => c.bool === 'OR')) {
+            this.whereConditions = [{ bool: 'AND', sql: `(${this.buildWhere()})` }];
+        }
         return this;
     }
 
+    buildWhere() {
+        return this.whereConditions
+            .map((c, i) => (i === 0 ? c.sql : `${c.bool} ${c.sql}`))
+            .join(' ');
+    }
+
+    // Each call adds a sort key; earlier calls take precedence. Select aliases are allowed
     orderBy(field, direction = 'ASC') {
-        this.orderByField = field;
-        this.orderDirection = direction.toUpperCase();
+        const dir = String(direction).toUpperCase();
+        if (!DIRECTIONS.includes(dir)) throw new Error(`orderBy('${field}') unsupported direction: ${direction}`);
+        this.orderings.push({ sql: this.columnSql(field, 'orderBy'), direction: dir });
         return this;
     }
 
@@ -74,34 +269,204 @@ class QueryBuilder {
         return this;
     }
 
-    join(table, condition) {
-        this.joinClauses.push(`JOIN ${table} ON ${condition}`);
+    offset(count) {
+        this.offsetCount = count;
         return this;
     }
 
-    leftJoin(table, condition) {
-        this.joinClauses.push(`LEFT JOIN ${table} ON ${condition}`);
+    // join(table, 'a.id = b.a_id'), join(table, 'a.id', '=', 'b.a_id') or join(table, raw(...))
+    join(table, ...on) {
+        return this.addJoin('JOIN', 'join', table, on);
+    }
+
+    leftJoin(table, ...on) {
+        return this.addJoin('LEFT JOIN', 'leftJoin', table, on);
+    }
+
+    addJoin(type, method, table, on) {
+        const target = parseTable(table);
+        let condition;
+
+        if (on.length === 1 && isRaw(on[0])) {
+            condition = on[0].sql;
+            this.joinParams.push(...on[0].params);
+        } else if (on.length === 1 || on.length === 3) {
+            const parsed = parseJoinCondition(...on);
+            this.columnRefs.push(...parsed.refs);
+            condition = parsed.sql;
+        } else {
+            throw new Error(`${method}() expects a condition string, raw() or (left, operator, right)`);
+        }
+
+        this.joinTables.push(target);
+        this.joinClauses.push(`${type} ${target.sql} ON ${condition}`);
         return this;
     }
 
     groupBy(fields) {
-        this.groupByFields = Array.isArray(fields) ? fields : [fields];
+        this.groupByFields = [].concat(fields).map(field => this.columnSql(field, 'groupBy'));
         return this;
     }
 
-    // Build and execute 
-    async get() {
+    /**
+     * In strict mode, check every referenced column against the live schema
+     * (tables and views) before the statement is sent.
+     */
+    async assertColumns() {
+        if (!this.strictMode) return;
+
+        const schema = await loadSchema(this.execute, this.dialect.schemaQuery);
+        const tables = [this.from, ...this.joinTables];
+        const resolve = (name) => tables.find(t => t.alias === name) || tables.find(t => t.name === name);
+
+        for (const { qualifier, column } of this.columnRefs) {
+            if (qualifier) {
+                const table = resolve(qualifier);
+                const columns = table && schema.get(table.name);
+                if (!columns) {
+                    throw new Error(`Strict mode: unknown table or alias "${qualifier}"`);
+                }
+                if (column !== '*' && !columns.has(column)) {
+                    throw new Error(`Strict mode: unknown column "${qualifier}.${column}"`);
+                }
+            } else if (column !== '*' && !this.selectAliases.includes(column) &&
+                !tables.some(t => schema.get(t.name)?.has(column))) {
+                throw new Error(`Strict mode: unknown column "${column}" on ${tables.map(t => t.name).join(', ')}`);
+            }
+        }
+    }
+
+    // Copy of the builder state so variants (count, cursor pages) leave the original untouched
+    clone() {
+        const builder = new QueryBuilder(this.table, this.execute);
+        builder.strictMode = this.strictMode;
+        builder.selectFields = this.selectFields;
+        builder.selectParams = [...this.selectParams];
+        builder.selectAliases = [...this.selectAliases];
+        builder.columnRefs = [...this.columnRefs];
+        builder.whereConditions = [...this.whereConditions];
+        builder.whereParams = [...this.whereParams];
+        builder.orderings = [...this.orderings];
+        builder.limitCount = this.limitCount;
+        builder.offsetCount = this.offsetCount;
+        builder.joinClauses = [...this.joinClauses];
+        builder.joinTables = [...this.joinTables];
+        builder.joinParams = [...this.joinParams];
+        builder.groupByFields = [...this.groupByFields];
+        return builder;
+    }
+
+    toSQL() {
         const sql = [
-            `SELECT ${this.selectFields} FROM ${this.table}`,
+            `SELECT ${this.selectFields} FROM ${this.from.sql}`,
             ...this.joinClauses,                                         // JOINs
-            this.whereConditions.length && `WHERE ${this.whereConditions.join(' AND ')}`,
+            this.whereConditions.length && `WHERE ${this.buildWhere()}`,
             this.groupByFields.length && `GROUP BY ${this.groupByFields.join(', ')}`,
-            this.orderByField && `ORDER BY ${this.orderByField} ${this.orderDirection}`,
-            this.limitCount != null && `LIMIT ${this.limitCount}`
+            this.orderings.length && `ORDER BY ${this.orderings.map(o => `${o.sql} ${o.direction}`).join(', ')}`,
+            this.limitCount != null && `LIMIT ${Number(this.limitCount)}`,
+            this.offsetCount != null && `OFFSET ${Number(this.offsetCount)}`
         ].filter(Boolean).join(' ');
 
-        logger.debug('QueryBuilder.get()', { sql, params: this.whereParams });
-        return query(sql, this.whereParams);
+        return { sql, params: [...this.selectParams, ...this.joinParams, ...this.whereParams] };
+    }
+
+    // Build and execute 
+    async get() {
+        await this.assertColumns();
+        const { sql, params } = this.toSQL();
+
+        logger.debug('QueryBuilder.get()', { sql, params });
+        return this.execute(sql, params);
+    }
+
+    /**
+     * Run the query one page at a time and return `{ items, pagination }`.
+     * Offset mode uses `page`; keyset mode is chosen when `after` or `before`
+     * is set (null meaning "from the start") and needs `cursor.column`, a
+     * unique sortable column, plus `cursor.field` if its row key differs.
+     * To walk a sort that isn't unique, pass both as arrays ending in a
+     * unique column, e.g. `['updated_at', 'id']`, and sort the offset pages
+     * by the same columns so both modes list rows in the same order.
+     */
+    async paginate({ page = 1, perPage, after, before, cursor } = {}) {
+        const size = clampPerPage(perPage);
+
+        if (after !== undefined || before !== undefined) {
+            return this.paginateByCursor({ after, before, perPage: size, ...cursor });
+        }
+
+        const current = Math.max(parseInt(page, 10) || 1, 1);
+        const [total, items] = await Promise.all([
+            this.count(),
+            this.clone().limit(size).offset((current - 1) * size).get()
+        ]);
+        const totalPages = Math.max(Math.ceil(total / size), 1);
+
+        return {
+            items,
+            pagination: {
+                mode: 'page',
+                page: current,
+                perPage: size,
+                total,
+                totalPages,
+                hasPrev: current > 1,
+                hasNext: current < totalPages
+            }
+        };
+    }
+
+    async paginateByCursor({ after = null, before = null, perPage, column, field, direction = 'DESC' }) {
+        if (!column) {
+            throw new Error('Keyset pagination requires a cursor column');
+        }
+        if (after && before) {
+            throw new Error('Use either after or before, not both');
+        }
+
+        const size = clampPerPage(perPage);
+        const columns = [].concat(column);
+        const keys = field ? [].concat(field) : columns.map(c => c.split('.').pop());
+        const dir = direction.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+        const cursorValue = after || before;
+        const value = cursorValue ? decodeCursor(cursorValue) : undefined;
+        const values = [].concat(value);
+        if (cursorValue && (value === undefined || values.length !== columns.length)) {
+            throw new Error('Invalid pagination cursor');
+        }
+
+        // Walking backwards flips both the comparison and the sort, then the rows are reversed
+        const backwards = !!before;
+        const scanDir = backwards ? (dir === 'ASC' ? 'DESC' : 'ASC') : dir;
+        const page = this.clone();
+        page.orderings = [];
+        columns.forEach(c => page.orderBy(c, scanDir));
+        page.limit(size + 1).offset(null);
+        if (value !== undefined) {
+            page.groupConditions().where(keysetCondition(columns, values, scanDir === 'ASC' ? '>' : '<'));
+        }
+
+        const [total, rows] = await Promise.all([this.count(), page.get()]);
+        const hasMore = rows.length > size;
+        const items = hasMore ? rows.slice(0, size) : rows;
+        if (backwards) items.reverse();
+
+        const hasNext = backwards ? true : hasMore;
+        const hasPrev = backwards ? hasMore : !!after;
+        const cursorFor = row => encodeCursor(keys.length === 1 ? row[keys[0]] : keys.map(k => row[k]));
+
+        return {
+            items,
+            pagination: {
+                mode: 'cursor',
+                perPage: size,
+                total,
+                hasPrev: hasPrev && items.length > 0,
+                hasNext: hasNext && items.length > 0,
+                prevCursor: hasPrev && items.length ? cursorFor(items[0]) : null,
+                nextCursor: hasNext && items.length ? cursorFor(items[items.length - 1]) : null
+            }
+        };
     }
 
     // Simpler insert method
@@ -111,15 +476,11 @@ class QueryBuilder {
             throw new Error('No data provided to insert');
         }
 
-        const keys = Object.keys(insertData);
-        const values = Object.values(insertData);
-        const columns = keys.join(', ');
-        const placeholders = keys.map(() => '?').join(', ');
-        const sql = `INSERT INTO ${this.table} (${columns}) VALUES (${placeholders})`;
+        const { sql, values } = await this.buildInsert(insertData);
 
         logger.debug('QueryBuilder.insert()', { sql, values });
         try {
-            const result = await query(sql, values);
+            const result = await this.execute(sql, values);
             return result;
         } catch (err) {
             logger.error('QueryBuilder.insert() failed', {
@@ -137,21 +498,17 @@ class QueryBuilder {
         if (!this.insertData) {
             throw new Error('No data provided to insert');
         }
-        const keys = Object.keys(this.insertData);
-        const values = Object.values(this.insertData);
-        const columns = keys.join(', ');
-        const placeholders = keys.map(() => '?').join(', ');
-        const sql = `INSERT INTO ${this.table} (${columns}) VALUES (${placeholders})`;
+        const { sql, values } = await this.buildInsert(this.insertData);
 
         logger.debug('QueryBuilder.insertAndGet()', { sql, values });
         try {
-            const result = await query(sql, values);
+            const result = await this.execute(sql, values);
             const id = result.insertId;
             if (!id) {
                 throw new Error('Insert did not return an insertId');
             }
-            const selectSql = `SELECT * FROM ${this.table} WHERE id = ?`;
-            const rows = await query(selectSql, [id]);
+            const selectSql = `SELECT * FROM ${this.from.sql} WHERE \`id\` = ?`;
+            const rows = await this.execute(selectSql, [id]);
             return rows[0];
         } catch (err) {
             logger.error('QueryBuilder.insertAndGet() failed', {
@@ -164,6 +521,115 @@ class QueryBuilder {
         }
     }
 
+    // Placeholder for a value, or the inlined fragment for raw() values such as NOW()
+    valueSql(value, params) {
+        if (isRaw(value)) {
+            params.push(...value.params);
+            return value.sql;
+        }
+        params.push(value);
+        return '?';
+    }
+
+    async buildInsert(data) {
+        return this.buildInsertRows([data]);
+    }
+
+    // One INSERT for any number of rows; every row must have the same keys as the first
+    async buildInsertRows(rows) {
+        const keys = Object.keys(rows[0] || {});
+        if (!keys.length) {
+            throw new Error('No data provided to insert');
+        }
+        rows.forEach((row, i) => {
+            const rowKeys = Object.keys(row);
+            if (rowKeys.length !== keys.length || !keys.every(key => key in row)) {
+                throw new Error(`insertMany row ${i} has different columns than row 0`);
+            }
+        });
+
+        const values = [];
+        const columns = keys.map(key => this.columnSql(key, 'insert')).join(', ');
+        const tuples = rows
+            .map(row => `(${keys.map(key => this.valueSql(row[key], values)).join(', ')})`)
+            .join(', ');
+        await this.assertColumns();
+
+        return { sql: `INSERT INTO ${this.from.sql} (${columns}) VALUES ${tuples}`, values, keys };
+    }
+
+    async runWrite(method, sql, params) {
+        logger.debug(`QueryBuilder.${method}()`, { sql, params });
+        try {
+            return await this.execute(sql, params);
+        } catch (err) {
+            logger.error(`QueryBuilder.${method}() failed`, {
+                sql,
+                params,
+                error: err.message,
+                stack: err.stack
+            });
+            err.message = `Query failed: ${sql} | Params: ${JSON.stringify(params)} | Error: ${err.message}`;
+            throw err;
+        }
+    }
+
+    /**
+     * Insert several rows with a single multi-row INSERT.
+     * Resolves to the driver result; an empty list is a no-op.
+     */
+    async insertMany(rows) {
+        if (!Array.isArray(rows)) {
+            throw new Error('insertMany() expects an array of rows');
+        }
+        if (!rows.length) {
+            return { affectedRows: 0 };
+        }
+
+        const { sql, values } = await this.buildInsertRows(rows);
+        return this.runWrite('insertMany', sql, values);
+    }
+
+    /**
+     * Insert a row, or update it when it collides with an existing unique key.
+     * `data` may also be an array of rows.
+     *   conflictKeys: the unique/primary key columns the row may collide on
+     *   update: columns to overwrite with the new values (default: every non-key column),
+     *           or an object of column => value/raw() to set instead
+     * With nothing to update the existing row is left untouched.
+     * Note: MySQL reports 1 affected row for an insert and 2 for an update;
+     * SQLite reports 1 for both.
+     */
+    async upsert(data, { conflictKeys, update } = {}) {
+        const rows = [].concat(data);
+        if (!Array.isArray(conflictKeys) || !conflictKeys.length) {
+            throw new Error('upsert() requires conflictKeys');
+        }
+
+        const { sql: insertSql, values, keys } = await this.buildInsertRows(rows);
+        const missing = conflictKeys.filter(key => !keys.includes(key));
+        if (missing.length) {
+            throw new Error(`upsert() conflict keys missing from data: ${missing.join(', ')}`);
+        }
+
+        let assignments;
+        if (update && !Array.isArray(update) && typeof update === 'object') {
+            assignments = Object.entries(update)
+                .map(([key, value]) => `${this.columnSql(key, 'upsert')} = ${this.valueSql(value, values)}`);
+        } else {
+            assignments = (update || keys.filter(key => !conflictKeys.includes(key)))
+                .map(key => {
+                    const column = this.columnSql(key, 'upsert');
+                    return `${column} = ${this.dialect.insertedValue(column)}`;
+                });
+        }
+        const conflictColumns = conflictKeys.map(key => this.columnSql(key, 'upsert'));
+        await this.assertColumns();
+
+        const sql = `${insertSql} ${this.dialect.upsertClause(conflictColumns, assignments)}`;
+        return this.runWrite('upsert', sql, values);
+    }
+
     async first() {
         const rows = await this.limit(1).get();
         return rows[0] || null;
@@ -178,15 +644,17 @@ class QueryBuilder {
             throw new Error('Update requires WHERE conditions for safety');
         }
 
-        const keys = Object.keys(updateData);
-        const values = Object.values(updateData);
-        const setClause = keys.map(key => `${key} = ?`).join(', ');
-        const sql = `UPDATE ${this.table} SET ${setClause} WHERE ${this.whereConditions.join(' AND ')}`;
+        const values = [];
+        const setClause = Object.entries(updateData)
+            .map(([key, value]) => `${this.columnSql(key, 'update')} = ${this.valueSql(value, values)}`)
+            .join(', ');
+        await this.assertColumns();
+        const sql = `UPDATE ${this.from.sql} SET ${setClause} WHERE ${this.buildWhere()}`;
         const params = [...values, ...this.whereParams];
 
         logger.debug('QueryBuilder.update()', { sql, params });
         try {
-            const result = await query(sql, params);
+            const result = await this.execute(sql, params);
             return result;
         } catch (err) {
             logger.error('QueryBuilder.update() failed', {
@@ -205,11 +673,12 @@ class QueryBuilder {
             throw new Error('Delete requires WHERE conditions for safety');
         }
 
-        const sql = `DELETE FROM ${this.table} WHERE ${this.whereConditions.join(' AND ')}`;
+        await this.assertColumns();
+        const sql = `DELETE FROM ${this.from.sql} WHERE ${this.buildWhere()}`;
 
         logger.debug('QueryBuilder.delete()', { sql, params: this.whereParams });
         try {
-            const result = await query(sql, this.whereParams);
+            const result = await this.execute(sql, this.whereParams);
             return result;
         } catch (err) {
             logger.error('QueryBuilder.delete() failed', {
@@ -224,20 +693,88 @@ class QueryBuilder {
     }
 
     async count() {
-        const builder = new QueryBuilder(this.table);
-        builder.select('COUNT(*) as count');
-        builder.whereConditions = [...this.whereConditions];
-        builder.whereParams = [...this.whereParams];
-        builder.joinClauses = [...this.joinClauses];
+        const builder = this.clone();
+        builder.orderings = [];
+        builder.limitCount = null;
+        builder.offsetCount = null;
+
+        // Grouped queries return one row per group, so count the groups instead
+        if (builder.groupByFields.length) {
+            await builder.assertColumns();
+            const { sql, params } = builder.toSQL();
+            const result = await this.execute(`SELECT COUNT(*) AS count FROM (${sql}) AS grouped`, params);
+            return Number(result[0]?.count || 0);
+        }
 
+        builder.select(raw('COUNT(*) AS count'));
+        builder.selectAliases = [...this.selectAliases];
         const result = await builder.get();
         return result[0]?.count || 0;
     }
 }
 
+/**
+ * A unit of work bound to one dedicated connection. Builders created through
+ * `trx.table()` run on that connection; nested `trx.transaction()` calls use
+ * savepoints so an inner failure only rolls back its own statements.
+ */
+class Transaction {
+    constructor(connection, depth = 0) {
+        this.connection = connection;
+        this.depth = depth;
+        this.query = (sql, params = []) => connection.query(sql, params);
+    }
+
+    table(tableName) {
+        return new QueryBuilder(tableName, this.query);
+    }
+
+    async transaction(fn) {
+        const savepoint = `sp_${this.depth + 1}`;
+        const nested = new Transaction(this.connection, this.depth + 1);
+
+        await this.query(`SAVEPOINT ${savepoint}`);
+        try {
+            const result = await fn(nested);
+            await this.query(`RELEASE SAVEPOINT ${savepoint}`);
+            return result;
+        } catch (err) {
+            logger.warn('Transaction savepoint rolled back', { savepoint, error: err.message });
+            await this.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+            throw err;
+        }
+    }
+}
+
 const db = {
     table: (tableName) => new QueryBuilder(tableName),
 
+    // Trusted SQL fragment for expressions the builder can't quote
+    raw,
+
+    // Run fn(trx) in a transaction; commits on resolve, rolls back on throw
+    transaction: async (fn) => {
+        const connection = await getConnection();
+        const trx = new Transaction(connection);
+
+        try {
+            await trx.query(SQL_DIALECT.beginTransaction);
+            const result = await fn(trx);
+            await trx.query('COMMIT');
+            return result;
+        } catch (err) {
+            logger.error('Transaction rolled back', { error: err.message });
+            try {
+                await trx.query('ROLLBACK');
+            } catch (rollbackErr) {
+                logger.error('Transaction rollback failed', { error: rollbackErr.message });
+            }
+            throw err;
+        } finally {
+            connection.release();
+        }
+    },
+
     get: async (tableName, conditionFnOrField, value) => {
         const builder = db.table(tableName);
         if (typeof conditionFnOrField === 'function') {
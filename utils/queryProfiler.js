@@ -0,0 +1,103 @@
+// Query timing: slow-query warnings, optional EXPLAIN capture in development,
+// and a per-request summary of how many queries ran and how long they took.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../logger');
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+};
+
+// DB_SLOW_QUERY_MS=0 disables slow-query logging
+const slowQueryMs = envNumber('DB_SLOW_QUERY_MS', 500);
+const explainSlow = process.env.DB_EXPLAIN_SLOW === 'true' && process.env.NODE_ENV === 'development';
+
+const requestContext = new AsyncLocalStorage();
+const requestStats = new WeakMap();
+
+const round = (ms) => Math.round(ms * 100) / 100;
+
+const isSelect = (sql) => /^\s*(SELECT|WITH)\b/i.test(sql);
+
+/**
+ * Start timing a statement. Call the returned function once it settles.
+ * `explain(sql)` is supplied by the driver to run the dialect's EXPLAIN
+ * outside of profiling.
+ */
+function startQuery(sql, params, explain) {
+    const started = process.hrtime.bigint();
+    // Read the request now: driver callbacks may not keep the async context
+    const stats = requestContext.getStore();
+
+    return () => {
+        const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+        if (stats) {
+            stats.queries++;
+            stats.dbTimeMs += durationMs;
+        }
+
+        if (slowQueryMs > 0 && durationMs >= slowQueryMs) {
+            if (stats) stats.slowQueries++;
+            logger.warn('DB Slow query', {
+                durationMs: round(durationMs),
+                thresholdMs: slowQueryMs,
+                sql,
+                params,
+                request: stats?.label
+            });
+
+            if (explainSlow && explain && isSelect(sql)) {
+                explain(sql, params)
+                    .then(plan => logger.info('DB Slow query plan', { sql, plan }))
+                    .catch(err => logger.warn('DB EXPLAIN failed', { sql, message: err.message }));
+            }
+        }
+
+        return durationMs;
+    };
+}
+
+/**
+ * Express middleware: collects every query run while handling the request
+ * and logs a one-line summary when the response finishes. Mount it before
+ * anything that queries the database, such as the session store.
+ */
+function requestProfiler(req, res, next) {
+    const stats = {
+        label: `${req.method} ${req.originalUrl}`,
+        queries: 0,
+        dbTimeMs: 0,
+        slowQueries: 0
+    };
+    const started = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+        logger.info(`[HTTP] ${stats.label} ${res.statusCode}`, {
+            durationMs: round(durationMs),
+            queries: stats.queries,
+            dbTimeMs: round(stats.dbTimeMs),
+            slowQueries: stats.slowQueries
+        });
+    });
+
+    requestStats.set(req, stats);
+    requestContext.run(stats, next);
+}
+
+/**
+ * Express middleware: re-enters the request's profiling context. Mount it
+ * after middleware that may call next() from a driver callback (the MySQL
+ * session store does), which runs outside the context.
+ */
+function resumeProfiler(req, res, next) {
+    const stats = requestStats.get(req);
+    return stats ? requestContext.run(stats, next) : next();
+}
+
+// Stats for the request currently being handled, if any
+const currentStats = () => requestContext.getStore() || null;
+
+module.exports = { startQuery, requestProfiler, resumeProfiler, currentStats };
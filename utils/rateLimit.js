@@ -0,0 +1,46 @@
+// Fixed-window request limits, counted in memory per process:
+//
+//   const forgotLimit = rateLimit({ name: 'password-reset', windowMs: 15 * 60 * 1000, max: 5 });
+//   'POST /forgot': { handler: [forgotLimit, 'forgotPassword'] }
+//
+// Requests over the limit fail with TooManyRequestsError (429 with
+// Retry-After). Counts are keyed by client IP unless `key` says otherwise.
+
+const logger = require('../logger');
+const { TooManyRequestsError } = require('./errors');
+
+const loggingPrefix = '[RATE-LIMIT]';
+
+// Drop expired windows once the map grows past this
+const SWEEP_AT = 1000;
+
+function rateLimit({ name, windowMs, max, key = (req) => req.ip, message }) {
+    const windows = new Map();
+
+    function sweep(now) {
+        windows.forEach((entry, k) => {
+            if (entry.resetAt <= now) windows.delete(k);
+        });
+    }
+
+    return (req, res, next) => {
+        const now = Date.now();
+        const k = key(req);
+        let entry = windows.get(k);
+
+        if (!entry || entry.resetAt <= now) {
+            if (windows.size >= SWEEP_AT) sweep(now);
+            entry = { count: 0, resetAt: now + windowMs };
+            windows.set(k, entry);
+        }
+
+        entry.count += 1;
+        if (entry.count > max) {
+            logger.warn(`${loggingPrefix} ${name} limit reached`, { key: k, max, windowMs });
+            throw new TooManyRequestsError(message, Math.ceil((entry.resetAt - now) / 1000));
+        }
+        next();
+    };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,79 @@
+// Content negotiation: a route's last handler returns its data and
+// routeLoader answers with either the JSON envelope or an HTML page, so the
+// same handler serves /story/... and /api/story/...
+//
+//   exports.storyDetail = async (req) => ({ story, chapters });
+//
+//   'GET /:username/:vanity': { handler: 'storyDetail', view: 'story/detail' }
+//   'POST /create': {
+//       handler: ['validateCreateStory', 'createStory'],
+//       redirect: (data) => data.url,
+//       form: 'createForm'
+//   }
+//
+// API routes and requests that prefer JSON (Accept, XHR) get
+// { success: true, ...data }. Other requests render `view` with the data, or
+// follow `redirect`. When a handler throws a validation or conflict error on
+// an HTML request, the `form` action renders the form again with the
+// messages and the submitted values (see formState). Handlers that send a
+// response themselves return nothing and are left alone.
+
+const { ValidationError, ConflictError } = require('./errors');
+const { appPath } = require('./urls');
+
+const isApiRequest = (req) => /^\/api(\/|$)/.test(appPath(req));
+
+/**
+ * Whether to answer with JSON: everything under /api, and HTML routes asked
+ * for JSON by the Accept header or an XHR.
+ */
+function wantsJson(req) {
+    return isApiRequest(req) || req.xhr || req.accepts(['html', 'json']) === 'json';
+}
+
+const isFormError = (err) => err instanceof ValidationError || err instanceof ConflictError;
+
+/**
+ * Wrap a route's last handler so the data it returns is sent in the
+ * representation the request asks for.
+ */
+function respond(handler, { view, redirect, form } = {}) {
+    return async (req, res, next) => {
+        let data;
+        try {
+            data = await handler(req, res, next);
+        } catch (err) {
+            if (!form || !isFormError(err) || wantsJson(req)) {
+                throw err;
+            }
+            res.status(err.status);
+            res.locals.formErrors = err.details ? err.details.map(d => d.message) : [err.message];
+            res.locals.formData = { ...req.params, ...req.body };
+            return form(req, res, next);
+        }
+
+        if (data === undefined || res.headersSent) {
+            return;
+        }
+        if (wantsJson(req) || (!view && !redirect)) {
+            return res.json({ success: true, ...data });
+        }
+        if (redirect) {
+            return res.redirect(redirect(data, req));
+        }
+        return res.render(view, data);
+    };
+}
+
+/**
+ * `errors` and `formData` locals for a form view. After a failed submit the
+ * submitted values override `formData`.
+ */
+function formState(res, formData = {}) {
+    return {
+        errors: res.locals.formErrors || null,
+        formData: res.locals.formData ? { ...formData, ...res.locals.formData } : formData
+    };
+}
+
+module.exports = { respond, formState, wantsJson, isApiRequest };
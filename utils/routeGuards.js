@@ -0,0 +1,159 @@
+// Guards that routeLoader runs ahead of a route's handlers, built from the
+// metadata in a controller's `exports.routes` map:
+//
+//   'POST /:username/:vanity/edit': {
+//       handler: ['validateUpdateStory', 'updateStory'],
+//       requireOwner: 'story'
+//   }
+//
+// API token requests (utils/apiTokens.js) also need the route's `scope`,
+// or 'read' for GET routes; routes without one are closed to tokens.
+//
+// `roles` limits a route to the listed roles, and `overrideOwner` names a
+// permission that gets past requireOwner, e.g. moderators deleting other
+// people's comments (utils/permissions.js).
+//
+// Guards fail with the typed errors from utils/errors.js, which the error
+// middleware turns into JSON for API routes and a login redirect or the
+// error page for HTML routes.
+
+const storyService = require('../services/storyService');
+const collectionsService = require('../services/collectionsService');
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('./errors');
+const { SCOPES } = require('./apiTokens');
+const { ALL_PERMISSIONS, isRole, can } = require('./permissions');
+
+// How to load each ownable resource from the request. The loaded row is
+// attached to the request under the same name (req.story, req.comment, ...).
+const owners = {
+    story: {
+        load: (req) => storyService.getStoryByUsernameAndVanity(req.params.username, req.params.vanity),
+        notFound: 'Story not found'
+    },
+    comment: {
+        load: (req) => {
+            const commentId = parseInt(req.params.commentId, 10);
+            return isNaN(commentId) ? null : storyService.getCommentById(commentId);
+        },
+        notFound: 'Comment not found'
+    },
+    collection: {
+        load: (req) => collectionsService.getCollectionByIdAndUserId(req.params.collectionId, req.params.userId),
+        notFound: 'Collection not found'
+    }
+};
+
+// Not guards: `name` names the route for route() (utils/urls.js), `docs`
+// feeds utils/openapi.js, `deprecated` utils/deprecation.js, and `view`,
+// `redirect` and `form` pick the HTML response (utils/respond.js)
+const ROUTE_OPTIONS = [
+    'handler', 'name', 'requireAuth', 'requireOwner', 'overrideOwner', 'roles', 'scope',
+    'docs', 'deprecated', 'view', 'redirect', 'form'
+];
+
+function requireAuth() {
+    return (req, res, next) => {
+        if (!req.session?.userId) {
+            throw new UnauthorizedError();
+        }
+        next();
+    };
+}
+
+function requireRole(roles) {
+    return (req, res, next) => {
+        if (!roles.includes(req.session.role)) {
+            throw new ForbiddenError();
+        }
+        next();
+    };
+}
+
+function requireScope(scope, method) {
+    const needed = scope || (method === 'GET' ? 'read' : null);
+
+    return (req, res, next) => {
+        if (!req.apiToken) {
+            return next();
+        }
+        if (!needed) {
+            throw new ForbiddenError('API tokens cannot be used here; sign in instead');
+        }
+        if (needed !== 'read' && !req.apiToken.scopes.includes(needed)) {
+            throw new ForbiddenError(`This API token does not have the ${needed} scope`);
+        }
+        next();
+    };
+}
+
+function requireOwner(resource, override) {
+    const owner = owners[resource];
+
+    return async (req, res, next) => {
+        const row = await owner.load(req);
+        if (!row) {
+            throw new NotFoundError(owner.notFound);
+        }
+        if (row.user_id !== req.session.userId && !(override && can(req, override))) {
+            throw new ForbiddenError();
+        }
+
+        req[resource] = row;
+        next();
+    };
+}
+
+/**
+ * Split a routes-map value into its handlers and guard options. Plain
+ * strings, functions and arrays are handlers with no guards.
+ */
+function parseRouteSpec(spec, def) {
+    if (typeof spec === 'string' || typeof spec === 'function' || Array.isArray(spec)) {
+        return { handlers: spec, options: {} };
+    }
+
+    const unknown = Object.keys(spec).filter(key => !ROUTE_OPTIONS.includes(key));
+    if (unknown.length) {
+        throw new Error(`Route "${def}" has unknown options: ${unknown.join(', ')}`);
+    }
+    if (spec.scope && !SCOPES[spec.scope]) {
+        throw new Error(`Route "${def}" has unknown scope "${spec.scope}"`);
+    }
+    if (spec.requireOwner && !owners[spec.requireOwner]) {
+        throw new Error(`Route "${def}" requires an owner of unknown resource "${spec.requireOwner}"`);
+    }
+    if (spec.overrideOwner && !(spec.requireOwner && ALL_PERMISSIONS.includes(spec.overrideOwner))) {
+        throw new Error(`Route "${def}" has overrideOwner "${spec.overrideOwner}" without requireOwner or an unknown permission`);
+    }
+    const unknownRoles = [].concat(spec.roles || []).filter(role => !isRole(role));
+    if (unknownRoles.length) {
+        throw new Error(`Route "${def}" has unknown roles: ${unknownRoles.join(', ')}`);
+    }
+
+    const { handler, ...options } = spec;
+    return { handlers: handler, options };
+}
+
+/**
+ * Middleware for a route's guard options, in the order they must run:
+ * sign-in first, then token scope, role and ownership.
+ */
+function buildGuards(options, method) {
+    const guards = [];
+    const roles = options.roles ? [].concat(options.roles) : null;
+
+    if (options.requireAuth || options.requireOwner || roles) {
+        guards.push(requireAuth());
+    }
+    guards.push(requireScope(options.scope, method));
+    if (roles) {
+        guards.push(requireRole(roles));
+    }
+    if (options.requireOwner) {
+        guards.push(requireOwner(options.requireOwner, options.overrideOwner));
+    }
+
+    return guards;
+}
+
+module.exports = { parseRouteSpec, buildGuards };
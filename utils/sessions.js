@@ -0,0 +1,34 @@
+// Keep signed-in sessions in step with the account, so a role change, a
+// suspension or a password reset applies on the user's next request rather
+// than their next sign-in.
+//
+// Signing an account out everywhere: each session remembers the account's
+// session_version from when it signed in (req.session.sessionVersion);
+// authService.revokeSessions bumps the number, and the next request on any
+// older session finds it signed out. API token requests get the role and
+// suspension checks from bearerAuth, and tokens are revoked on their own
+// (services/apiTokenService.js).
+
+const authService = require('../services/authService');
+
+const SESSION_KEYS = ['userId', 'username', 'role', 'emailVerified', 'sessionVersion'];
+
+async function refreshSession(req, res, next) {
+    if (req.apiToken || !req.session?.userId) {
+        return next();
+    }
+
+    const account = await authService.getAccountById(req.session.userId);
+    const revoked = !account || account.suspended_at ||
+        account.session_version !== (req.session.sessionVersion || 0);
+    if (revoked) {
+        for (const key of SESSION_KEYS) {
+            delete req.session[key];
+        }
+    } else {
+        req.session.role = account.role;
+    }
+    next();
+}
+
+module.exports = { refreshSession };
@@ -0,0 +1,65 @@
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// six digits from HMAC-SHA1 over 30-second steps, with a base32 secret.
+
+const crypto = require('crypto');
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+    return bits.match(/.{1,5}/g).map(chunk => BASE32[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+function base32Decode(text) {
+    const bits = text.toUpperCase().replace(/[\s=]/g, '').split('').map(char => {
+        const value = BASE32.indexOf(char);
+        if (value === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        return value.toString(2).padStart(5, '0');
+    }).join('');
+    return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+}
+
+// A new 160-bit secret, base32-encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const stepAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+function codeForStep(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * The step a code belongs to, allowing `window` steps of clock drift either
+ * way, or null if it matches none. Callers keep the last step they accepted
+ * so a code can't be replayed.
+ */
+function verifyCode(secret, code, { window = 1, time = Date.now() } = {}) {
+    const current = stepAt(time);
+    const given = Buffer.from(String(code));
+    for (let step = current - window; step <= current + window; step++) {
+        const expected = Buffer.from(codeForStep(secret, step));
+        if (expected.length === given.length && crypto.timingSafeEqual(expected, given)) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// The link authenticator apps read from a QR code
+function otpauthUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = { generateSecret, codeForStep, verifyCode, otpauthUri, stepAt, base32Encode, base32Decode };
@@ -0,0 +1,74 @@
+// Links and redirects under BASE_PATH (config/appSettings.js).
+//
+// routeLoader registers a name for every route: `<controller>.<action>`, or
+// `<controller>.<name>` when the routes map gives one, and `api.<controller>.…`
+// / `api.<version>.<controller>.…` for API routes. Build links from those
+// names instead of assembling paths by hand:
+//
+//   route('story.chapter', { username, vanity, chapternum: 3 })
+//     -> '/usr/326/story/alice/The-Quantum-Maze/chapter/3'
+//
+// url() is for the few paths that are not routes, like static files.
+
+const { basePath, baseUrl } = require('../config/appSettings');
+
+const namedRoutes = new Map();
+
+/**
+ * Path under BASE_PATH for an app-relative path: url('/main.css') -> '/usr/326/main.css'.
+ */
+function url(path = '/') {
+    return `${basePath}${path}` || '/';
+}
+
+/**
+ * Record the path for a route name. Names must be unique.
+ */
+function registerRoute(name, path) {
+    const existing = namedRoutes.get(name);
+    if (existing !== undefined && existing !== path) {
+        throw new Error(`Route name "${name}" is used by both ${existing} and ${path}; give one of them a name`);
+    }
+    namedRoutes.set(name, path);
+}
+
+/**
+ * URL for a named route, with its :params filled from `params`. Throws for
+ * an unknown name or a missing parameter, so broken links fail loudly.
+ * Properties that are not route parameters are ignored.
+ */
+function route(name, params = {}) {
+    const path = namedRoutes.get(name);
+    if (path === undefined) {
+        throw new Error(`Unknown route "${name}"`);
+    }
+
+    return url(path.replace(/:(\w+)/g, (match, key) => {
+        const value = params[key];
+        if (value === undefined || value === null || value === '') {
+            throw new Error(`Route "${name}" (${path}) needs the "${key}" parameter`);
+        }
+        return encodeURIComponent(String(value));
+    }));
+}
+
+/**
+ * Absolute URL for a path from url() or route(), for links that leave the
+ * site, like the ones in emails: absoluteUrl(route('auth.resetForm', { token })).
+ */
+function absoluteUrl(path) {
+    return `${new URL(baseUrl).origin}${path}`;
+}
+
+/**
+ * The request path without BASE_PATH, as the routes see it.
+ */
+function appPath(req) {
+    const { path } = req;
+    if (basePath && (path === basePath || path.startsWith(`${basePath}/`))) {
+        return path.slice(basePath.length) || '/';
+    }
+    return path;
+}
+
+module.exports = { url, route, registerRoute, appPath, absoluteUrl };